@@ -1,6 +1,5 @@
-import { useState, useEffect } from 'react'
-import reactLogo from './assets/react.svg'
-import viteLogo from '/vite.svg'
+import { useState, useEffect, useMemo, useRef } from 'react'
+import { Routes, Route, Navigate, useNavigate, useSearchParams } from 'react-router-dom'
 import './App.css'
 import SearchPage from './pages/SearchPage'
 import Header from './components/Header'
@@ -8,30 +7,373 @@ import MessagePage from './pages/MessagePage'
 import { CircleX } from 'lucide-react'
 import { LoadingSpinner } from './components/UiComponents'
 import ResultsPage from './pages/ResultsPage'
+import ListingPage from './pages/ListingPage'
+import WatchlistPage from './pages/WatchlistPage'
+import DossierPage from './pages/DossierPage'
+import { filterComuni, locateListings, placesLabel } from './lib/comuni'
+import { searchParamsToFilter, searchParamsToRefine, searchParamsToSelection, searchPath } from './lib/routing'
+import { buildSearchError, cancelSearchJob, runSearchJob, searchErrorMessage, searchKey } from './lib/search'
+import { normalizeListing, normalizeResults } from './lib/listing'
+import { dedupeListings } from './lib/dedup'
+import { useWatchlist } from './lib/watchlist'
+import { diffListings, readBaseline, saveSnapshot } from './lib/snapshots'
+import { getSource } from './lib/sources'
+import { shownListings, sortListings } from './lib/results'
+import { locateOnMap, useGeocodes } from './lib/map'
 
 
-function LoadingPage() {
+/**
+ * **LoadingPage**
+ *
+ * Page shown while a scraping job is running. The main spinner is driven by the real
+ * overall progress of the job (controlled `value`), and one small spinner per source
+ * shows how far each portal is and how many listings it has found so far.
+ *
+ * @param {Object} props
+ * @param {ScrapeJob|null} [props.job=null]
+ * Latest polled job status (`null` until the job is created).
+ * @param {boolean} [props.coldStart=false]
+ * `true` while the backend is waking up from a cold start.
+ * @param {() => void} [props.onCancel]
+ * Handler of the “Annulla ricerca” button (the button is hidden when not provided).
+ */
+function LoadingPage({ job = null, coldStart = false, onCancel = null }) {
+  let message = "Stiamo cercando le migliori offerte per te..."
+  if (coldStart) message = "Stiamo avviando il server, potrebbe volerci un minuto..."
+  else if (!job || job.status === "queued") message = "Ricerca in coda, sta per iniziare..."
+
   return (
     <div className='loading-page-container'>
       <Header />
 
       <div className='w-full h-full flex justify-center items-center'>
         <LoadingSpinner
-          time={95000}
-          message={"Stiamo cercando le migliori offerte per te..."}
-        />
+          value={job?.progress ?? 0}
+          size={2}
+          message={message}
+        >
+          {job?.sources?.length > 0 && (
+            <div className='loading-sources-container'>
+              {job.sources.map((source) => (
+                <LoadingSpinner
+                  key={source.id}
+                  className='loading-source-spinner'
+                  size={0}
+                  value={source.progress}
+                  message={`${getSource(source.id)?.name ?? source.label} · ${source.found} trovati`}
+                />
+              ))}
+            </div>
+          )}
+          {onCancel && (
+            <button
+              type='button'
+              className='main-button button-gray-colors mt-8'
+              onClick={onCancel}
+            >
+              Annulla ricerca
+            </button>
+          )}
+        </LoadingSpinner>
       </div>
     </div>
   );
 }
 
-function tempErrorOnClick(setError) {
-  setError(null)
+/**
+ * **ErrorPage**
+ *
+ * Page mounted on the `/error` route. Renders the app-level `error` object through `MessagePage`.
+ *
+ * The error lives only in memory, so after a reload (or when the route is opened directly)
+ * a generic message is shown with a button back to the first step of the wizard.
+ */
+function ErrorPage({ error }) {
+  const shown = error && typeof error === 'object' ? error : {
+    title: "Errore",
+    paragraph: "Si è verificato un errore generico, riprova più tardi o contatta il supporto",
+    buttonText: "Torna alla ricerca",
+    buttonLink: searchPath(0),
+    mainColor: "red-600",
+    buttonTextColor: "white",
+  }
+
+  return (
+    <div className='h-screen w-screen flex flex-col justify-start items-center'>
+      <Header />
+
+      <MessagePage
+        icon={shown.icon ?? <CircleX className='message-section-icon' />}
+        title={shown.title}
+        paragraph={shown.paragraph}
+        buttonText={shown.buttonText}
+        buttonLink={shown.buttonLink}
+        mainColor={shown.mainColor}
+        buttonTextColor={shown.buttonTextColor}
+        onClickFunc={shown.onClickFunc}
+      />
+    </div>
+  )
+}
+
+/**
+ * **ResultsDossier**
+ *
+ * Dossier of the results (`/results/dossier?…`, see `DossierPage`): the listings selected on the
+ * cards (`&sel=`) or, when none is selected, every listing shown by the results page, with the
+ * same refine, "solo nuovi" and sort order.
+ */
+function ResultsDossier({ listings, diff }) {
+  const [searchParams] = useSearchParams()
+  const filter = useMemo(() => searchParamsToFilter(searchParams), [searchParams])
+  const dossier = useMemo(() => {
+    const sort = searchParams.get('sort') ?? 'relevance'
+    const selection = searchParamsToSelection(searchParams)
+    if (selection.length) return sortListings(listings.filter((l) => selection.includes(l.id)), sort)
+    return shownListings(listings, {
+      refine: searchParamsToRefine(searchParams),
+      sort,
+      onlyNew: searchParams.get('new') === '1',
+      diff,
+    })
+  }, [listings, diff, searchParams])
+
+  return (
+    <DossierPage
+      listings={dossier}
+      title={placesLabel(filter) ? `Aste a ${placesLabel(filter)}` : 'Risultati della ricerca'}
+      filter={filter}
+      backTo='/results'
+      backLabel='Torna ai risultati'
+    />
+  )
+}
+
+/**
+ * **ResultsRoute**
+ *
+ * Page mounted on the `/results?…` route. The search `filter` is read from the query string,
+ * so a results URL can be bookmarked or shared: when the cached `results` belong to a
+ * different query (or there are none, e.g. after a reload, or after `clearResults` when a saved
+ * search is run again from the wizard) the search is run again.
+ *
+ * Searches run as backend jobs (see `runSearchJob`): as soon as the job id is known it is
+ * added to the URL (`&job=<id>`), so reloading the page resumes the same job instead of
+ * submitting a new one. Until the first listing arrives the `LoadingPage` shows the real
+ * job progress; then `ResultsPage` renders the listings streamed so far (`streaming`) and
+ * keeps appending until the job ends. Every record goes through `normalizeListing`:
+ * records failing validation are reported instead of rendered. On failure the error is stored through `setError`
+ * and the user is redirected to `/error`.
+ *
+ * Both pages receive the listings after `dedupeListings`: records of the same lot (repeated in
+ * the response or published on several portals) are merged into one listing with all the links.
+ * Each listing also gets the searched comune it belongs to (see `locateListings`), so searches
+ * over several comuni, provinces, regions or a radius can be refined by comune, and its position
+ * on the map (`geo`, see `locateOnMap`), so it can be refined by a neighbourhood drawn on it.
+ *
+ * Every completed run is stored as a snapshot (see `saveSnapshot`): when the same search was
+ * completed before, the results page also gets the `diff` with that run (new lots, price and
+ * date changes, removed lots — see `diffListings`).
+ *
+ * A URL without any comune to search (a bare `/results`, or an old link with an ambiguous
+ * `?city=Castro`) redirects to the places step of the wizard, keeping the rest of the filter.
+ *
+ * The detail view of a listing (`/results/listing/:id`, see `ListingPage`) and the printable
+ * dossier (`/results/dossier`, see `ResultsDossier`) are nested routes, so opening them does not
+ * interrupt the search nor drop the listings streamed so far.
+ */
+function ResultsRoute({ results, setResults, setError }) {
+  const [searchParams, setSearchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const [job, setJob] = useState(null)
+  const [coldStart, setColdStart] = useState(false)
+  // listings received so far from the stream, already normalized (null until the first record)
+  const [partial, setPartial] = useState(null)
+
+  const filter = useMemo(() => searchParamsToFilter(searchParams), [searchParams])
+  const key = searchKey(filter)
+  const done = results?.key === key
+  // the comuni searched: none (a bare `/results`, an unknown or ambiguous `city`) sends the
+  // user back to the wizard instead of submitting an empty search
+  const searched = useMemo(() => filterComuni(searchParamsToFilter(new URLSearchParams(key))), [key])
+  // read inside the effect without restarting it when `&job=` is added to the URL
+  const jobIdRef = useRef(null)
+  jobIdRef.current = searchParams.get('job')
+  // controller of the search in progress, aborted by `cancelSearch` and on unmount
+  const ctrlRef = useRef(null)
+
+  useEffect(() => {
+    if (done || !searched.length) return
+    const ctrl = new AbortController()
+    ctrlRef.current = ctrl
+    const searchFilter = searchParamsToFilter(new URLSearchParams(key))
+    setJob(null)
+    setPartial(null)
+    setColdStart(false)
+
+    runSearchJob(searchFilter, {
+      jobId: jobIdRef.current,
+      signal: ctrl.signal,
+      onJob: (id) => setSearchParams((prev) => {
+        const next = new URLSearchParams(prev)
+        next.set('job', id)
+        return next
+      }, { replace: true }),
+      onColdStart: () => {
+        if (!ctrl.signal.aborted) setColdStart(true)
+      },
+      onProgress: (status) => {
+        if (ctrl.signal.aborted) return
+        setColdStart(false)
+        setJob(status)
+      },
+      onResult: (record) => {
+        if (ctrl.signal.aborted) return
+        const res = normalizeListing(record)
+        setPartial((prev) => {
+          const base = prev ?? { listings: [], rejected: [] }
+          return res.ok
+            ? { ...base, listings: [...base.listings, res.listing] }
+            : { ...base, rejected: [...base.rejected, { errors: res.errors, raw: res.raw }] }
+        })
+      },
+      onRestart: () => setPartial(null),
+    })
+      .then((finished) => {
+        if (ctrl.signal.aborted) return
+        const normalized = normalizeResults(finished.results)
+        // kept as the baseline of the next run of the same search
+        saveSnapshot(key, finished.id, dedupeListings(normalized.listings).listings)
+        setResults({ key, job: finished.id, ...normalized })
+      })
+      .catch((err) => {
+        if (ctrl.signal.aborted) return // cancelled by the user or left the page
+        console.error("[ResultsRoute] errore durante la ricerca:", err)
+        setError(buildSearchError(searchErrorMessage(err), searchFilter))
+        navigate('/error', { replace: true })
+      })
+
+    // leaving the page only stops following the job: it stays resumable from its id
+    return () => ctrl.abort()
+  }, [key, done, searched, setResults, setError, setSearchParams, navigate])
+
+  /**
+   * **cancelSearch**
+   *
+   * Handler of the “Annulla ricerca” button: aborts the in-flight requests, asks the backend
+   * to stop the job and goes back to the last step of the wizard with the same filter
+   * (replacing the `/results` history entry, so Back does not restart the search).
+   */
+  const cancelSearch = () => {
+    ctrlRef.current?.abort()
+    cancelSearchJob(filter, job?.id || jobIdRef.current)
+    navigate(searchPath(2, filter), { replace: true })
+  }
+
+  // the same lot may be repeated or published on several portals: one card per lot
+  const raw = done ? results.listings : partial?.listings
+  const { listings: located, collapsed } = useMemo(() => {
+    const deduped = dedupeListings(raw ?? [])
+    return { ...deduped, listings: locateListings(deduped.listings, searched) }
+  }, [raw, searched])
+  // addresses are geocoded only while the map or a neighbourhood drawn on it are in use
+  const geocodes = useGeocodes(located, searchParams.get('view') === 'map' || searchParams.has('area'))
+  const listings = useMemo(
+    () => located.map((l) => ({ ...l, geo: locateOnMap(l, geocodes) })),
+    [located, geocodes]
+  )
+
+  // changes since the previous run of the same search (none for a first run)
+  const runId = done ? results.job : searchParams.get('job')
+  const baseline = useMemo(() => readBaseline(key, runId), [key, runId])
+  const diff = useMemo(
+    () => (baseline ? diffListings(baseline, listings, done) : null),
+    [baseline, listings, done]
+  )
+
+  if (!searched.length) {
+    return <Navigate to={searchPath(1, filter)} replace />
+  }
+
+  if (!done && !partial?.listings.length) {
+    return (
+      <LoadingPage job={job} coldStart={coldStart} onCancel={cancelSearch} />
+    );
+  }
+
+  // the detail view is nested here so the search keeps running while a listing is open
+  return (
+    <div className='h-screen w-screen flex flex-col justify-start items-center'>
+      <Header />
+      <Routes>
+        <Route
+          index
+          element={
+            <ResultsPage
+              results={listings}
+              duplicates={collapsed}
+              diff={diff}
+              rejected={done ? results.rejected : partial.rejected}
+              streaming={!done}
+              onCancel={cancelSearch}
+            />
+          }
+        />
+        <Route path='listing/:id' element={<ListingPage listings={listings} streaming={!done} />} />
+        <Route path='dossier' element={<ResultsDossier listings={listings} diff={diff} />} />
+        <Route path='*' element={<Navigate to={`/results?${searchParams}`} replace />} />
+      </Routes>
+    </div>
+  );
+}
+
+/**
+ * **WatchlistRoute**
+ *
+ * Page mounted on the `/watchlist` route: the listings starred by the user (see `WatchlistPage`)
+ * and, nested, the detail view of a watched listing (`/watchlist/listing/:id`) and the printable
+ * dossier of the watchlist (`/watchlist/dossier`), rendered from the saved snapshots so they do
+ * not need a running search.
+ */
+function WatchlistRoute() {
+  const watchlist = useWatchlist()
+  const listings = useMemo(() => watchlist.map((entry) => entry.listing), [watchlist])
+  const notes = useMemo(
+    () => Object.fromEntries(watchlist.map((entry) => [entry.listing.id, entry.note])),
+    [watchlist]
+  )
+
+  return (
+    <div className='h-screen w-screen flex flex-col justify-start items-center'>
+      <Header />
+      <Routes>
+        <Route index element={<WatchlistPage />} />
+        <Route
+          path='listing/:id'
+          element={<ListingPage listings={listings} backTo='/watchlist' backLabel='Torna ai preferiti' />}
+        />
+        <Route
+          path='dossier'
+          element={
+            <DossierPage
+              listings={listings}
+              title='I tuoi preferiti'
+              notes={notes}
+              backTo='/watchlist'
+              backLabel='Torna ai preferiti'
+            />
+          }
+        />
+        <Route path='*' element={<Navigate to='/watchlist' replace />} />
+      </Routes>
+    </div>
+  )
 }
 
 function App() {
   const [error, setError] = useState(null) // TODO: clean the error message sys
-  const [loading, setLoading] = useState(false)
+  // normalized results of the last search (`listings` + `rejected` records),
+  // tagged with the query string (`key`) that produced them and the id of its job (`job`)
   const [results, setResults] = useState(null)
   // // TODO: restore real resutls usestate (above)
   // const [results, setResults] = useState([
@@ -163,45 +505,25 @@ function App() {
   //   },
   // ])
 
-  if (error && typeof error === 'object') {
-    return (
-      <div className='h-screen w-screen flex flex-col justify-start items-center'>
-        <Header />
-
-        <MessagePage
-          icon={error.icon}
-          title={error.title}
-          paragraph={error.paragraph}
-          buttonText={error.buttonText}
-          buttonLink={error.buttonLink}
-          mainColor={error.mainColor}
-          buttonTextColor={error.buttonTextColor}
-          onClickFunc={error.onClickFunc}
-        />
-      </div>
-    )
-  }
-
-  if (loading) {
-    return (
-      <LoadingPage />
-    );
-  }
-
-  if (results) {
-    return (
-      <div className='h-screen w-screen flex flex-col justify-start items-center'>
-        <Header />
-        <ResultsPage results={results} />
-      </div>
-    );
-  }
-
   return (
-    <div className='h-screen w-screen flex flex-col justify-start items-center'>
-      <Header />
-      <SearchPage setError={setError} setLoading={setLoading} setResults={setResults} />
-    </div>
+    <Routes>
+      <Route
+        path='/search/:step'
+        element={
+          <div className='h-screen w-screen flex flex-col justify-start items-center'>
+            <Header />
+            <SearchPage setError={setError} clearResults={() => setResults(null)} />
+          </div>
+        }
+      />
+      <Route
+        path='/results/*'
+        element={<ResultsRoute results={results} setResults={setResults} setError={setError} />}
+      />
+      <Route path='/watchlist/*' element={<WatchlistRoute />} />
+      <Route path='/error' element={<ErrorPage error={error} />} />
+      <Route path='*' element={<Navigate to={searchPath(0)} replace />} />
+    </Routes>
   )
 }
 
@@ -0,0 +1,199 @@
+import React, { useMemo } from "react";
+import { Link, useLocation } from "react-router-dom";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import {
+    CALENDAR_MODES,
+    WEEKDAYS,
+    addDays,
+    addMonths,
+    formatDay,
+    formatMonth,
+    groupByDate,
+    monthWeeks,
+    startOfWeek,
+    todayISO,
+    weekDays,
+} from "../lib/calendar";
+import { listingPath } from "../lib/routing";
+import { formatDate, formatMoney } from "../lib/utils";
+
+/**
+ * **MAX_DAY_EVENTS**
+ *
+ * Auctions shown in a cell of the month view; the others are summarized as "+N".
+ *
+ * @constant
+ * @type {number}
+ */
+const MAX_DAY_EVENTS = 3;
+
+/**
+ * **CalendarEvent**
+ *
+ * An auction in the calendar, linking to the detail view of the listing.
+ *
+ * @param {{listing: Listing, search: string}} props
+ */
+function CalendarEvent({ listing, search }) {
+    return (
+        <Link
+            className="calendar-event"
+            to={listingPath(listing.id, search)}
+            state={{ fromResults: true }}
+            title={listing.title ?? listing.id}
+        >
+            {listing.price != null && <b>€ {formatMoney(listing.price)} </b>}
+            {listing.title ?? listing.id}
+        </Link>
+    );
+}
+
+/**
+ * **AuctionCalendar**
+ *
+ * React functional component plotting the listings **by auction date**, as an alternative
+ * to the results grid. Three views are available (see `CALENDAR_MODES`):
+ *
+ * | View | Shows | Navigation |
+ * |------|-------|------------|
+ * | **Mese** | A month grid (weeks start on Monday), up to `MAX_DAY_EVENTS` auctions per day | ± 1 month |
+ * | **Settimana** | The 7 days of a week, with every auction | ± 1 week |
+ * | **Agenda** | The days of the month having auctions, as a list | ± 1 month |
+ *
+ * The view and the focused date are controlled by the parent (they live in the URL of
+ * the results page), so they survive reloads and the back navigation from a listing.
+ *
+ * ---
+ *
+ * @component
+ *
+ * @param {Object} props
+ * Component props.
+ *
+ * @param {Listing[]} props.listings
+ * The listings to plot (already refined and sorted); those without an auction date are
+ * only counted.
+ *
+ * @param {"month"|"week"|"agenda"} props.mode
+ * The current view.
+ *
+ * @param {string} props.date
+ * The focused date (ISO): its month or week is shown.
+ *
+ * @param {(next: {mode: string, date: string}) => void} props.onChange
+ * Called when the view or the date changes.
+ *
+ * @returns {JSX.Element}
+ *
+ * @example
+ * ```jsx
+ * <AuctionCalendar listings={sortedResults} mode="month" date="2025-12-01" onChange={setCalendar} />
+ * ```
+ */
+export default function AuctionCalendar({ listings, mode, date, onChange }) {
+    const location = useLocation();
+    const byDate = useMemo(() => groupByDate(listings), [listings]);
+    const undated = listings.length - [...byDate.values()].reduce((sum, group) => sum + group.length, 0);
+    const today = todayISO();
+
+    const step = (direction) => onChange({
+        mode,
+        date: mode === "week" ? addDays(date, 7 * direction) : addMonths(date, direction),
+    });
+    const title = mode === "week"
+        ? `Settimana dal ${formatDate(startOfWeek(date))}`
+        : formatMonth(date);
+
+    const dayClass = (day, outside = false) =>
+        `calendar-day ${outside ? "calendar-day-outside" : ""} ${day === today ? "calendar-day-today" : ""}`;
+
+    const monthPrefix = date.slice(0, 7);
+    const agendaDays = [...byDate.keys()].filter((day) => day.startsWith(monthPrefix));
+
+    return (
+        <div className="calendar-container">
+            <div className="calendar-toolbar">
+                <div className="flex flex-row items-center gap-2">
+                    <button type="button" className="calendar-nav-button" aria-label="Precedente" onClick={() => step(-1)}>
+                        <ChevronLeft />
+                    </button>
+                    <button type="button" className="calendar-nav-button" aria-label="Successivo" onClick={() => step(1)}>
+                        <ChevronRight />
+                    </button>
+                    <button type="button" className="refine-chip" onClick={() => onChange({ mode, date: today })}>
+                        Oggi
+                    </button>
+                    <h2 className="h3-title capitalize">{title}</h2>
+                </div>
+                <div className="refine-chip-container">
+                    {CALENDAR_MODES.map((opt) => (
+                        <button
+                            type="button"
+                            key={opt.value}
+                            aria-pressed={mode === opt.value}
+                            className={`refine-chip ${mode === opt.value ? "refine-chip-active" : ""}`}
+                            onClick={() => onChange({ mode: opt.value, date })}
+                        >
+                            {opt.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {mode === "agenda" ? (
+                agendaDays.length ? (
+                    <ul className="w-full flex flex-col gap-4">
+                        {agendaDays.map((day) => (
+                            <li key={day} className="calendar-agenda-day">
+                                <h3 className={`font-semibold capitalize ${day === today ? "text-primary" : ""}`}>{formatDay(day)}</h3>
+                                <div className="flex flex-col gap-1">
+                                    {byDate.get(day).map((listing) => (
+                                        <CalendarEvent key={listing.id} listing={listing} search={location.search} />
+                                    ))}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                ) : (
+                    <p className="text-gray-600">Nessuna asta in questo mese.</p>
+                )
+            ) : (
+                <div className="calendar-grid">
+                    {WEEKDAYS.map((label) => (
+                        <div key={label} className="calendar-weekday">{label}</div>
+                    ))}
+                    {(mode === "week" ? [weekDays(date)] : monthWeeks(date)).flat().map((day) => {
+                        const events = byDate.get(day) ?? [];
+                        const shown = mode === "week" ? events : events.slice(0, MAX_DAY_EVENTS);
+                        return (
+                            <div
+                                key={day}
+                                className={`${dayClass(day, mode === "month" && !day.startsWith(monthPrefix))} ${mode === "week" ? "min-h-64" : ""}`}
+                            >
+                                <span className="text-sm">{Number(day.slice(8))}</span>
+                                {shown.map((listing) => (
+                                    <CalendarEvent key={listing.id} listing={listing} search={location.search} />
+                                ))}
+                                {events.length > shown.length && (
+                                    <button
+                                        type="button"
+                                        className="text-xs text-primary underline underline-offset-2 text-left"
+                                        onClick={() => onChange({ mode: "week", date: day })}
+                                    >
+                                        +{events.length - shown.length} altre
+                                    </button>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+
+            {undated > 0 && (
+                <p className="text-sm text-gray-500">
+                    {undated} {undated === 1 ? "annuncio senza data d'asta non è mostrato" : "annunci senza data d'asta non sono mostrati"}.
+                </p>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,59 @@
+import React from "react";
+import { CalendarPlus } from "lucide-react";
+import { buildICS } from "../lib/ics";
+import { downloadFile } from "../lib/utils";
+
+/**
+ * **CalendarExportButton**
+ *
+ * React functional component rendering a button that downloads an `.ics` file with one
+ * event per auction of the given listings (see `buildICS`), to import them in Google
+ * Calendar, Outlook or Apple Calendar. Disabled when no listing has an auction date.
+ *
+ * ---
+ *
+ * @component
+ *
+ * @param {Object} props
+ * Component props.
+ *
+ * @param {Listing[]} props.listings
+ * The listings to export (e.g. the refined results, or the watchlist).
+ *
+ * @param {string} [props.name="Aste BidHouse"]
+ * Name of the calendar.
+ *
+ * @param {string} [props.filename="aste.ics"]
+ * Name of the downloaded file.
+ *
+ * @param {string} [props.label="Esporta calendario (.ics)"]
+ * Button label.
+ *
+ * @returns {JSX.Element}
+ *
+ * @example
+ * ```jsx
+ * <CalendarExportButton listings={watchlist.map((e) => e.listing)} name="Preferiti" filename="preferiti.ics" />
+ * ```
+ */
+export default function CalendarExportButton({
+    listings,
+    name = "Aste BidHouse",
+    filename = "aste.ics",
+    label = "Esporta calendario (.ics)"
+}) {
+    const count = listings.filter((l) => l.auction_date).length;
+
+    return (
+        <button
+            type="button"
+            className="refine-chip flex flex-row items-center gap-2"
+            disabled={!count}
+            title={count ? `${count} ${count === 1 ? "asta" : "aste"} da esportare` : "Nessuna data d'asta da esportare"}
+            onClick={() => downloadFile(buildICS(listings, name), filename, "text/calendar;charset=utf-8")}
+        >
+            <CalendarPlus className="size-4" />
+            {label}
+        </button>
+    );
+}
@@ -0,0 +1,96 @@
+import React from "react";
+import { formatDate, formatMoney } from "../lib/utils";
+
+/**
+ * **ChangeBadges**
+ *
+ * React functional component rendering how a listing changed since the previous run of
+ * the same search (see `diffListings`): a "Nuovo" badge for new lots, the old → new price
+ * and the old → new auction date for the changed ones. Nothing is rendered for unchanged
+ * listings (or when there is no previous run).
+ *
+ * ---
+ *
+ * @component
+ *
+ * @param {Object} props
+ * Component props.
+ *
+ * @param {ListingChange} [props.change]
+ * The change of the listing (`diff.changes[listing.id]`).
+ *
+ * @param {MergedListing} props.listing
+ * The listing (for the current values).
+ *
+ * @returns {JSX.Element|null}
+ *
+ * @example
+ * ```jsx
+ * <ChangeBadges change={diff?.changes[listing.id]} listing={listing} />
+ * ```
+ */
+export default function ChangeBadges({ change, listing }) {
+    if (!change) return null;
+    if (change.isNew) return <span className="change-badge change-badge-new">Nuovo</span>;
+
+    const money = (value) => (value != null ? `€ ${formatMoney(value)}` : "-");
+    const date = (value) => (value ? formatDate(value) : "-");
+    return (
+        <span className="flex flex-row flex-wrap gap-2">
+            {"previous_price" in change && (
+                <span className="change-badge change-badge-changed">
+                    Prezzo: <s>{money(change.previous_price)}</s> → {money(listing.price)}
+                </span>
+            )}
+            {"previous_date" in change && (
+                <span className="change-badge change-badge-changed">
+                    Data asta: <s>{date(change.previous_date)}</s> → {date(listing.auction_date)}
+                </span>
+            )}
+        </span>
+    );
+}
+
+/**
+ * **RemovedListings**
+ *
+ * Collapsible list of the lots found by the previous run of the search and missing
+ * from the current one (e.g. auctions already held or withdrawn), with their last
+ * known price, date and link.
+ *
+ * @component
+ *
+ * @param {Object} props
+ * @param {SearchDiff} props.diff
+ * The diff with the previous run (see `diffListings`).
+ *
+ * @returns {JSX.Element|null}
+ * Nothing when no lot was removed.
+ */
+export function RemovedListings({ diff }) {
+    if (!diff.removed.length) return null;
+
+    return (
+        <details className="result-rejected-container">
+            <summary>
+                {diff.removed.length} {diff.removed.length === 1 ? "annuncio non più presente" : "annunci non più presenti"} rispetto
+                alla ricerca del {formatDate(diff.since.slice(0, 10))}
+            </summary>
+            <ul className="list-disc pl-6 pt-2">
+                {diff.removed.map((old) => (
+                    <li key={old.id}>
+                        {old.url ? (
+                            <a href={old.url} target="_blank" rel="noopener noreferrer" className="underline underline-offset-2">
+                                {old.title ?? old.id}
+                            </a>
+                        ) : (
+                            <b>{old.title ?? old.id}</b>
+                        )}
+                        {old.price != null && ` · € ${formatMoney(old.price)}`}
+                        {old.auction_date && ` · ${formatDate(old.auction_date)}`}
+                    </li>
+                ))}
+            </ul>
+        </details>
+    );
+}
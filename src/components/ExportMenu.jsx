@@ -0,0 +1,67 @@
+import React, { useState } from "react";
+import { Menu, MenuItem } from "@mui/material";
+import { Download } from "lucide-react";
+import { EXPORT_FORMATS, exportListings } from "../lib/export";
+import { downloadFile } from "../lib/utils";
+
+/**
+ * **ExportMenu**
+ *
+ * React functional component rendering the **"Esporta"** button of the results page: a
+ * menu downloading the listings as CSV (Italian Excel), XLSX or JSON (see
+ * `EXPORT_FORMATS` and `exportListings`). The files contain exactly the listings shown,
+ * refined and sorted as on screen; the JSON one also records the search filter.
+ *
+ * ---
+ *
+ * @component
+ *
+ * @param {Object} props
+ * Component props.
+ *
+ * @param {MergedListing[]} props.listings
+ * The listings to export, in the order they are shown.
+ *
+ * @param {Filter} props.filter
+ * The filter of the current search (see `searchParamsToFilter`).
+ *
+ * @returns {JSX.Element}
+ *
+ * @example
+ * ```jsx
+ * <ExportMenu listings={sortedResults} filter={filter} />
+ * ```
+ */
+export default function ExportMenu({ listings, filter }) {
+    const [anchor, setAnchor] = useState(null);
+
+    const download = (format) => {
+        const { content, filename, type } = exportListings(format, listings, filter);
+        downloadFile(content, filename, type);
+        setAnchor(null);
+    };
+
+    return (
+        <>
+            <button
+                type="button"
+                className="refine-chip flex flex-row items-center gap-2"
+                disabled={!listings.length}
+                aria-haspopup="menu"
+                aria-expanded={Boolean(anchor)}
+                title={listings.length ? `${listings.length} ${listings.length === 1 ? "annuncio" : "annunci"} da esportare` : "Nessun annuncio da esportare"}
+                onClick={(e) => setAnchor(e.currentTarget)}
+            >
+                <Download className="size-4" />
+                Esporta
+            </button>
+            <Menu anchorEl={anchor} open={Boolean(anchor)} onClose={() => setAnchor(null)}>
+                {EXPORT_FORMATS.map((opt) => (
+                    <MenuItem key={opt.value} onClick={() => download(opt.value)}>
+                        {opt.label}
+                    </MenuItem>
+                ))}
+            </Menu>
+        </>
+    );
+}
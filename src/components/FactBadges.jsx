@@ -0,0 +1,82 @@
+import React from "react";
+import { NEAR_KM, OCCUPANCY_LABELS, nearbyServices } from "../lib/description";
+
+/**
+ * **factBadges**
+ *
+ * Badges describing the data extracted from a listing description.
+ *
+ * @param {DescriptionFacts} facts
+ *
+ * @returns {Array<{key: string, label: string, title?: string}>}
+ */
+function factBadges(facts) {
+    const badges = [];
+    const { ownership, occupancy, occupant, cadastral, condono } = facts;
+
+    if (ownership?.share && ownership.fraction < 1) {
+        badges.push({ key: "share", label: `Quota ${ownership.share}` });
+    }
+    if (ownership?.right) {
+        badges.push({ key: "right", label: ownership.right[0].toUpperCase() + ownership.right.slice(1) });
+    }
+    if (occupancy) {
+        badges.push({
+            key: "occupancy",
+            label: occupant ? `${OCCUPANCY_LABELS[occupancy]} (${occupant})` : OCCUPANCY_LABELS[occupancy],
+        });
+    }
+    if (cadastral?.category) {
+        badges.push({ key: "category", label: `Cat. ${cadastral.category}` });
+    }
+    if (condono) {
+        badges.push({ key: "condono", label: "Condono / sanatoria" });
+    }
+    const near = nearbyServices(facts);
+    if (near.length) {
+        badges.push({
+            key: "services",
+            label: `${near.length} ${near.length === 1 ? "servizio" : "servizi"} entro ${NEAR_KM} km`,
+            title: near.join(", "),
+        });
+    }
+    return badges;
+}
+
+/**
+ * **FactBadges**
+ *
+ * React functional component rendering the data extracted from a listing description
+ * (see `extractFacts`) as a row of small badges: ownership share or right, occupancy,
+ * cadastral category, condono/sanatoria and number of nearby services.
+ * Nothing is rendered when no fact was found.
+ *
+ * ---
+ *
+ * @component
+ *
+ * @param {Object} props
+ * Component props.
+ *
+ * @param {DescriptionFacts} props.facts
+ * The facts of the listing (`listing.facts`).
+ *
+ * @returns {JSX.Element|null}
+ *
+ * @example
+ * ```jsx
+ * <FactBadges facts={listing.facts} />
+ * ```
+ */
+export default function FactBadges({ facts }) {
+    const badges = factBadges(facts);
+    if (!badges.length) return null;
+
+    return (
+        <ul className="fact-badge-container" aria-label="Dati dalla descrizione">
+            {badges.map(({ key, label, title }) => (
+                <li className="fact-badge" key={key} title={title}>{label}</li>
+            ))}
+        </ul>
+    );
+}
@@ -1,4 +1,7 @@
 import React from "react";
+import { Link } from "react-router-dom";
+import { Star } from "lucide-react";
+import { useWatchlist } from "../lib/watchlist";
 // Icons import
 import LocalPhoneIcon from '@mui/icons-material/LocalPhone';
 import ArrowCircleRightIcon from '@mui/icons-material/ArrowCircleRight';
@@ -16,7 +19,8 @@ import logo from "../assets/bidhouse_logo_black.png"
  * 
  * 1. **Call Us Banner** – a slim top bar with a phone icon and clickable telephone link.  
  *    When clicked, it triggers the user's phone app (`tel:` link).
- * 2. **Navigation Header** – the main horizontal bar containing the BidHouse logo  
+ * 2. **Navigation Header** – the main horizontal bar containing the BidHouse logo,  
+ *    the link to the watchlist (“Preferiti”, with the number of saved listings)  
  *    and a navigation button linking to the main website.
  * 
  * ---
@@ -56,8 +60,10 @@ import logo from "../assets/bidhouse_logo_black.png"
  * - Texts and icons provide clear affordances for screen readers.
  */
 export default function Header() {
+    const watchlist = useWatchlist();
+
     return (
-        <div className="w-full flex flex-col">
+        <div className="w-full flex flex-col print:hidden">
             {/* Call Us Banner */}
             <div className="bg-primary place-items-center items-center p-2.5">
                 <a
@@ -80,7 +86,14 @@ export default function Header() {
                 />
 
                 {/* Navigation Menu */}
-                <div>
+                <div className="flex flex-row items-center gap-8">
+                    <Link
+                        className="font-inria font-semibold flex flex-row items-center gap-2 hover:text-primary"
+                        to="/watchlist"
+                    >
+                        <Star className="size-5" />
+                        Preferiti{watchlist.length > 0 && ` (${watchlist.length})`}
+                    </Link>
                     <a
                         className="font-inria font-semibold px-6 py-3 bg-secondary hover:bg-background hover:text flex flex-row justify-center items-center gap-2"
                         href="https://bidhouse.it/"
@@ -0,0 +1,339 @@
+import React, { useMemo } from "react";
+import { FormControlLabel, Switch, TextField } from "@mui/material";
+import { Euro, RulerDimensionLine, BedDouble, MapPinned } from "lucide-react";
+import { DoubleSlider } from "./UiComponents";
+import { comuneLabel, findComune } from "../lib/comuni";
+import { NEAR_KM, OCCUPANCY_LABELS, SERVICES } from "../lib/description";
+import { ENERGY_CLASSES } from "../lib/listing";
+import { EMPTY_REFINE, facetCounts, rangeBounds } from "../lib/results";
+import { SOURCES, getSource } from "../lib/sources";
+
+/**
+ * **RANGE_FACETS**
+ *
+ * Numeric facets of the sidebar, rendered with `DoubleSlider`.
+ *
+ * @constant
+ * @type {ReadonlyArray<{field: "price"|"mq"|"rooms", title: string, icon: React.ComponentType, step: number}>}
+ */
+const RANGE_FACETS = Object.freeze([
+    { field: "price", title: "Prezzo", icon: Euro, step: 5_000 },
+    { field: "mq", title: "Metri Quadri", icon: RulerDimensionLine, step: 5 },
+    { field: "rooms", title: "Locali", icon: BedDouble, step: 1 },
+]);
+
+/**
+ * **FacetCount**
+ *
+ * Small caption telling how many listings a facet keeps.
+ *
+ * @param {{count: {keep: number, of: number}}} props
+ */
+function FacetCount({ count }) {
+    return (
+        <p className="refine-facet-count">
+            Mantiene <b>{count.keep}</b> di {count.of} annunci
+        </p>
+    );
+}
+
+/**
+ * **ChipFacet**
+ *
+ * Multiple-choice facet rendered as toggle chips, each with the number of listings
+ * it would keep. Only the values present in the results (or already selected) are shown.
+ *
+ * @param {Object} props
+ * @param {string} props.title
+ * Facet heading.
+ * @param {string[]} props.values
+ * All the possible values, in display order.
+ * @param {string[]} props.selected
+ * The selected values.
+ * @param {{of: number, keep: number, byValue: Record<string, number>}} props.count
+ * The facet counts (see `facetCounts`).
+ * @param {(values: string[]) => void} props.onChange
+ * Called with the new selection.
+ * @param {(value: string) => string} [props.label]
+ * Label of a value (defaults to the value itself).
+ */
+function ChipFacet({ title, values, selected, count, onChange, label = (value) => value }) {
+    const shown = values.filter((value) => count.byValue[value] || selected.includes(value));
+    if (!shown.length) return null;
+
+    const toggle = (value) => onChange(
+        selected.includes(value) ? selected.filter((v) => v !== value) : [...selected, value]
+    );
+
+    return (
+        <div className="refine-facet-container">
+            <h3 className="h3-title">{title}</h3>
+            <div className="refine-chip-container">
+                {shown.map((value) => (
+                    <button
+                        type="button"
+                        key={value}
+                        aria-pressed={selected.includes(value)}
+                        className={`refine-chip ${selected.includes(value) ? "refine-chip-active" : ""}`}
+                        onClick={() => toggle(value)}
+                    >
+                        {label(value)} ({count.byValue[value] ?? 0})
+                    </button>
+                ))}
+            </div>
+            <FacetCount count={count} />
+        </div>
+    );
+}
+
+/**
+ * **RefineSidebar**
+ *
+ * React functional component rendering the **refine sidebar** of the results page:
+ * client-side filters applied **instantly** to the listings already fetched, so a bound
+ * can be changed without re-running the wizard and waiting for the scraper again.
+ *
+ * ---
+ *
+ * ### 🧩 Facets
+ * | Facet | Control | Refine field |
+ * |--------|---------|--------------|
+ * | **Zona** | The neighbourhood drawn on the map view, with a button removing it (only when drawn) | `area` |
+ * | **Comune** | Toggle chips (one per comune, most listings first; only for searches over several comuni) | `comuni` |
+ * | **Fonte** | Toggle chips (one per portal, with its number of listings) | `sources` |
+ * | **Prezzo / Metri Quadri / Locali** | `<DoubleSlider>` (limits from the fetched data) | `price` / `mq` / `rooms` |
+ * | **Riscaldamento autonomo** | `<Switch>` | `autonomous` |
+ * | **Classe energetica** | Toggle buttons (only the classes present) | `energy` |
+ * | **Data asta** | Two date fields | `auction_from` / `auction_to` |
+ * | **Quote parziali / Condono** | `<Switch>` | `exclude_shares` / `exclude_condono` |
+ * | **Occupazione / Categoria catastale / Servizi vicini** | Toggle chips | `occupancy` / `categories` / `near` |
+ *
+ * The last group filters on the data extracted from the descriptions (see `extractFacts`).
+ *
+ * Each facet shows how many listings it keeps (see `facetCounts`); toggle options show
+ * how many listings selecting them would keep.
+ * A range covering the whole slider is stored as `null` (facet disabled), so listings
+ * added later by the stream are not filtered out by stale limits.
+ *
+ * ---
+ *
+ * @component
+ *
+ * @param {Object} props
+ * Component props.
+ *
+ * @param {MergedListing[]} props.listings
+ * All the normalized listings of the search (before refining).
+ *
+ * @param {Refine} props.refine
+ * The current sidebar state (see `searchParamsToRefine`).
+ *
+ * @param {(refine: Refine) => void} props.onChange
+ * Called with the whole new state whenever a facet changes.
+ *
+ * @returns {JSX.Element}
+ * The sidebar.
+ *
+ * ---
+ *
+ * @example
+ * ```jsx
+ * <RefineSidebar
+ *   listings={results}
+ *   refine={refine}
+ *   onChange={(next) => setSearchParams((prev) => withRefine(prev, next), { replace: true })}
+ * />
+ * ```
+ */
+export default function RefineSidebar({ listings, refine, onChange }) {
+    const counts = useMemo(() => facetCounts(listings, refine), [listings, refine]);
+    const bounds = useMemo(
+        () => Object.fromEntries(
+            RANGE_FACETS.map(({ field, step }) => [field, rangeBounds(listings, (l) => l[field], step)])
+        ),
+        [listings]
+    );
+    const categories = useMemo(
+        () => [...new Set(listings.map((l) => l.facts.cadastral?.category).filter(Boolean))].sort(),
+        [listings]
+    );
+    // comuni of the listings (see `locateListings`), the ones with most listings first
+    const comuni = useMemo(() => {
+        const perComune = {};
+        for (const { city_code } of listings) {
+            if (city_code) perComune[city_code] = (perComune[city_code] ?? 0) + 1;
+        }
+        return Object.keys(perComune).sort((a, b) => perComune[b] - perComune[a] || a.localeCompare(b));
+    }, [listings]);
+    const isActive = JSON.stringify(refine) !== JSON.stringify(EMPTY_REFINE);
+
+    const update = (patch) => onChange({ ...refine, ...patch });
+
+    return (
+        <aside className="refine-sidebar-container">
+            <div className="w-full flex flex-row justify-between items-center">
+                <h2 className="h3-title">Affina risultati</h2>
+                {isActive && (
+                    <button
+                        type="button"
+                        className="underline underline-offset-2 text-primary"
+                        onClick={() => onChange({ ...EMPTY_REFINE })}
+                    >
+                        Azzera
+                    </button>
+                )}
+            </div>
+
+            {refine.area && (
+                <div className="refine-facet-container">
+                    <h3 className="h3-title">Zona</h3>
+                    <p className="flex flex-row items-center gap-2 text-gray-600">
+                        <MapPinned className="result-info-icon" />
+                        Zona disegnata sulla mappa
+                    </p>
+                    <button
+                        type="button"
+                        className="underline underline-offset-2 text-primary"
+                        onClick={() => update({ area: null })}
+                    >
+                        Rimuovi zona
+                    </button>
+                    <FacetCount count={counts.area} />
+                </div>
+            )}
+
+            {comuni.length > 1 && (
+                <ChipFacet
+                    title="Comune"
+                    values={comuni}
+                    selected={refine.comuni}
+                    count={counts.comuni}
+                    onChange={(comuni) => update({ comuni })}
+                    label={(code) => (findComune(code) ? comuneLabel(findComune(code)) : code)}
+                />
+            )}
+
+            <ChipFacet
+                title="Fonte"
+                values={SOURCES.map((s) => s.id)}
+                selected={refine.sources}
+                count={counts.sources}
+                onChange={(sources) => update({ sources })}
+                label={(id) => getSource(id).name}
+            />
+
+            {RANGE_FACETS.map(({ field, title, icon, step }) => {
+                const range = bounds[field];
+                // nothing to refine when no listing has the field (or all have the same value)
+                if (!range || range[0] === range[1]) return null;
+                return (
+                    <div className="refine-facet-container" key={field}>
+                        <DoubleSlider
+                            title={title}
+                            icon={icon}
+                            label={title}
+                            value={refine[field] ?? range}
+                            min={range[0]}
+                            max={range[1]}
+                            step={step}
+                            onCommit={([lo, hi]) => update({
+                                [field]: lo <= range[0] && hi >= range[1] ? null : [lo, hi],
+                            })}
+                        />
+                        <FacetCount count={counts[field]} />
+                    </div>
+                );
+            })}
+
+            <div className="refine-facet-container">
+                <FormControlLabel
+                    control={
+                        <Switch
+                            checked={refine.autonomous}
+                            onChange={(e) => update({ autonomous: e.target.checked })}
+                        />
+                    }
+                    label={`Riscaldamento autonomo (${counts.autonomous.on})`}
+                />
+            </div>
+
+            <ChipFacet
+                title="Classe energetica"
+                values={ENERGY_CLASSES}
+                selected={refine.energy}
+                count={counts.energy}
+                onChange={(energy) => update({ energy })}
+            />
+
+            <div className="refine-facet-container">
+                <h3 className="h3-title">Data asta</h3>
+                <div className="w-full flex flex-row gap-2">
+                    <TextField
+                        size="small"
+                        type="date"
+                        label="Dal"
+                        value={refine.auction_from ?? ""}
+                        onChange={(e) => update({ auction_from: e.target.value || null })}
+                        slotProps={{ inputLabel: { shrink: true } }}
+                    />
+                    <TextField
+                        size="small"
+                        type="date"
+                        label="Al"
+                        value={refine.auction_to ?? ""}
+                        onChange={(e) => update({ auction_to: e.target.value || null })}
+                        slotProps={{ inputLabel: { shrink: true } }}
+                    />
+                </div>
+                <FacetCount count={counts.auction} />
+            </div>
+
+            <h2 className="h3-title">Dalla descrizione</h2>
+
+            <div className="refine-facet-container">
+                <FormControlLabel
+                    control={
+                        <Switch
+                            checked={refine.exclude_shares}
+                            onChange={(e) => update({ exclude_shares: e.target.checked })}
+                        />
+                    }
+                    label={`Escludi quote parziali (${counts.exclude_shares.on})`}
+                />
+                <FormControlLabel
+                    control={
+                        <Switch
+                            checked={refine.exclude_condono}
+                            onChange={(e) => update({ exclude_condono: e.target.checked })}
+                        />
+                    }
+                    label={`Escludi condoni e sanatorie (${counts.exclude_condono.on})`}
+                />
+            </div>
+
+            <ChipFacet
+                title="Occupazione"
+                values={Object.keys(OCCUPANCY_LABELS)}
+                selected={refine.occupancy}
+                count={counts.occupancy}
+                onChange={(occupancy) => update({ occupancy })}
+                label={(value) => OCCUPANCY_LABELS[value]}
+            />
+            <ChipFacet
+                title="Categoria catastale"
+                values={categories}
+                selected={refine.categories}
+                count={counts.categories}
+                onChange={(categories) => update({ categories })}
+            />
+            <ChipFacet
+                title={`Servizi entro ${NEAR_KM} km`}
+                values={SERVICES}
+                selected={refine.near}
+                count={counts.near}
+                onChange={(near) => update({ near })}
+                label={(value) => value[0].toUpperCase() + value.slice(1)}
+            />
+        </aside>
+    );
+}
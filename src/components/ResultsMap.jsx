@@ -0,0 +1,302 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { Link, useLocation } from "react-router-dom";
+import { Check, Pencil, Trash2, X } from "lucide-react";
+import "leaflet/dist/leaflet.css";
+import RiskBadge from "./RiskBadge";
+import { MAP_TILES, clusterListings } from "../lib/map";
+import { listingPath } from "../lib/routing";
+import { formatDate, formatMoney } from "../lib/utils";
+
+/**
+ * **ITALY_BOUNDS**
+ *
+ * View of the map before the listings are placed.
+ *
+ * @constant
+ * @type {[[number, number], [number, number]]}
+ */
+const ITALY_BOUNDS = [[36.6, 6.6], [47.1, 18.5]];
+
+const AREA_STYLE = Object.freeze({ color: "#243677", weight: 2, fillColor: "#ebbd47", fillOpacity: 0.15 });
+
+// vertices are stored in the URL (`&area=`): 5 decimals are about one metre
+const roundCoord = (value) => Math.round(value * 1e5) / 1e5;
+
+/**
+ * **MapPopupCard**
+ *
+ * Card of an auction in the popup of a marker: title, address, auction date, price,
+ * surface, risk and the link to the detail view.
+ *
+ * @param {{listing: MergedListing, search: string}} props
+ */
+function MapPopupCard({ listing, search }) {
+    return (
+        <div className="map-popup-card">
+            <b className="text-primary">{listing.title ?? "Annuncio senza titolo"}</b>
+            {listing.address && <p className="text-gray-600">{listing.address}</p>}
+            <p>
+                {listing.auction_date ? formatDate(listing.auction_date) : "Data asta non indicata"}
+                {listing.price != null && <> · <b>€ {formatMoney(listing.price)}</b></>}
+                {listing.mq != null && ` · ${listing.mq} m²`}
+            </p>
+            <RiskBadge risk={listing.risk} />
+            {listing.geo.precision === "comune" && (
+                <p className="text-xs text-gray-500">Posizione indicativa: centro del comune</p>
+            )}
+            <Link className="map-popup-link" to={listingPath(listing.id, search)} state={{ fromResults: true }}>
+                Scopri di più
+            </Link>
+        </div>
+    );
+}
+
+/**
+ * **ResultsMap**
+ *
+ * React functional component rendering the **map view** of the results page (Leaflet):
+ *
+ * - every listing with a position (see `locateOnMap`) is a marker; markers that would overlap
+ *   at the current zoom are grouped in a cluster showing their number (see `clusterListings`),
+ *   and clicking a cluster zooms into it;
+ * - clicking a marker opens a popup card of the auction (or the list of the auctions in the
+ *   same place, e.g. placed at the centre of the same comune);
+ * - "Disegna zona" lets the user click the vertices of a neighbourhood: once applied, the
+ *   polygon becomes the `area` refine (`&area=`), so the grid, the calendar, the exports and the
+ *   dossier keep only the listings inside it.
+ *
+ * The base layer comes from `MAP_TILES` (a local tile server, or no tiles at all offline).
+ * Leaflet is loaded only when the map is first shown.
+ *
+ * ---
+ *
+ * @component
+ *
+ * @param {Object} props
+ * Component props.
+ *
+ * @param {MergedListing[]} props.listings
+ * The listings shown (refined and sorted), with their `geo` position.
+ *
+ * @param {Array<[number, number]>|null} props.area
+ * The neighbourhood currently drawn (`Refine.area`).
+ *
+ * @param {(area: Array<[number, number]>|null) => void} props.onAreaChange
+ * Called with the new neighbourhood, or `null` when it is removed.
+ *
+ * @returns {JSX.Element}
+ *
+ * @example
+ * ```jsx
+ * <ResultsMap
+ *     listings={sortedResults}
+ *     area={refine.area}
+ *     onAreaChange={(area) => setRefine({ ...refine, area })}
+ * />
+ * ```
+ */
+export default function ResultsMap({ listings, area, onAreaChange }) {
+    const location = useLocation();
+    const containerRef = useRef(null);
+    const fittedRef = useRef(false);
+    // Leaflet, the map and its layers, once loaded
+    const [ctx, setCtx] = useState(null);
+    const [zoom, setZoom] = useState(null);
+    // cluster whose popup is open
+    const [popup, setPopup] = useState(null);
+    // vertices of the neighbourhood being drawn, `null` when not drawing
+    const [draft, setDraft] = useState(null);
+    const drawing = draft !== null;
+
+    const located = useMemo(() => listings.filter((l) => l.geo), [listings]);
+    const approximate = located.filter((l) => l.geo.precision === "comune").length;
+
+    useEffect(() => {
+        let cancelled = false;
+        let map = null;
+        import("leaflet").then(({ default: L }) => {
+            if (cancelled) return;
+            map = L.map(containerRef.current, { maxZoom: MAP_TILES.maxZoom });
+            if (MAP_TILES.url) {
+                L.tileLayer(MAP_TILES.url, { attribution: MAP_TILES.attribution, maxZoom: MAP_TILES.maxZoom }).addTo(map);
+            }
+            map.fitBounds(ITALY_BOUNDS);
+            map.on("zoomend", () => setZoom(map.getZoom()));
+            setZoom(map.getZoom());
+            setCtx({
+                L,
+                map,
+                markers: L.layerGroup().addTo(map),
+                shapes: L.layerGroup().addTo(map),
+                popupNode: document.createElement("div"),
+            });
+        });
+        return () => {
+            cancelled = true;
+            map?.remove();
+        };
+    }, []);
+
+    // the first time there are listings, frame them (or the neighbourhood drawn)
+    useEffect(() => {
+        if (!ctx || fittedRef.current || (!located.length && !area)) return;
+        fittedRef.current = true;
+        const points = area ?? located.map((l) => [l.geo.lat, l.geo.lng]);
+        ctx.map.fitBounds(ctx.L.latLngBounds(points), { padding: [32, 32], maxZoom: 14 });
+    }, [ctx, located, area]);
+
+    useEffect(() => {
+        if (!ctx || zoom === null) return;
+        const { L, map, markers } = ctx;
+        markers.clearLayers();
+
+        for (const cluster of clusterListings(located, (p) => map.project([p.lat, p.lng], zoom))) {
+            const count = cluster.listings.length;
+            const marker = L.marker([cluster.lat, cluster.lng], {
+                icon: L.divIcon({
+                    className: count > 1 ? "map-cluster" : "map-marker",
+                    html: count > 1 ? String(count) : "",
+                    iconSize: count > 1 ? [36, 36] : [18, 18],
+                }),
+                title: count > 1 ? `${count} annunci` : cluster.listings[0].title ?? cluster.listings[0].id,
+                // while drawing, clicks on the markers add vertices too
+                interactive: !drawing,
+            });
+            marker.on("click", () => {
+                const spread = L.latLngBounds(cluster.listings.map((l) => [l.geo.lat, l.geo.lng]));
+                // listings in the very same place cannot be split by zooming: list them in the popup
+                if (count > 1 && zoom < map.getMaxZoom() && !spread.getNorthEast().equals(spread.getSouthWest())) {
+                    map.fitBounds(spread, { padding: [48, 48] });
+                } else {
+                    setPopup(cluster);
+                }
+            });
+            markers.addLayer(marker);
+        }
+    }, [ctx, located, zoom, drawing]);
+
+    useEffect(() => {
+        if (!ctx || !popup) return;
+        const opened = ctx.L.popup({ minWidth: 240, maxWidth: 320 })
+            .setLatLng([popup.lat, popup.lng])
+            .setContent(ctx.popupNode)
+            .openOn(ctx.map);
+        opened.on("remove", () => setPopup(null));
+        return () => {
+            opened.off("remove");
+            opened.remove();
+        };
+    }, [ctx, popup]);
+
+    // while drawing, every click on the map adds a vertex
+    useEffect(() => {
+        if (!ctx || !drawing) return;
+        const { map } = ctx;
+        const addVertex = (e) => setDraft((prev) => [...prev, [roundCoord(e.latlng.lat), roundCoord(e.latlng.lng)]]);
+        map.on("click", addVertex);
+        map.doubleClickZoom.disable();
+        map.getContainer().classList.add("map-drawing");
+        return () => {
+            map.off("click", addVertex);
+            map.doubleClickZoom.enable();
+            map.getContainer().classList.remove("map-drawing");
+        };
+    }, [ctx, drawing]);
+
+    useEffect(() => {
+        if (!ctx) return;
+        const { L, shapes } = ctx;
+        shapes.clearLayers();
+        if (draft) {
+            if (draft.length > 1) shapes.addLayer(L.polyline(draft, { ...AREA_STYLE, dashArray: "6 6", interactive: false }));
+            draft.forEach((vertex) => shapes.addLayer(L.circleMarker(vertex, { ...AREA_STYLE, radius: 4, interactive: false })));
+        } else if (area) {
+            shapes.addLayer(L.polygon(area, { ...AREA_STYLE, interactive: false }));
+        }
+    }, [ctx, draft, area]);
+
+    const applyDraft = () => {
+        onAreaChange(draft);
+        setDraft(null);
+    };
+
+    return (
+        <div className="map-container">
+            <div className="map-toolbar">
+                <p className="text-gray-600">
+                    <b>{located.length}</b> {located.length === 1 ? "annuncio" : "annunci"} sulla mappa
+                    {approximate > 0 && ` · ${approximate} in posizione indicativa`}
+                    {listings.length > located.length && ` · ${listings.length - located.length} senza posizione`}
+                </p>
+                <div className="flex flex-row flex-wrap items-center gap-2">
+                    {drawing ? (
+                        <>
+                            <span className="text-sm text-gray-600">
+                                Clicca sulla mappa i vertici della zona ({draft.length})
+                            </span>
+                            <button
+                                type="button"
+                                className="refine-chip refine-chip-active flex flex-row items-center gap-2"
+                                disabled={draft.length < 3}
+                                onClick={applyDraft}
+                            >
+                                <Check className="size-4" />
+                                Applica zona
+                            </button>
+                            <button
+                                type="button"
+                                className="refine-chip flex flex-row items-center gap-2"
+                                onClick={() => setDraft(null)}
+                            >
+                                <X className="size-4" />
+                                Annulla
+                            </button>
+                        </>
+                    ) : (
+                        <>
+                            <button
+                                type="button"
+                                className="refine-chip flex flex-row items-center gap-2"
+                                onClick={() => {
+                                    setPopup(null);
+                                    setDraft([]);
+                                }}
+                            >
+                                <Pencil className="size-4" />
+                                {area ? "Ridisegna zona" : "Disegna zona"}
+                            </button>
+                            {area && (
+                                <button
+                                    type="button"
+                                    className="refine-chip flex flex-row items-center gap-2"
+                                    onClick={() => onAreaChange(null)}
+                                >
+                                    <Trash2 className="size-4" />
+                                    Rimuovi zona
+                                </button>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+
+            <div ref={containerRef} className="map-canvas" />
+            {!MAP_TILES.url && (
+                <p className="text-xs text-gray-500">Mappa senza sfondo: nessun server di tile configurato.</p>
+            )}
+
+            {ctx && popup && createPortal(
+                <div className="map-popup">
+                    {popup.listings.length > 1 && (
+                        <p className="text-sm text-gray-600">{popup.listings.length} annunci in questo punto</p>
+                    )}
+                    {popup.listings.map((listing) => (
+                        <MapPopupCard key={listing.id} listing={listing} search={location.search} />
+                    ))}
+                </div>,
+                ctx.popupNode
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,90 @@
+import React from "react";
+import { Tooltip } from "@mui/material";
+import { ShieldAlert, ShieldCheck, TriangleAlert } from "lucide-react";
+import { RISK_LEVELS } from "../lib/risk";
+
+/**
+ * **RISK_STYLES**
+ *
+ * Class and icon of the badge for each `Risk.level`.
+ *
+ * @constant
+ * @type {Readonly<Record<string, {className: string, icon: JSX.Element}>>}
+ */
+const RISK_STYLES = Object.freeze({
+    high: { className: "risk-badge-high", icon: <ShieldAlert className="size-4" /> },
+    medium: { className: "risk-badge-medium", icon: <TriangleAlert className="size-4" /> },
+    low: { className: "risk-badge-low", icon: <ShieldCheck className="size-4" /> },
+});
+
+/**
+ * **RiskFlagList**
+ *
+ * List of the risk flags of a listing, each with its supporting sentence quoted.
+ * Used inside the badge tooltip and in the detail page.
+ *
+ * @component
+ *
+ * @param {Object} props
+ * @param {RiskFlag[]} props.flags
+ * The flags (see `assessRisk`).
+ *
+ * @returns {JSX.Element}
+ */
+export function RiskFlagList({ flags }) {
+    return (
+        <ul className="risk-flag-list">
+            {flags.map((flag) => (
+                <li key={flag.id} className="flex flex-col gap-1">
+                    <span className={`risk-flag-label ${flag.severity === "red" ? "text-red-600" : "text-amber-600"}`}>
+                        {flag.label}
+                    </span>
+                    {flag.quote && <q className="risk-flag-quote">{flag.quote}</q>}
+                </li>
+            ))}
+        </ul>
+    );
+}
+
+/**
+ * **RiskBadge**
+ *
+ * React functional component rendering the **risk badge** of a listing card:
+ * red for high risk, amber for listings to verify, green when no flag was raised.
+ * Hovering (or focusing) the badge shows every flag with the sentence of the
+ * description supporting it.
+ *
+ * ---
+ *
+ * @component
+ *
+ * @param {Object} props
+ * Component props.
+ *
+ * @param {Risk} props.risk
+ * The risk of the listing (`listing.risk`, see `assessRisk`).
+ *
+ * @returns {JSX.Element}
+ *
+ * @example
+ * ```jsx
+ * <RiskBadge risk={listing.risk} />
+ * ```
+ */
+export default function RiskBadge({ risk }) {
+    const { className, icon } = RISK_STYLES[risk.level];
+    const badge = (
+        <span className={`risk-badge ${className}`} tabIndex={risk.flags.length ? 0 : undefined}>
+            {icon}
+            {RISK_LEVELS[risk.level]}
+            {risk.flags.length > 0 && ` (${risk.flags.length})`}
+        </span>
+    );
+
+    if (!risk.flags.length) return badge;
+    return (
+        <Tooltip title={<RiskFlagList flags={risk.flags} />} arrow placement="bottom-start">
+            {badge}
+        </Tooltip>
+    );
+}
@@ -0,0 +1,86 @@
+import React, { useState } from "react";
+import { Button, Dialog, DialogActions, DialogContent, DialogTitle, TextField } from "@mui/material";
+import { Bookmark, BookmarkCheck } from "lucide-react";
+import { findSavedSearch, saveSearch, useSavedSearches } from "../lib/savedSearches";
+import { filterSummary } from "../lib/search";
+
+/**
+ * **SaveSearchButton**
+ *
+ * React functional component rendering the **"Salva ricerca"** button of the results page.
+ * It opens a dialog asking a name for the search (suggested from its criteria, see
+ * `filterSummary`) and saves the complete filter (see `saveSearch`), so it can be run again
+ * from the search landing page.
+ *
+ * When the current search is already saved the button shows its name and saving again
+ * renames it.
+ *
+ * ---
+ *
+ * @component
+ *
+ * @param {Object} props
+ * Component props.
+ *
+ * @param {Filter} props.filter
+ * The filter of the current search (see `searchParamsToFilter`).
+ *
+ * @returns {JSX.Element}
+ *
+ * @example
+ * ```jsx
+ * <SaveSearchButton filter={searchParamsToFilter(searchParams)} />
+ * ```
+ */
+export default function SaveSearchButton({ filter }) {
+    const saved = findSavedSearch(useSavedSearches(), filter);
+    const [open, setOpen] = useState(false);
+    const [name, setName] = useState("");
+
+    const openDialog = () => {
+        setName(saved?.name ?? filterSummary(filter).slice(0, 3).join(" · "));
+        setOpen(true);
+    };
+
+    const submit = (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+        saveSearch(name.trim(), filter);
+        setOpen(false);
+    };
+
+    return (
+        <>
+            <button
+                type="button"
+                className={`refine-chip flex flex-row items-center gap-2 ${saved ? "refine-chip-active" : ""}`}
+                onClick={openDialog}
+                title={saved ? "Rinomina la ricerca salvata" : "Salva questa ricerca per ripeterla in seguito"}
+            >
+                {saved ? <BookmarkCheck className="size-4" /> : <Bookmark className="size-4" />}
+                {saved ? `Salvata come “${saved.name}”` : "Salva ricerca"}
+            </button>
+
+            <Dialog open={open} onClose={() => setOpen(false)} fullWidth maxWidth="xs">
+                <form onSubmit={submit}>
+                    <DialogTitle>{saved ? "Rinomina ricerca" : "Salva ricerca"}</DialogTitle>
+                    <DialogContent>
+                        <TextField
+                            autoFocus
+                            margin="dense"
+                            label="Nome della ricerca"
+                            value={name}
+                            onChange={(e) => setName(e.target.value)}
+                            fullWidth
+                        />
+                        <p className="description-paragraph pt-2">{filterSummary(filter).join(" · ")}</p>
+                    </DialogContent>
+                    <DialogActions>
+                        <Button onClick={() => setOpen(false)}>Annulla</Button>
+                        <Button type="submit" variant="contained" disabled={!name.trim()}>Salva</Button>
+                    </DialogActions>
+                </form>
+            </Dialog>
+        </>
+    );
+}
@@ -0,0 +1,86 @@
+import React from "react";
+import { Pencil, Play, Trash2 } from "lucide-react";
+import { deleteSavedSearch, useSavedSearches } from "../lib/savedSearches";
+import { filterSummary } from "../lib/search";
+
+/**
+ * **SavedSearchList**
+ *
+ * React functional component rendering the **saved searches** on the search landing page
+ * (step 0 of the wizard): name and criteria of each search, with the actions to run it
+ * again with one click, to edit it in the wizard, or to delete it.
+ * Nothing is rendered when no search was saved.
+ *
+ * ---
+ *
+ * @component
+ *
+ * @param {Object} props
+ * Component props.
+ *
+ * @param {(filter: Filter) => void} props.onRun
+ * Runs the saved filter again (navigates to the results, without reusing the cached ones).
+ *
+ * @param {(filter: Filter) => void} props.onEdit
+ * Loads the saved filter in the wizard, from step 0.
+ *
+ * @returns {JSX.Element|null}
+ *
+ * @example
+ * ```jsx
+ * <SavedSearchList
+ *   onRun={(f) => {
+ *     clearResults();
+ *     navigate(resultsPath(f));
+ *   }}
+ *   onEdit={(f) => setFilter({ ...BASEFILTER, ...f })}
+ * />
+ * ```
+ */
+export default function SavedSearchList({ onRun, onEdit }) {
+    const searches = useSavedSearches();
+    if (!searches.length) return null;
+
+    return (
+        <section className="saved-search-container" aria-label="Ricerche salvate">
+            <h2 className="h3-title">Le tue ricerche salvate</h2>
+            <ul className="saved-search-list">
+                {searches.map((search) => (
+                    <li className="saved-search-item" key={search.id}>
+                        <div className="flex flex-col min-w-0">
+                            <b className="truncate">{search.name}</b>
+                            <p className="description-paragraph truncate">{filterSummary(search.filter).join(" · ")}</p>
+                        </div>
+                        <div className="flex flex-row items-center gap-3 shrink-0">
+                            <button
+                                type="button"
+                                className="saved-search-action text-primary"
+                                onClick={() => onRun(search.filter)}
+                            >
+                                <Play className="size-4" />
+                                Avvia
+                            </button>
+                            <button
+                                type="button"
+                                className="saved-search-action"
+                                onClick={() => onEdit(search.filter)}
+                            >
+                                <Pencil className="size-4" />
+                                Modifica
+                            </button>
+                            <button
+                                type="button"
+                                className="saved-search-action hover:text-red-600"
+                                aria-label={`Elimina ${search.name}`}
+                                title="Elimina"
+                                onClick={() => deleteSavedSearch(search.id)}
+                            >
+                                <Trash2 className="size-4" />
+                            </button>
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </section>
+    );
+}
@@ -0,0 +1,53 @@
+import React from "react";
+import { getSource } from "../lib/sources";
+
+/**
+ * **SourceLinks**
+ *
+ * React functional component rendering the **attribution** of a listing: logo and name
+ * of every portal publishing the lot (see `SOURCES`), each linking to the announcement
+ * on that portal (or to the portal homepage when the link is missing). Portals missing from
+ * the registry are shown by their raw `source` id, without logo, when the link is known.
+ *
+ * ---
+ *
+ * @component
+ *
+ * @param {Object} props
+ * Component props.
+ *
+ * @param {SourceRef[]} props.links
+ * The publications of the lot (`listing.links`, see `dedupeListings`).
+ *
+ * @returns {JSX.Element|null}
+ * The attribution, or `null` when there is nothing to link to.
+ *
+ * @example
+ * ```jsx
+ * <SourceLinks links={listing.links} />
+ * ```
+ */
+export default function SourceLinks({ links }) {
+    const items = links
+        .map((link) => ({ ...link, portal: getSource(link.source) }))
+        .filter((link) => link.portal || link.url);
+    if (!items.length) return null;
+
+    return (
+        <span className="flex flex-row flex-wrap items-center pt-4 gap-2">
+            <p className="text-gray-500">{items.length > 1 ? "Fonti:" : "Fonte:"}</p>
+            {items.map(({ id, source, url, portal }) => (
+                <a
+                    key={`${source}:${id}`}
+                    href={url ?? portal.homepage}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="flex flex-row items-center gap-1 text-gray-600 underline underline-offset-2"
+                >
+                    {portal && <img src={portal.logo} alt="" className="size-4" loading="lazy" />}
+                    <b>{portal?.name ?? source}</b>
+                </a>
+            ))}
+        </span>
+    );
+}
@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import {
     Slider,
     Autocomplete,
@@ -12,7 +12,7 @@ import {
     Box
 } from "@mui/material";
 import ArrowCircleRightIcon from '@mui/icons-material/ArrowCircleRight';
-import { cityFilter } from "../lib/utils";
+import { createCityFilter, prepareCityIndex } from "../lib/citySearch";
 
 /**
  * **AutocompleteSearchBar**
@@ -21,7 +21,8 @@ import { cityFilter } from "../lib/utils";
  * with autocomplete suggestions based on user input.
  *
  * It extends MUI’s `<Autocomplete>` with a **custom filtering algorithm (`cityFilter`)**
- * that ranks results by textual similarity (not just prefix match), making it ideal for large lists of Italian cities.
+ * that searches a prebuilt index of the options, ranks results by textual similarity (not just
+ * prefix match) and tolerates typos, making it ideal for large lists of Italian cities.
  *
  * ---
  *
@@ -29,7 +30,16 @@ import { cityFilter } from "../lib/utils";
  * - Displays a text field (`TextField`) with suggestion dropdown.
  * - Syncs the internal input text (`inputValue`) with the parent-controlled `value`.
  * - When the user selects an option, both `setValue` (parent) and `inputValue` (internal) are updated.
- * - Uses the custom filter `cityFilter` for flexible, accent-insensitive matches.
+ * - Uses the custom filter `cityFilter` for flexible, accent-insensitive and typo-tolerant
+ *   matches (`"S. Angelo"`, `"Milnao"`), at most `MAX_SUGGESTIONS` at a time; the index of the
+ *   `options` is built once per array, so keep the same array between renders.
+ * - Options can be plain strings or objects (e.g. the `Comune` records): objects are shown
+ *   and matched through `getOptionLabel` and compared through `isOptionEqualToValue`, so
+ *   homonyms with different labels (`"Castro (BG)"`, `"Castro (LE)"`) stay distinct.
+ * - With `multiple`, several options can be selected: they are shown as chips, the text is
+ *   cleared after each selection and the selected options leave the suggestions.
+ * - With `freeSolo`, any text can be confirmed with `Enter` (e.g. an address): `setValue`
+ *   then receives the typed string.
  *
  * ---
  *
@@ -38,19 +48,34 @@ import { cityFilter } from "../lib/utils";
  * @param {Object} props
  * Component props.
  *
- * @param {string|null} [props.value=null]
- * The **currently selected city** (controlled value).
+ * @param {string|Object|Array<string|Object>|null} [props.value=null]
+ * The **currently selected city** (controlled value), one of the `options`
+ * (an array of them with `multiple`).
  * If `null`, no city is selected and the input shows the current text only.
  *
- * @param {(newValue: string|null) => void} props.setValue
+ * @param {(newValue: string|Object|Array<string|Object>|null) => void} props.setValue
  * Callback function to update the parent component when a new city is selected.
- * Receives either a `string` (selected city) or `null` (if cleared).
+ * Receives the selected option or `null` (if cleared); with `multiple`, the array of the
+ * selected options.
  *
- * @param {Array<string|{nome?: string, label?: string}>} props.options
+ * @param {Array<string|Object>} props.options
  * List of **available city options** for autocomplete.
  * Each item can be:
  * - a simple string (e.g. `"Roma"`)
- * - an object with a `nome` or `label` property.
+ * - an object, labelled by `getOptionLabel` (e.g. a `Comune`).
+ *
+ * @param {(option: string|Object) => string} [props.getOptionLabel=String]
+ * Text shown (and searched) for an option.
+ *
+ * @param {(option: string|Object, value: string|Object) => boolean} [props.isOptionEqualToValue]
+ * Tells whether an option is the selected value (default: strict equality).
+ *
+ * @param {boolean} [props.multiple=false]
+ * Allows selecting several options.
+ *
+ * @param {boolean} [props.freeSolo=false]
+ * Allows confirming a text that is not among the options (`getOptionLabel` then also
+ * receives strings).
  *
  * @param {string} [props.label=""]
  * Label displayed in the text field (`TextField`’s `label` prop).
@@ -63,7 +88,6 @@ import { cityFilter } from "../lib/utils";
  * @example
  * ```jsx
  * import { AutocompleteSearchBar } from "./AutocompleteSearchBar";
- * import { cityFilter } from "./utils";
  *
  * const allCities = ["Roma", "Milano", "Torino", "Napoli"];
  *
@@ -79,37 +103,66 @@ import { cityFilter } from "../lib/utils";
  *     />
  *   );
  * }
+ *
+ * // structured options: "Castro (BG)" and "Castro (LE)" are two different choices
+ * <AutocompleteSearchBar
+ *   value={comune}
+ *   setValue={setComune}
+ *   options={comuni}
+ *   getOptionLabel={comuneLabel}
+ *   isOptionEqualToValue={(option, value) => option.code === value.code}
+ * />
  * ```
  *
  * ---
  *
  * @usage
  * - Ideal as step 2 (“Dove lo stai cercando?”) of the property search wizard.
- * - Combine with the `cityFilter`, `normalize`, and `getLabel` utilities for best results.
- * - Supports full-text search with accent normalization and prioritization of exact/prefix matches.
+ * - Supports full-text search with accent normalization, `S.`/`San`/`Santo` aliases, typo
+ *   tolerance and prioritization of exact/prefix matches (see `cityFilter`).
  *
  * @accessibility
  * - Supports keyboard navigation and selection (`Enter`, `Home`, `End`).
  * - `autoHighlight` and `selectOnFocus` improve UX consistency.
  */
-export function AutocompleteSearchBar({ value = null, setValue, options, label = "" }) {
+export function AutocompleteSearchBar({ value = null, setValue, options, label = "", getOptionLabel = String, isOptionEqualToValue, multiple = false, freeSolo = false }) {
+    // the label getter is usually an inline function: the latest one is read from a ref, so
+    // a new one neither resets the text nor rebuilds the search index
+    const labelRef = useRef(getOptionLabel);
+    useEffect(() => {
+        labelRef.current = getOptionLabel;
+    });
+
+    // with `multiple` the selection is shown as chips: the input only holds the typed text
+    const textOf = (option) => (multiple || option == null ? "" : labelRef.current(option));
+
     // text shown in the input
-    const [inputValue, setInputValue] = useState(value ?? "");
+    const [inputValue, setInputValue] = useState(multiple || value == null ? "" : getOptionLabel(value));
+
+    const filterOptions = useMemo(() => createCityFilter(options, (option) => labelRef.current(option)), [options]);
+
+    // the search index is built while the browser is idle, before the first keystroke
+    useEffect(() => prepareCityIndex(options, (option) => labelRef.current(option)), [options]);
 
     // if the parent changes `value`, update the visible text
     useEffect(() => {
-        setInputValue(value ?? "");
-    }, [value]);
+        setInputValue(multiple || value == null ? "" : labelRef.current(value));
+    }, [value, multiple]);
 
     return (
         <Autocomplete
             className="w-full"
-            options={options}                 // array of strings
-            filterOptions={cityFilter}
-            value={value}                     // selected string (or null)
+            options={options}                 // array of strings or objects
+            filterOptions={filterOptions}
+            getOptionLabel={getOptionLabel}
+            isOptionEqualToValue={isOptionEqualToValue}
+            multiple={multiple}
+            freeSolo={freeSolo}
+            filterSelectedOptions={multiple}
+            value={multiple ? value ?? [] : value}  // selected option (or null)
             onChange={(_, newValue) => {
                 setValue(newValue ?? null);     // save in parent
-                setInputValue(newValue ?? "");  // fill input with selected
+                setInputValue(textOf(newValue));  // fill input with selected
             }}
             inputValue={inputValue}           // text typed/displayed
             onInputChange={(_, newInput) => setInputValue(newInput)}
@@ -697,6 +750,13 @@ export function ProceedButton({
  * @param {string} [props.color="var(--color-cinnabar)"]
  * Custom color for the spinner and text (CSS variable or valid color string).
  *
+ * @param {string} [props.className="loading-spinner-section"]
+ * CSS class applied to the outer container. Override it when nesting spinners
+ * (e.g. the per-source progress of a scraping job).
+ *
+ * @param {React.ReactNode} [props.children]
+ * Optional content rendered below the message (e.g. secondary progress indicators).
+ *
  * @returns {JSX.Element}
  * A composed layout with a circular progress bar, numeric percentage indicator,
  * and optional descriptive message.
@@ -731,7 +791,9 @@ export function LoadingSpinner({
     value = null,   // progress controllato (0–100), dinamico dall'esterno
     time = null,    // durata stimata in ms per la modalità “a tempo”
     size = 1,       // 0=small, 1=medium (default), 2=large
-    color = "var(--color-primary)" // opzionale: override colore
+    color = "var(--color-primary)", // opzionale: override colore
+    className = "loading-spinner-section",
+    children = null
 }) {
     // --- CONFIG TAGLIE ---------------------------------------------------------
     const sizeCfg = useMemo(() => {
@@ -792,7 +854,7 @@ export function LoadingSpinner({
     // --- RENDER ---------------------------------------------------------------
     return (
         <Box
-            className="loading-spinner-section"
+            className={className}
             sx={{
                 position: "relative",
                 display: "inline-flex",
@@ -840,6 +902,8 @@ export function LoadingSpinner({
                     {message}
                 </Typography>
             )}
+
+            {children}
         </Box>
     );
 }
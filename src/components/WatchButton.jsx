@@ -0,0 +1,47 @@
+import React from "react";
+import { Star } from "lucide-react";
+import { findWatched, unwatchListing, useWatchlist, watchListing } from "../lib/watchlist";
+
+/**
+ * **WatchButton**
+ *
+ * React functional component rendering the **star button** adding a listing to the
+ * watchlist (or removing it). A filled star, with the "Nei preferiti" label, marks the
+ * listings already watched — also when they show up again in a later search.
+ *
+ * ---
+ *
+ * @component
+ *
+ * @param {Object} props
+ * Component props.
+ *
+ * @param {MergedListing} props.listing
+ * The listing to save (see `watchListing`).
+ *
+ * @returns {JSX.Element}
+ *
+ * @example
+ * ```jsx
+ * <WatchButton listing={listing} />
+ * ```
+ */
+export default function WatchButton({ listing }) {
+    const watchlist = useWatchlist();
+    const watched = findWatched(watchlist, listing) !== null;
+    const label = watched ? "Rimuovi dai preferiti" : "Aggiungi ai preferiti";
+
+    return (
+        <button
+            type="button"
+            aria-pressed={watched}
+            className={`watch-button ${watched ? "watch-button-active" : ""}`}
+            title={label}
+            aria-label={label}
+            onClick={() => (watched ? unwatchListing(listing) : watchListing(listing))}
+        >
+            <Star className="size-5" fill={watched ? "currentColor" : "none"} />
+            {watched && "Nei preferiti"}
+        </button>
+    );
+}
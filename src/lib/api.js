@@ -1,43 +1,50 @@
 const API_BASE = import.meta.env.VITE_API_BASE;
+// optional health endpoint (e.g. "/health") pinged before a search to detect cold starts
+const API_HEALTH_PATH = import.meta.env.VITE_API_HEALTH_PATH;
 
 /**
  * **withTimeout**
  * 
- * Utility function that wraps a given `Promise` and enforces a **maximum execution time**.  
- * If the promise does not settle (resolve or reject) within the specified duration,  
- * the associated `AbortController` is triggered to abort the operation.  
+ * Utility function that runs an abortable async task and enforces a **maximum execution time**.  
+ * The task receives an `AbortSignal` that fires when either:
+ * - the timeout elapses, or  
+ * - the optional external `signal` is aborted (e.g. the user pressed “Annulla ricerca”).
  * 
- * This is commonly used to safeguard asynchronous tasks (e.g. network requests)
- * against indefinite waiting times.
+ * Passing that signal to `fetch` makes the timeout (and the cancellation) **actually stop the request**,
+ * instead of merely rejecting while the request keeps running in the background.
  * 
  * ---
  * 
  * @function withTimeout
  * 
- * @param {Promise<any>} promise  
- * The promise to wrap.  
- * Typically represents an asynchronous operation such as a fetch or long-running task.
+ * @param {(signal: AbortSignal) => Promise<any>} task  
+ * Function starting the async operation with the given signal.  
+ * Typically `(signal) => fetch(url, { ...options, signal })`.
  * 
  * @param {number} [ms=60000]  
  * Timeout duration in milliseconds.  
- * Defaults to `60000` (1 minute). After this delay, the function triggers an abort signal.
+ * Defaults to `60000` (1 minute). After this delay, the signal is aborted.
+ * 
+ * @param {AbortSignal|null} [signal=null]  
+ * Optional external signal; aborting it aborts the task as well.
  * 
  * @returns {Promise<any>}  
- * A new promise that mirrors the original one,  
- * but rejects (via `AbortError`) if the timeout elapses before resolution.
+ * A promise that mirrors the task, rejecting with an `AbortError` if it is aborted
+ * (by the timeout or by the external signal).
  * 
  * ---
  * 
  * @example
  * ```js
- * // Example with a fetch request that times out after 10 seconds
- * const fetchWithTimeout = withTimeout(fetch("https://api.example.com/data"), 10000);
+ * // Example with a fetch request that times out after 10 seconds or when the user cancels
+ * const ctrl = new AbortController();
  * 
- * fetchWithTimeout
+ * withTimeout((signal) => fetch("https://api.example.com/data", { signal }), 10000, ctrl.signal)
  *   .then(res => res.json())
  *   .then(console.log)
  *   .catch(err => {
- *     if (err.name === "AbortError") console.error("Request timed out");
+ *     if (ctrl.signal.aborted) console.log("Cancelled by the user");
+ *     else if (err.name === "AbortError") console.error("Request timed out");
  *     else console.error("Fetch failed:", err);
  *   });
  * ```
@@ -46,20 +53,30 @@ const API_BASE = import.meta.env.VITE_API_BASE;
  * 
  * @usage
  * - Ideal for network operations or async workflows that require fail-safe timing.  
- * - Can be combined with `AbortController.signal` for cancellable fetch requests.  
- * - Always clears the timeout upon promise resolution or rejection to avoid leaks.
+ * - Check `signal.aborted` on the external signal to tell a cancellation from a timeout.  
+ * - Always clears the timeout and unlinks the external signal upon task resolution or
+ *   rejection to avoid leaks.
  * 
  * @notes
- * The internal `AbortController` is local and not exposed —  
- * if you need external cancellation, create and pass your own controller to the underlying async function.
+ * The timer and the external signal only cover the task's promise (for `fetch`: until the
+ * response headers arrive). A streamed body is read with its own signal (see `readNDJSON`).
  */
-function withTimeout(promise, ms = 60000) {
+function withTimeout(task, ms = 60000, signal = null) {
   const ctrl = new AbortController();
+  const onAbort = () => ctrl.abort(signal.reason);
+  if (signal?.aborted) ctrl.abort(signal.reason);
+  else signal?.addEventListener("abort", onAbort, { once: true });
+
   const t = setTimeout(() => ctrl.abort(), ms);
+  // unlinked once settled: a search's signal goes through many requests (polls, retries)
+  const settle = () => {
+    clearTimeout(t);
+    signal?.removeEventListener("abort", onAbort);
+  };
   return new Promise((resolve, reject) => {
-    promise
-      .then((v) => { clearTimeout(t); resolve(v); })
-      .catch((e) => { clearTimeout(t); reject(e); });
+    task(ctrl.signal)
+      .then((v) => { settle(); resolve(v); })
+      .catch((e) => { settle(); reject(e); });
   });
 }
 
@@ -82,10 +99,15 @@ function withTimeout(promise, ms = 60000) {
  * The request body containing the scraping parameters (e.g. city, filters, etc.).  
  * Must be serializable to JSON.
  * 
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]  
+ * Optional external signal to cancel the request (it is combined with the timeout).
+ * 
  * @throws {Error}  
  * - If the environment variable `VITE_API_BASE` is not set.  
  * - If the network request fails or the API responds with a non-OK status code.  
- * - Includes status and error details in the thrown message.
+ * - Includes status and error details in the thrown message.  
+ * - Rethrows `AbortError` unchanged (timeout or cancellation), so callers can recognize it.
  * 
  * @returns {Promise<any>}  
  * A promise resolving to the JSON-parsed response body from the API.  
@@ -123,17 +145,19 @@ function withTimeout(promise, ms = 60000) {
  * - Uses a 120 000 ms timeout to tolerate initial cold starts on serverless hosts.  
  * - Safe to use within async React handlers or service modules.
  */
-export async function scrape(payload) {
+export async function scrape(payload, { signal = null } = {}) {
   if (!API_BASE) throw new Error("VITE_API_BASE is not set");
 
   try {
     const res = await withTimeout(
-      fetch(`${API_BASE}/scrape`, {
+      (s) => fetch(`${API_BASE}/scrape`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify(payload),
+        signal: s,
       }),
-      120000 // un po’ più alto per cold start Render
+      120000, // un po’ più alto per cold start Render
+      signal
     );
   
     if (!res.ok) {
@@ -143,8 +167,699 @@ export async function scrape(payload) {
   
     return res.json();
   } catch (error) {
+    if (error?.name === "AbortError") throw error;
     throw new Error("[scrape] Error during scrape request: " + error)
   }
 }
 
 
+
+/**
+ * **ScrapeJob**
+ *
+ * Normalized status of a backend scraping job, as returned by `createScrapeJob`,
+ * `getScrapeJob` and `pollScrapeJob`.
+ *
+ * @typedef {Object} ScrapeJob
+ * @property {string} id
+ * Job identifier assigned by the backend.
+ * @property {"queued"|"running"|"done"|"failed"|"cancelled"} status
+ * Current lifecycle state of the job.
+ * @property {number} progress
+ * Overall progress (0–100). Falls back to the average of the sources when the backend omits it.
+ * @property {Array<{id: string, label: string, status: string, progress: number, found: number}>} sources
+ * Per-source progress (one entry per scraped portal).
+ * @property {Array<Object>|null} results
+ * Scraped records, available once `status` is `"done"`.
+ * @property {string|null} error
+ * Backend error message when `status` is `"failed"`.
+ */
+
+/**
+ * **sleep**
+ *
+ * Promise-based delay used between two polls of a job.
+ * Rejects with the signal's reason (an `AbortError`) as soon as `signal` is aborted.
+ *
+ * @param {number} ms
+ * Delay in milliseconds.
+ *
+ * @param {AbortSignal|null} [signal=null]
+ * Optional signal interrupting the wait.
+ *
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal = null) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const onAbort = () => { clearTimeout(t); reject(signal.reason); };
+  const t = setTimeout(() => { signal?.removeEventListener("abort", onAbort); resolve(); }, ms);
+  signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+/**
+ * **RETRYABLE_ERRORS**
+ *
+ * Error kinds (see `classifyError`) that are worth retrying: they are usually transient
+ * (network blips, overloaded or booting server, rate limiting, slow responses).
+ *
+ * @constant
+ * @type {ReadonlySet<string>}
+ */
+const RETRYABLE_ERRORS = new Set(["network", "server", "rate_limit", "timeout"]);
+
+/**
+ * **IDEMPOTENT_METHODS**
+ *
+ * HTTP methods that can be repeated safely, and are therefore retried by default by `request`.
+ * `POST` is excluded: retrying it could submit the same scraping job twice.
+ *
+ * @constant
+ * @type {ReadonlySet<string>}
+ */
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE", "OPTIONS"]);
+
+/**
+ * **classifyError**
+ *
+ * Tells what kind of failure an error thrown by the API layer represents:
+ *
+ * | Kind | Meaning |
+ * |------|---------|
+ * | `"aborted"` | the caller's `signal` was aborted (user cancellation) |
+ * | `"timeout"` | `AbortError` raised by the `withTimeout` timer |
+ * | `"rate_limit"` | HTTP `429 Too Many Requests` |
+ * | `"server"` | HTTP `5xx` (except `501 Not Implemented`) |
+ * | `"client"` | any other HTTP error (`4xx`, `501`) |
+ * | `"network"` | `fetch` failed before getting a response (`TypeError`) |
+ * | `"unknown"` | anything else (e.g. invalid JSON) |
+ *
+ * ---
+ *
+ * @function classifyError
+ *
+ * @param {any} err
+ * The caught error.
+ *
+ * @param {AbortSignal|null} [signal=null]
+ * The caller's signal, used to tell a cancellation from a timeout.
+ *
+ * @returns {"aborted"|"timeout"|"rate_limit"|"server"|"client"|"network"|"unknown"}
+ */
+export function classifyError(err, signal = null) {
+  if (signal?.aborted) return "aborted";
+  if (err?.name === "AbortError") return "timeout";
+  if (err?.status === 429) return "rate_limit";
+  if (err?.status >= 500 && err?.status !== 501) return "server";
+  if (err?.status) return "client";
+  if (err instanceof TypeError) return "network";
+  return "unknown";
+}
+
+/**
+ * **parseRetryAfter**
+ *
+ * Parses an HTTP `Retry-After` header, which is either a number of seconds or an HTTP date.
+ *
+ * @param {string|null} value
+ * The raw header value.
+ *
+ * @returns {number|null}
+ * The delay in milliseconds, or `null` if the header is missing or invalid.
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+/**
+ * **withRetry**
+ *
+ * Runs an async task and **retries it on transient failures** (see `RETRYABLE_ERRORS`),
+ * waiting between attempts with **exponential backoff and full jitter**:
+ * a random delay in `[0, min(maxDelay, baseDelay * 2^attempt)]`.
+ *
+ * When the server sends a `Retry-After` header (exposed as `err.retryAfter` by `request`)
+ * that delay is honoured instead (capped at 60 seconds).
+ *
+ * ---
+ *
+ * @async
+ * @function withRetry
+ *
+ * @param {(attempt: number) => Promise<any>} task
+ * The operation to run; receives the attempt number (starting at `0`).
+ *
+ * @param {Object} [options]
+ * @param {number} [options.retries=3]
+ * Maximum number of retries after the first attempt.
+ * @param {number} [options.baseDelay=500]
+ * Backoff base, in milliseconds.
+ * @param {number} [options.maxDelay=8000]
+ * Backoff cap, in milliseconds.
+ * @param {AbortSignal} [options.signal]
+ * Stops retrying (and waiting) as soon as it is aborted.
+ * @param {(info: {attempt: number, delay: number, kind: string, error: any}) => void} [options.onRetry]
+ * Called before each wait, e.g. to log or to tell the user we are retrying.
+ *
+ * @throws {any}
+ * The last error, when it is not retryable or the retries are exhausted.
+ *
+ * @returns {Promise<any>}
+ * The value of the first successful attempt.
+ *
+ * @example
+ * ```js
+ * const job = await withRetry(() => getScrapeJob(id), {
+ *   retries: 5,
+ *   onRetry: ({ attempt, delay, kind }) => console.warn(`retry #${attempt} in ${delay}ms (${kind})`),
+ * });
+ * ```
+ */
+export async function withRetry(task, {
+  retries = 3,
+  baseDelay = 500,
+  maxDelay = 8000,
+  signal = null,
+  onRetry = () => { },
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (err) {
+      const kind = classifyError(err, signal);
+      if (attempt >= retries || !RETRYABLE_ERRORS.has(kind)) throw err;
+
+      const delay = err?.retryAfter != null
+        ? Math.min(err.retryAfter, 60000)
+        : Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+
+      onRetry({ attempt: attempt + 1, delay, kind, error: err });
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * **request**
+ *
+ * Internal JSON request helper shared by the job endpoints.
+ *
+ * Sends the request to `API_BASE + path` (wrapped in `withTimeout`), and on a non-OK status
+ * throws an `Error` with the same `"API <status>: <detail>"` message format used by `scrape()`,
+ * plus a numeric `status` property so callers can branch on it (e.g. `404` → job expired)
+ * and, when present, the parsed `Retry-After` header as `retryAfter` (milliseconds).
+ *
+ * Idempotent methods (see `IDEMPOTENT_METHODS`) are retried through `withRetry`;
+ * `POST` is not, unless `options.retry` says otherwise.
+ *
+ * ---
+ *
+ * @async
+ * @function request
+ *
+ * @param {string} path
+ * Endpoint path, starting with `/`.
+ *
+ * @param {RequestInit & {retry?: Object}} [options={}]
+ * Options forwarded to `fetch`. `options.signal` is combined with the timeout;
+ * `options.retry` is forwarded to `withRetry` (e.g. `{ retries: 0 }` disables retrying).
+ *
+ * @param {number} [ms=30000]
+ * Timeout of each attempt, forwarded to `withTimeout`.
+ *
+ * @returns {Promise<any>}
+ * The JSON-parsed response body (`null` for empty responses, the raw text for non-JSON ones).
+ */
+async function request(path, options = {}, ms = 30000) {
+  if (!API_BASE) throw new Error("VITE_API_BASE is not set");
+
+  const { retry = {}, ...init } = options;
+  const idempotent = IDEMPOTENT_METHODS.has((init.method ?? "GET").toUpperCase());
+
+  return withRetry(async () => {
+    // the body is read under the same timeout and signal as the request
+    const { res, text } = await withTimeout(
+      async (signal) => {
+        const res = await fetch(`${API_BASE}${path}`, { ...init, signal });
+        return { res, text: await res.text() };
+      },
+      ms,
+      init.signal
+    );
+
+    if (!res.ok) {
+      const err = new Error(`API ${res.status}: ${text || res.statusText}`);
+      err.status = res.status;
+      err.retryAfter = parseRetryAfter(res.headers.get("Retry-After"));
+      throw err;
+    }
+
+    if (!text) return null;
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      // plain-text bodies (e.g. a health check answering "ok") are returned as-is
+      if ((res.headers.get("Content-Type") ?? "").includes("json")) throw err;
+      return text;
+    }
+  }, { retries: idempotent ? 3 : 0, signal: init.signal, ...retry });
+}
+
+/**
+ * **normalizeJob**
+ *
+ * Converts a raw job payload from the backend into a `ScrapeJob`,
+ * filling in defaults so the UI never has to guard against missing fields.
+ *
+ * @param {Object} raw
+ * The JSON body returned by `POST /jobs` or `GET /jobs/:id`.
+ *
+ * @returns {ScrapeJob}
+ */
+function normalizeJob(raw = {}) {
+  const sources = (Array.isArray(raw.sources) ? raw.sources : []).map((s) => ({
+    id: String(s.id ?? s.source ?? ""),
+    label: s.label ?? s.name ?? String(s.id ?? s.source ?? ""),
+    status: s.status ?? "running",
+    progress: Number(s.progress) || 0,
+    found: Number(s.found) || 0,
+  }));
+
+  const avg = sources.length
+    ? sources.reduce((acc, s) => acc + s.progress, 0) / sources.length
+    : 0;
+
+  return {
+    id: String(raw.job_id ?? raw.id ?? ""),
+    status: raw.status ?? "queued",
+    progress: raw.progress != null ? Number(raw.progress) || 0 : avg,
+    sources,
+    results: Array.isArray(raw.results) ? raw.results : null,
+    error: raw.error ?? null,
+  };
+}
+
+/**
+ * **createScrapeJob**
+ *
+ * Submits a scraping job to the backend (`POST /jobs`) and returns immediately
+ * with its id, instead of waiting for the whole scrape like `scrape()` does.
+ *
+ * ---
+ *
+ * @async
+ * @function createScrapeJob
+ *
+ * @param {Object} payload
+ * The request body containing the scraping parameters (same shape as for `scrape()`).
+ *
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * Optional signal to cancel the request.
+ *
+ * @returns {Promise<ScrapeJob>}
+ * The freshly created job (usually `status: "queued"`).
+ *
+ * @example
+ * ```js
+ * const job = await createScrapeJob({ city: "Milano" });
+ * const done = await pollScrapeJob(job.id, { onProgress: console.log });
+ * console.log(done.results);
+ * ```
+ */
+export async function createScrapeJob(payload, { signal = null } = {}) {
+  const raw = await request("/jobs", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+    signal,
+  }, 120000); // cold start Render
+  return normalizeJob(raw);
+}
+
+/**
+ * **getScrapeJob**
+ *
+ * Reads the current status of a scraping job (`GET /jobs/:id`).
+ * Throws an error with `status === 404` when the job does not exist (anymore).
+ *
+ * @async
+ * @function getScrapeJob
+ *
+ * @param {string} jobId
+ * The job identifier returned by `createScrapeJob`.
+ *
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * Optional signal to cancel the request.
+ *
+ * @returns {Promise<ScrapeJob>}
+ */
+export async function getScrapeJob(jobId, { signal = null } = {}) {
+  const raw = await request(`/jobs/${encodeURIComponent(jobId)}`, { signal });
+  return normalizeJob(raw);
+}
+
+/**
+ * **cancelScrapeJob**
+ *
+ * Asks the backend to stop a running job (`DELETE /jobs/:id`), so a search cancelled
+ * by the user does not keep scraping in the background.
+ * A `404` (job already gone) is not considered an error.
+ *
+ * @async
+ * @function cancelScrapeJob
+ *
+ * @param {string} jobId
+ * The job identifier returned by `createScrapeJob`.
+ *
+ * @returns {Promise<void>}
+ */
+export async function cancelScrapeJob(jobId) {
+  try {
+    await request(`/jobs/${encodeURIComponent(jobId)}`, { method: "DELETE" });
+  } catch (err) {
+    if (err?.status !== 404) throw err;
+  }
+}
+
+/**
+ * **pollScrapeJob**
+ *
+ * Polls `GET /jobs/:id` until the job reaches a final state, reporting every
+ * intermediate status through `onProgress`.
+ *
+ * ---
+ *
+ * @async
+ * @function pollScrapeJob
+ *
+ * @param {string} jobId
+ * The job identifier returned by `createScrapeJob`.
+ *
+ * @param {Object} [options]
+ * @param {(job: ScrapeJob) => void} [options.onProgress]
+ * Called with every polled status (including the final one).
+ * @param {number} [options.interval=2000]
+ * Delay between two polls, in milliseconds.
+ * @param {number} [options.maxDuration=600000]
+ * Maximum total polling time (10 minutes by default).
+ * @param {AbortSignal} [options.signal]
+ * Optional signal to stop polling (rejects with an `AbortError`).
+ *
+ * @throws {Error}
+ * - If the job ends as `"failed"` or `"cancelled"` (the error has `jobFailed: true`).
+ * - With `name === "AbortError"` if `maxDuration` elapses.
+ * - On any network/API error of `getScrapeJob`.
+ *
+ * @returns {Promise<ScrapeJob>}
+ * The final job, with `status: "done"` and `results` populated.
+ */
+export async function pollScrapeJob(jobId, {
+  onProgress = () => { },
+  interval = 2000,
+  maxDuration = 600000,
+  signal = null,
+} = {}) {
+  const deadline = Date.now() + maxDuration;
+
+  for (;;) {
+    const job = await getScrapeJob(jobId, { signal });
+    onProgress(job);
+
+    if (job.status === "done") return job;
+    if (job.status === "failed" || job.status === "cancelled") {
+      const err = new Error(`[pollScrapeJob] Job ${job.status}${job.error ? `: ${job.error}` : ""}`);
+      err.jobFailed = true;
+      throw err;
+    }
+
+    if (Date.now() + interval > deadline) {
+      const err = new Error("[pollScrapeJob] Job did not complete in time");
+      err.name = "AbortError";
+      throw err;
+    }
+    await sleep(interval, signal);
+  }
+}
+
+/**
+ * **STREAM_IDLE_MS**
+ *
+ * Longest silence of a job stream: the backend reports progress while it scrapes, so a
+ * stream quiet for a whole minute is stalled (e.g. a proxy holding the connection) and is
+ * closed, letting `runSearchJob` fall back to polling.
+ *
+ * @constant
+ * @type {number}
+ */
+const STREAM_IDLE_MS = 60000;
+
+/**
+ * **readNDJSON**
+ *
+ * Reads a streamed response body line by line and calls `onLine` with every
+ * JSON-parsed line (newline-delimited JSON). Blank lines are skipped.
+ * The body is always released when reading stops, including when `onLine` or `JSON.parse`
+ * throws, so the connection does not stay open.
+ *
+ * @async
+ * @function readNDJSON
+ *
+ * @param {ReadableStream<Uint8Array>} body
+ * The `fetch` response body.
+ *
+ * @param {(obj: any) => void} onLine
+ * Called once per parsed line, in order.
+ *
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * Stops reading (rejects with the reason of the signal).
+ * @param {number} [options.idle=STREAM_IDLE_MS]
+ * Longest wait for the next chunk, in milliseconds: a quieter stream rejects with
+ * `stalled: true`.
+ *
+ * @returns {Promise<void>}
+ * Resolves when the stream ends.
+ */
+async function readNDJSON(body, onLine, { signal = null, idle = STREAM_IDLE_MS } = {}) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  // rejected on abort or inactivity, raced against every read
+  let fail;
+  const failed = new Promise((_, reject) => { fail = reject; });
+  const onAbort = () => fail(signal.reason);
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    for (;;) {
+      signal?.throwIfAborted();
+      const timer = setTimeout(() => {
+        const err = new Error(`[readNDJSON] Nessun dato dallo stream per ${idle / 1000} s`);
+        err.stalled = true;
+        fail(err);
+      }, idle);
+      let chunk;
+      try {
+        chunk = await Promise.race([reader.read(), failed]);
+      } finally {
+        clearTimeout(timer);
+      }
+      const { value, done } = chunk;
+      buffer += decoder.decode(value ?? new Uint8Array(), { stream: !done });
+
+      let nl;
+      while ((nl = buffer.indexOf("\n")) >= 0) {
+        const line = buffer.slice(0, nl).trim();
+        buffer = buffer.slice(nl + 1);
+        if (line) onLine(JSON.parse(line));
+      }
+
+      if (done) {
+        if (buffer.trim()) onLine(JSON.parse(buffer));
+        return;
+      }
+    }
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
+    reader.cancel().catch(() => { });
+  }
+}
+
+/**
+ * **streamScrapeJob**
+ *
+ * Streaming alternative to `pollScrapeJob`: opens `GET /jobs/:id/stream`, which answers with
+ * **NDJSON** (one JSON event per line), and reports results **as soon as the scraper finds them**.
+ *
+ * Expected events:
+ *
+ * | `type` | Payload | Action |
+ * |--------|---------|--------|
+ * | `"progress"` | job status fields (see `ScrapeJob`) | forwarded to `onProgress` |
+ * | `"result"` | `data`: one scraped record | forwarded to `onResult` |
+ * | `"done"` | optional `total` | resolves the promise |
+ * | `"error"` | `error`: message | rejects (with `jobFailed: true`) |
+ *
+ * When a job is resumed (e.g. after a reload) the backend replays the results found so far,
+ * so the caller always receives the complete list.
+ *
+ * ---
+ *
+ * @async
+ * @function streamScrapeJob
+ *
+ * @param {string} jobId
+ * The job identifier returned by `createScrapeJob`.
+ *
+ * @param {Object} [options]
+ * @param {(job: ScrapeJob) => void} [options.onProgress]
+ * Called with every progress event.
+ * @param {(record: Object) => void} [options.onResult]
+ * Called with every scraped record, in arrival order.
+ * @param {AbortSignal} [options.signal]
+ * Optional signal closing the stream (rejects with an `AbortError`).
+ *
+ * @throws {Error}
+ * - With `status` set if the stream endpoint answers with a non-OK status (e.g. `404` when
+ *   streaming is not supported by the backend).
+ * - With `jobFailed: true` on an `"error"` event.
+ * - With `stalled: true` if nothing arrives for `STREAM_IDLE_MS` (see `readNDJSON`).
+ * - If the stream ends without a `"done"` event.
+ *
+ * @returns {Promise<ScrapeJob>}
+ * The final job (`status: "done"`) with all the streamed `results`.
+ *
+ * @example
+ * ```js
+ * const job = await streamScrapeJob(jobId, {
+ *   onResult: (rec) => setResults((prev) => [...prev, rec]),
+ * });
+ * console.log(`${job.results.length} risultati`);
+ * ```
+ */
+export async function streamScrapeJob(jobId, {
+  onProgress = () => { },
+  onResult = () => { },
+  signal = null,
+} = {}) {
+  if (!API_BASE) throw new Error("VITE_API_BASE is not set");
+
+  // only opening the stream is retried: a broken stream is handled by the caller
+  const res = await withRetry(async () => {
+    const r = await withTimeout(
+      (s) => fetch(`${API_BASE}/jobs/${encodeURIComponent(jobId)}/stream`, {
+        headers: { Accept: "application/x-ndjson" },
+        signal: s,
+      }),
+      30000,
+      signal
+    );
+
+    if (!r.ok || !r.body) {
+      const detail = await r.text().catch(() => "");
+      const err = new Error(`API ${r.status}: ${detail || r.statusText || "stream non disponibile"}`);
+      err.status = r.status;
+      err.retryAfter = parseRetryAfter(r.headers.get("Retry-After"));
+      throw err;
+    }
+    return r;
+  }, { signal });
+
+  const results = [];
+  let last = normalizeJob({ id: jobId, status: "running" });
+  let finished = false;
+
+  await readNDJSON(res.body, (event) => {
+    if (finished) return;
+    switch (event?.type) {
+      case "progress":
+        last = normalizeJob({ id: jobId, ...event });
+        onProgress(last);
+        break;
+      case "result":
+        results.push(event.data);
+        onResult(event.data);
+        break;
+      case "done":
+        finished = true;
+        break;
+      case "error": {
+        const err = new Error(`[streamScrapeJob] Job failed${event.error ? `: ${event.error}` : ""}`);
+        err.jobFailed = true;
+        throw err;
+      }
+      default:
+        console.warn("[streamScrapeJob] evento sconosciuto:", event);
+    }
+  }, { signal });
+
+  if (!finished) throw new Error("[streamScrapeJob] Stream interrotto prima della fine del job");
+
+  return { ...last, status: "done", progress: 100, results };
+}
+
+/**
+ * **wakeUpServer**
+ *
+ * Detects (and waits out) a **cold start** of the backend before submitting a search.
+ *
+ * Free hosting tiers (e.g. Render) put the server to sleep when idle, and the first request
+ * can take a minute. This function pings the health endpoint configured in
+ * `VITE_API_HEALTH_PATH` with a short timeout:
+ * - answered quickly → the server is awake, returns `false`;
+ * - no (good) answer → calls `onColdStart` (so the UI can say “Stiamo avviando il server…”)
+ *   and keeps pinging with backoff until the server answers, then returns `true`.
+ *
+ * It never fails a search: if the health endpoint is not configured or keeps failing,
+ * the function simply returns and the search goes on with its own timeouts and retries.
+ *
+ * ---
+ *
+ * @async
+ * @function wakeUpServer
+ *
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * Stops waiting (rejects with an `AbortError`).
+ * @param {() => void} [options.onColdStart]
+ * Called once if the server looks asleep.
+ * @param {number} [options.timeout=3000]
+ * How long a warm server may take to answer the first ping, in milliseconds.
+ *
+ * @returns {Promise<boolean>}
+ * `true` if a cold start was detected.
+ */
+export async function wakeUpServer({
+  signal = null,
+  onColdStart = () => { },
+  timeout = 3000,
+} = {}) {
+  if (!API_HEALTH_PATH) return false;
+
+  try {
+    await request(API_HEALTH_PATH, { signal, retry: { retries: 0 } }, timeout);
+    return false;
+  } catch (err) {
+    const kind = classifyError(err, signal);
+    if (kind === "aborted") throw err;
+    if (!RETRYABLE_ERRORS.has(kind)) return false; // e.g. 404: no health endpoint, nothing to wait for
+  }
+
+  onColdStart();
+  try {
+    await request(API_HEALTH_PATH, {
+      signal,
+      retry: { retries: 8, baseDelay: 2000, maxDelay: 15000 },
+    }, 15000);
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.warn("[wakeUpServer] il server non risponde ancora, procedo comunque:", err);
+  }
+  return true;
+}
@@ -0,0 +1,205 @@
+/**
+ * Date helpers of the auction calendar.
+ *
+ * Dates are handled as ISO strings (`"2025-12-04"`, the format of `Listing.auction_date`)
+ * and converted to UTC `Date`s only for arithmetic, so the days never shift with the
+ * user's time zone.
+ */
+
+/**
+ * **CALENDAR_MODES**
+ *
+ * Views of the auction calendar (`&cal=` param of the results page).
+ *
+ * @constant
+ * @type {ReadonlyArray<{label: string, value: "month"|"week"|"agenda"}>}
+ */
+export const CALENDAR_MODES = Object.freeze([
+    { label: "Mese", value: "month" },
+    { label: "Settimana", value: "week" },
+    { label: "Agenda", value: "agenda" },
+]);
+
+/**
+ * **WEEKDAYS**
+ *
+ * Column headers of the calendar (weeks start on Monday).
+ *
+ * @constant
+ * @type {ReadonlyArray<string>}
+ */
+export const WEEKDAYS = Object.freeze(["Lun", "Mar", "Mer", "Gio", "Ven", "Sab", "Dom"]);
+
+const parseISO = (iso) => new Date(`${iso}T00:00:00Z`);
+const toISO = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * **isISODate**
+ *
+ * @function isISODate
+ *
+ * @param {any} value
+ *
+ * @returns {boolean}
+ * `true` for valid `YYYY-MM-DD` strings.
+ */
+export function isISODate(value) {
+    return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(parseISO(value).getTime());
+}
+
+/**
+ * **todayISO**
+ *
+ * @function todayISO
+ *
+ * @returns {string}
+ * The local date of today (`"2025-12-04"`).
+ */
+export function todayISO() {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, "0");
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * **addDays**
+ *
+ * @function addDays
+ *
+ * @param {string} iso
+ * @param {number} days
+ * Days to add (negative to go back).
+ *
+ * @returns {string}
+ */
+export function addDays(iso, days) {
+    const date = parseISO(iso);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toISO(date);
+}
+
+/**
+ * **addMonths**
+ *
+ * @function addMonths
+ *
+ * @param {string} iso
+ * @param {number} months
+ * Months to add (negative to go back).
+ *
+ * @returns {string}
+ * The first day of the resulting month.
+ */
+export function addMonths(iso, months) {
+    const date = parseISO(iso);
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    return toISO(date);
+}
+
+/**
+ * **startOfWeek**
+ *
+ * @function startOfWeek
+ *
+ * @param {string} iso
+ *
+ * @returns {string}
+ * The Monday of the week of `iso`.
+ */
+export function startOfWeek(iso) {
+    const weekday = (parseISO(iso).getUTCDay() + 6) % 7; // Monday → 0
+    return addDays(iso, -weekday);
+}
+
+/**
+ * **weekDays**
+ *
+ * @function weekDays
+ *
+ * @param {string} iso
+ *
+ * @returns {string[]}
+ * The 7 days (Monday to Sunday) of the week of `iso`.
+ */
+export function weekDays(iso) {
+    const monday = startOfWeek(iso);
+    return Array.from({ length: 7 }, (_, i) => addDays(monday, i));
+}
+
+/**
+ * **monthWeeks**
+ *
+ * Weeks shown by the month view: every week touching the month of `iso`, so the grid
+ * also contains the last days of the previous month and the first of the next one.
+ *
+ * ---
+ *
+ * @function monthWeeks
+ *
+ * @param {string} iso
+ *
+ * @returns {string[][]}
+ * 4 to 6 weeks of 7 days each.
+ */
+export function monthWeeks(iso) {
+    const first = addMonths(iso, 0);
+    const next = addMonths(iso, 1);
+    const weeks = [];
+    for (let monday = startOfWeek(first); monday < next; monday = addDays(monday, 7)) {
+        weeks.push(weekDays(monday));
+    }
+    return weeks;
+}
+
+/**
+ * **formatMonth**
+ *
+ * @function formatMonth
+ *
+ * @param {string} iso
+ *
+ * @returns {string}
+ * Month and year in Italian (`"dicembre 2025"`).
+ */
+export function formatMonth(iso) {
+    return new Intl.DateTimeFormat("it-IT", { month: "long", year: "numeric", timeZone: "UTC" }).format(parseISO(iso));
+}
+
+/**
+ * **formatDay**
+ *
+ * @function formatDay
+ *
+ * @param {string} iso
+ *
+ * @returns {string}
+ * Weekday, day and month in Italian (`"giovedì 4 dicembre"`).
+ */
+export function formatDay(iso) {
+    return new Intl.DateTimeFormat("it-IT", { weekday: "long", day: "numeric", month: "long", timeZone: "UTC" }).format(parseISO(iso));
+}
+
+/**
+ * **groupByDate**
+ *
+ * Groups listings by auction date, for the calendar cells.
+ *
+ * ---
+ *
+ * @function groupByDate
+ *
+ * @param {Listing[]} listings
+ *
+ * @returns {Map<string, Listing[]>}
+ * Listings keyed by ISO date, in ascending date order (listings without a date are left out).
+ */
+export function groupByDate(listings) {
+    const groups = new Map();
+    const dated = listings.filter((l) => l.auction_date).sort((a, b) => a.auction_date.localeCompare(b.auction_date));
+    for (const listing of dated) {
+        if (!groups.has(listing.auction_date)) groups.set(listing.auction_date, []);
+        groups.get(listing.auction_date).push(listing);
+    }
+    return groups;
+}
@@ -0,0 +1,500 @@
+import { normalize } from "./utils";
+
+/**
+ * **MAX_SUGGESTIONS**
+ *
+ * Suggestions returned by `cityFilter`: the autocomplete renders every suggestion, and
+ * rendering thousands of comuni would make each keystroke slow.
+ *
+ * @constant
+ * @type {number}
+ */
+export const MAX_SUGGESTIONS = 50;
+
+/**
+ * **ALIASES**
+ *
+ * Groups of words written in several ways in the names of the comuni: typing any of
+ * them finds the others (`"S. Giovanni"`, `"San Giovanni"`, `"Sant'Angelo"`, …).
+ *
+ * @constant
+ * @type {ReadonlyMap<string, ReadonlyArray<string>>}
+ */
+const ALIASES = new Map(
+    [
+        ["s", "san", "santo", "santa", "sant", "st"],
+        ["ss", "santi", "santissimo", "santissima"],
+    ].flatMap((group) => group.map((word) => [word, group]))
+);
+
+/**
+ * **foldText**
+ *
+ * Text prepared for the search: lowercase, without accents, apostrophes, hyphens and
+ * other punctuation (`"Sant'Angelo Lodigiano"` → `"sant angelo lodigiano"`).
+ *
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+const foldText = (text) => normalize(text).replace(/[^a-z0-9]+/g, " ").trim();
+
+/**
+ * **maxTypos**
+ *
+ * Typos tolerated in a word of the query: none in short words (too many comuni would
+ * match), one from 4 letters, two from 8.
+ *
+ * @param {string} word
+ *
+ * @returns {number}
+ */
+const maxTypos = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+// rows of `distanceRow`, reused between calls (it runs on hundreds of words per keystroke)
+let rows = [new Int32Array(64), new Int32Array(64), new Int32Array(64)];
+
+/**
+ * **distanceRow**
+ *
+ * Optimal string alignment distances (Levenshtein with transpositions) between `a` and the
+ * starts of `b`: the edits — insertions, deletions, substitutions or swaps of two adjacent
+ * letters — turning `a` into the first `j` letters of `b`. A single pass gives both the
+ * distance from the whole of `b` and from its prefixes (the user is still typing). Only the
+ * cells within `max` of the diagonal are computed, and it stops as soon as every distance
+ * exceeds `max`.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ *
+ * @returns {Int32Array|null}
+ * The distances by length `j` of the start of `b` (valid for `|j - a.length| <= max`, larger
+ * than `max` means "more than `max`"; the array is reused by the next call), or `null` when all
+ * are larger than `max`.
+ */
+function distanceRow(a, b, max) {
+    const far = max + 1;
+    if (rows[0].length <= b.length) rows = rows.map(() => new Int32Array(b.length + 1));
+    let [before, prev, row] = rows;
+    for (let j = 0; j <= b.length; j++) prev[j] = Math.min(j, far);
+    for (let i = 1; i <= a.length; i++) {
+        const lo = Math.max(1, i - max);
+        const hi = Math.min(b.length, i + max);
+        row[0] = Math.min(i, far);
+        row[lo - 1] = lo > 1 ? far : row[0];
+        if (hi < b.length) row[hi + 1] = far;
+        let rowMin = lo > 1 ? far : row[0];
+        for (let j = lo; j <= hi; j++) {
+            let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, before[j - 2] + 1);
+            row[j] = Math.min(d, far);
+            rowMin = Math.min(rowMin, row[j]);
+        }
+        if (rowMin > max) return null;
+        [before, prev, row] = [prev, row, before];
+    }
+    return prev;
+}
+
+/**
+ * **trigrams**
+ *
+ * Three-letter pieces of a word, the first one marked as the start (`"$mi"`, `"mil"`, …),
+ * in order: words sharing most of them at about the same place are candidates for a typo.
+ *
+ * @param {string} word
+ *
+ * @returns {string[]}
+ */
+const trigrams = (word) => {
+    const padded = `$${word}`;
+    return Array.from({ length: Math.max(1, padded.length - 2) }, (_, i) => padded.slice(i, i + 3));
+};
+
+/**
+ * **CityIndex**
+ *
+ * Search index of the options of an autocomplete (see `buildCityIndex`).
+ *
+ * @typedef {Object} CityIndex
+ * @property {Array<{option: any, text: string, words: number[]}>} entries
+ * One entry per option, in the order of the options: the folded label and the positions
+ * of its words in `vocab`.
+ * @property {string[]} vocab
+ * Every word of the labels, sorted (prefixes are looked up by binary search).
+ * @property {number[][]} postings
+ * For each word of `vocab`, the entries containing it.
+ * @property {Map<string, number[]>} grams
+ * For each trigram and its place in the word (`"ant2"`), the words of `vocab` containing it
+ * there.
+ * @property {string[]} compacts
+ * The labels without spaces (`"santangelolodigiano"`), sorted.
+ * @property {number[]} compactEntries
+ * For each of `compacts`, its entry.
+ */
+
+/**
+ * **buildCityIndex**
+ *
+ * Builds the search index of a list of options, once: afterwards each query only looks at
+ * the words starting with, or similar to, the typed ones.
+ *
+ * ---
+ *
+ * @function buildCityIndex
+ *
+ * @param {Array<string|Object>} options
+ * @param {(option: any) => string} [getOptionLabel=String]
+ *
+ * @returns {CityIndex}
+ */
+export function buildCityIndex(options, getOptionLabel = String) {
+    const texts = options.map((option) => foldText(getOptionLabel(option)));
+    const vocab = [...new Set(texts.flatMap((text) => text.split(" ")))].filter(Boolean).sort();
+    const positions = new Map(vocab.map((word, w) => [word, w]));
+    const postings = vocab.map(() => []);
+
+    const entries = options.map((option, id) => {
+        const words = [...new Set(texts[id].split(" ").filter(Boolean))].map((word) => positions.get(word));
+        words.forEach((w) => postings[w].push(id));
+        return { option, text: texts[id], words };
+    });
+
+    const grams = new Map();
+    vocab.forEach((word, w) => {
+        trigrams(word).forEach((gram, at) => {
+            const key = gram + at;
+            if (!grams.has(key)) grams.set(key, []);
+            grams.get(key).push(w);
+        });
+    });
+
+    const compactEntries = entries.map((_, id) => id);
+    const compact = texts.map((text) => text.replace(/ /g, ""));
+    compactEntries.sort((a, b) => (compact[a] < compact[b] ? -1 : compact[a] > compact[b] ? 1 : a - b));
+    return { entries, vocab, postings, grams, compacts: compactEntries.map((id) => compact[id]), compactEntries };
+}
+
+/**
+ * **lowerBound**
+ *
+ * @param {string[]} sorted
+ * @param {string} word
+ *
+ * @returns {number}
+ * Position of the first word of `sorted` not before `word` (binary search).
+ */
+function lowerBound(sorted, word) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid] < word) lo = mid + 1;
+        else hi = mid;
+    }
+    return lo;
+}
+
+// trigrams changed by a single typo at most (a swap of two adjacent letters)
+const TYPO_GRAMS = 4;
+
+/**
+ * **matchWord**
+ *
+ * Scores the words of the index matching a word of the query:
+ * exact (1), alias (0.95, see `ALIASES`), prefix (0.8–0.9, the user is still typing),
+ * whole word with typos (0.7 less 0.15 per typo), prefix with typos (0.6 less 0.15 per typo).
+ *
+ * Typos are only measured on the words sharing enough trigrams with the query at about the
+ * same place: an insertion, a deletion or a substitution changes at most three trigrams (and
+ * shifts the following ones by one letter), a swap of two adjacent letters four, so with `k`
+ * typos at least `n - 1 - 4k` of the `n - 1` trigrams of a word of `n` letters are left.
+ *
+ * @param {CityIndex} index
+ * @param {string} query
+ * A word of the query.
+ * @param {boolean} withTypos
+ * Whether to look for typos too (slower, see `searchCityIndex`).
+ *
+ * @returns {Map<number, number>}
+ * Best score by `vocab` position.
+ */
+function matchWord(index, query, withTypos) {
+    const { vocab, grams } = index;
+    const scores = new Map();
+    const offer = (w, score) => {
+        if (score > (scores.get(w) ?? 0)) scores.set(w, score);
+    };
+
+    // prefix: the words from the first one >= query, while they start with it
+    for (let w = lowerBound(vocab, query); w < vocab.length && vocab[w].startsWith(query); w++) {
+        offer(w, vocab[w] === query ? 1 : 0.8 + (0.1 * query.length) / vocab[w].length);
+    }
+
+    for (const alias of ALIASES.get(query) ?? []) {
+        const w = lowerBound(vocab, alias);
+        if (vocab[w] === alias && alias !== query) offer(w, 0.95);
+    }
+
+    const typos = withTypos ? maxTypos(query) : 0;
+    if (!typos) return scores;
+
+    // shared trigrams by word, each trigram of the query counted once
+    const queryGrams = trigrams(query);
+    const shared = new Uint8Array(vocab.length);
+    const counted = new Uint8Array(vocab.length);
+    const candidates = [];
+    queryGrams.forEach((gram, at) => {
+        for (let place = Math.max(0, at - typos); place <= at + typos; place++) {
+            for (const w of grams.get(gram + place) ?? []) {
+                if (counted[w] === at + 1) continue;
+                counted[w] = at + 1;
+                if (!shared[w]++) candidates.push(w);
+            }
+        }
+    });
+
+    // trigrams left after `typos` swaps (the costliest typo), see above
+    const needed = queryGrams.length - TYPO_GRAMS * typos;
+    for (const w of candidates) {
+        // the words found as typed already have a better score
+        if (shared[w] < needed || scores.has(w)) continue;
+        const word = vocab[w];
+        const end = Math.min(word.length, query.length + typos);
+        const row = distanceRow(query, word.slice(0, end), typos);
+        if (!row) continue;
+        if (word.length === end && Math.abs(word.length - query.length) <= typos && row[end] <= typos
+            && shared[w] >= Math.max(queryGrams.length, word.length - 1) - TYPO_GRAMS * typos) {
+            offer(w, 0.7 - 0.15 * row[end]);
+        }
+        for (let length = Math.max(1, query.length - typos); length < Math.min(end + 1, word.length); length++) {
+            if (row[length] <= typos) offer(w, 0.6 - 0.15 * row[length]);
+        }
+    }
+    return scores;
+}
+
+/**
+ * **searchCityIndex**
+ *
+ * Ranked search in a `CityIndex`. Every word of the query must match a word of the label
+ * (see `matchWord`), with typos only when the query as typed finds nothing (so `"Castro"` does
+ * not suggest "Castri"); the query written without spaces may also be the start of the label
+ * (`"santangelo"` → "Sant'Angelo Lodigiano"). Labels starting with the query, then the ones
+ * whose words match the query in the same order from the start (`"sant agelo"` → "Sant'Angelo
+ * Romano" before "Villa Sant'Angelo"), then the ones with fewer extra words and the shorter
+ * ones come first; ties keep the order of the options.
+ *
+ * ---
+ *
+ * @function searchCityIndex
+ *
+ * @param {CityIndex} index
+ * @param {string} input
+ * The typed text.
+ * @param {number} [limit=MAX_SUGGESTIONS]
+ *
+ * @returns {Array<string|Object>}
+ * The matching options, best first.
+ */
+export function searchCityIndex(index, input, limit = MAX_SUGGESTIONS) {
+    const { entries, postings, compacts, compactEntries } = index;
+    const text = foldText(input);
+    if (!text) return entries.slice(0, limit).map((entry) => entry.option);
+    const words = text.split(" ");
+
+    // entries matching every word of the query (scores by word, see `matchWord`), with the sum
+    // of the word scores: the entries of the most selective word are checked against the others
+    const collect = (byWord) => {
+        const matches = byWord
+            .map((scores) => ({ scores, size: [...scores.keys()].reduce((sum, w) => sum + postings[w].length, 0) }))
+            .sort((a, b) => a.size - b.size);
+        let found = new Map();
+        for (const [w, score] of matches[0].scores) {
+            for (const id of postings[w]) {
+                if (score > (found.get(id) ?? 0)) found.set(id, score);
+            }
+        }
+        for (const { scores } of matches.slice(1)) {
+            const next = new Map();
+            for (const [id, total] of found) {
+                const best = Math.max(0, ...entries[id].words.map((w) => scores.get(w) ?? 0));
+                if (best) next.set(id, total + best);
+            }
+            found = next;
+        }
+        return found;
+    };
+    // typos are looked for only when the words as typed find nothing: first in the words
+    // matching no label at all ("castel san pitro"), then in all of them ("reggio calabra")
+    let byWord = words.map((word) => matchWord(index, word, false));
+    let totals = collect(byWord);
+    if (!totals.size && byWord.some((scores) => !scores.size)) {
+        byWord = byWord.map((scores, i) => (scores.size ? scores : matchWord(index, words[i], true)));
+        totals = collect(byWord);
+    }
+    if (!totals.size) {
+        byWord = words.map((word) => matchWord(index, word, true));
+        totals = collect(byWord);
+    }
+
+    // the query without spaces may be the start of the label ("sanremo", "santangelo")
+    const compact = words.join("");
+    if (compact.length >= 4) {
+        for (let c = lowerBound(compacts, compact); c < compacts.length && compacts[c].startsWith(compact); c++) {
+            const id = compactEntries[c];
+            totals.set(id, Math.max(totals.get(id) ?? 0, 0.9 * words.length));
+        }
+    }
+
+    // the best `limit` entries, kept sorted while scanning (short queries match thousands)
+    const best = [];
+    const before = (a, b) => a.rank > b.rank || (a.rank === b.rank && a.id < b.id);
+    for (const [id, score] of totals) {
+        const entry = entries[id];
+        // words of the query matching the word of the label in the same place
+        const aligned = byWord.reduce((sum, scores, i) => sum + (scores.has(entry.words[i]) ? 1 : 0), 0);
+        const hit = {
+            id,
+            rank: score
+                + (entry.text.startsWith(text) ? 1 : 0)
+                + 0.1 * aligned
+                - 0.05 * Math.max(0, entry.words.length - words.length)
+                - 0.001 * entry.text.length,
+        };
+        if (best.length === limit && !before(hit, best[limit - 1])) continue;
+        let at = best.length;
+        while (at > 0 && before(hit, best[at - 1])) at--;
+        best.splice(at, 0, hit);
+        if (best.length > limit) best.pop();
+    }
+    return best.map(({ id }) => entries[id].option);
+}
+
+// indexes already built, by options array
+const indexes = new WeakMap();
+
+const indexOf = (options, getOptionLabel) => {
+    if (!indexes.has(options)) indexes.set(options, buildCityIndex(options, getOptionLabel));
+    return indexes.get(options);
+};
+
+/**
+ * **prepareCityIndex**
+ *
+ * Builds the index of a list of options (see `buildCityIndex`) while the browser is idle, so
+ * it is ready before the first keystroke: building it takes about a hundred milliseconds for
+ * all the comuni, too long to do while the user types. Does nothing if it is built already.
+ *
+ * ---
+ *
+ * @function prepareCityIndex
+ *
+ * @param {Array<string|Object>} options
+ * @param {(option: any) => string} [getOptionLabel=String]
+ *
+ * @returns {() => void}
+ * Cancels the build if it did not start yet (e.g. as the cleanup of an effect).
+ *
+ * @example
+ * ```js
+ * useEffect(() => prepareCityIndex(PLACE_OPTIONS, (p) => p.label), []);
+ * ```
+ */
+export function prepareCityIndex(options, getOptionLabel = String) {
+    if (indexes.has(options)) return () => { };
+    const build = () => indexOf(options, getOptionLabel);
+    if (typeof window.requestIdleCallback === "function") {
+        const handle = window.requestIdleCallback(build, { timeout: 2000 });
+        return () => window.cancelIdleCallback(handle);
+    }
+    const timer = setTimeout(build, 200);
+    return () => clearTimeout(timer);
+}
+
+/**
+ * **cityFilter**
+ *
+ * Custom filtering algorithm for `AutocompleteSearchBar`, producing **relevance-ranked
+ * suggestions** among large lists of comuni, provinces and regions. On all the comuni, the
+ * queries typed correctly take a few hundredths of a millisecond and the ones with typos
+ * (or of a single letter) up to about a millisecond; the first searches of a page are slower,
+ * while the JavaScript engine optimizes the code.
+ *
+ * The options are indexed once per array (see `buildCityIndex`, and `prepareCityIndex` to build
+ * the index ahead of time), then each query only scores the words starting with, or similar
+ * to, the typed ones (see `searchCityIndex`):
+ * - accents, case, apostrophes and hyphens are ignored (`"sant angelo"`, `"castel san pietro terme"`);
+ * - `"S."`, `"San"`, `"Santo"`, `"Santa"` and `"Sant'"` find each other (see `ALIASES`);
+ * - one typo is tolerated from 4 letters and two from 8 (`"Milnao"`, `"Reggio Calabra"`);
+ * - at most `MAX_SUGGESTIONS` options are returned.
+ *
+ * ---
+ *
+ * @function cityFilter
+ * @param {Array<string|Object>} options
+ * The full list of available autocomplete options (keep the same array between calls: the
+ * index is cached by array).
+ * Each item can be a string or an object labelled by `getOptionLabel`.
+ *
+ * @param {{ inputValue: string, getOptionLabel?: (option: any) => string }} context
+ * Object provided by MUI’s `Autocomplete` `filterOptions` function.
+ * Contains the current user input under `inputValue` and the `getOptionLabel` of the
+ * autocomplete, used to read the label of object options (e.g. `"Castro (BG)"` for a
+ * `Comune`); plain strings are used as they are.
+ *
+ * @returns {Array<string|Object>}
+ * The matching options, best first.
+ *
+ * ---
+ *
+ * @example
+ * ```js
+ * const cities = ["Roma", "Milano", "Firenze", "Rimini"];
+ *
+ * cityFilter(cities, { inputValue: "ri" });     // → ["Rimini"]
+ * cityFilter(cities, { inputValue: "Milnao" }); // → ["Milano"]
+ * ```
+ *
+ * @usage
+ * MUI’s `<Autocomplete>` filters the selected options out of a *new* array before calling
+ * `filterOptions`: use `createCityFilter`, which keeps the index of the whole list.
+ */
+export const cityFilter = (options, { inputValue, getOptionLabel = String }) =>
+    searchCityIndex(indexOf(options, getOptionLabel), inputValue);
+
+/**
+ * **createCityFilter**
+ *
+ * `filterOptions` for MUI’s `<Autocomplete>` searching a fixed list of options with
+ * `cityFilter`. MUI passes the options still selectable (with `filterSelectedOptions`, the
+ * selected ones are removed): the suggestions are limited to them.
+ *
+ * ---
+ *
+ * @function createCityFilter
+ *
+ * @param {Array<string|Object>} options
+ * All the options of the autocomplete.
+ *
+ * @param {(option: any) => string} [getOptionLabel=String]
+ *
+ * @returns {(shown: Array<string|Object>, context: {inputValue: string}) => Array<string|Object>}
+ *
+ * @example
+ * ```jsx
+ * <Autocomplete options={PLACE_OPTIONS} filterOptions={createCityFilter(PLACE_OPTIONS, (p) => p.label)} />
+ * ```
+ */
+export function createCityFilter(options, getOptionLabel = String) {
+    return (shown, { inputValue }) => {
+        const index = indexOf(options, getOptionLabel);
+        if (shown.length === options.length) return searchCityIndex(index, inputValue);
+        const kept = new Set(shown);
+        // a few more than needed, as some may be selected already
+        return searchCityIndex(index, inputValue, MAX_SUGGESTIONS + options.length - shown.length)
+            .filter((option) => kept.has(option))
+            .slice(0, MAX_SUGGESTIONS);
+    };
+}
@@ -0,0 +1,464 @@
+import comuni from "../data/comuni";
+import province from "../data/province";
+import { normalize } from "./utils";
+
+/**
+ * **COMUNI_BY_CODE**
+ *
+ * Index of the comuni by ISTAT code (see `findComune`).
+ *
+ * @constant
+ * @type {ReadonlyMap<string, Comune>}
+ */
+const COMUNI_BY_CODE = new Map(comuni.map((c) => [c.code, c]));
+
+/**
+ * **comuneLabel**
+ *
+ * Display label of a comune, with the province sigla so homonymous comuni can be told
+ * apart in the autocomplete and in the search summaries.
+ *
+ * ---
+ *
+ * @function comuneLabel
+ *
+ * @param {Comune} comune
+ *
+ * @returns {string}
+ *
+ * @example
+ * ```js
+ * comuneLabel(findComune("016065")); // → "Castro (BG)"
+ * comuneLabel(findComune("075096")); // → "Castro (LE)"
+ * ```
+ */
+export const comuneLabel = (comune) => `${comune.name} (${comune.province})`;
+
+/**
+ * **findComune**
+ *
+ * @function findComune
+ *
+ * @param {string|null|undefined} code
+ * ISTAT code of the comune (`"016065"`).
+ *
+ * @returns {Comune|null}
+ * The comune, or `null` for unknown codes.
+ */
+export const findComune = (code) => (code && COMUNI_BY_CODE.get(code)) || null;
+
+/**
+ * **resolveComune**
+ *
+ * The comune a wizard filter refers to: the one of `filter.city_code` or, for filters
+ * without a code (searches saved or shared before the code was introduced), the comune
+ * named `filter.city` when the name is unique. Ambiguous names (e.g. `"Castro"`) resolve
+ * to `null`, so the user is asked to pick the comune again.
+ *
+ * ---
+ *
+ * @function resolveComune
+ *
+ * @param {Filter} filter
+ *
+ * @returns {Comune|null}
+ *
+ * @example
+ * ```js
+ * resolveComune({ city: "Castro", city_code: "075096" }).province; // → "LE"
+ * resolveComune({ city: "Roma" }).code;                             // → "058091"
+ * resolveComune({ city: "Castro" });                                // → null
+ * ```
+ */
+export function resolveComune(filter) {
+    const byCode = findComune(filter?.city_code);
+    if (byCode || !filter?.city) return byCode;
+    const named = comuni.filter((c) => c.name === filter.city);
+    return named.length === 1 ? named[0] : null;
+}
+
+/**
+ * **Place**
+ *
+ * An area the user can search in: a single comune, a whole province or a whole region.
+ * The wizard filter stores the selected places as tokens (`filter.places`):
+ * the ISTAT code for a comune (`"016065"`), `prov:<sigla>` for a province (`"prov:BG"`)
+ * and `reg:<name>` for a region (`"reg:Lombardia"`).
+ *
+ * @typedef {Object} Place
+ * @property {string} value
+ * The token.
+ * @property {"comune"|"province"|"region"} kind
+ * @property {string} label
+ * Display label (`"Castro (BG)"`, `"Bergamo (provincia)"`, `"Lombardia (regione)"`).
+ */
+
+/**
+ * **REGIONS**
+ *
+ * Names of the Italian regions, in alphabetical order.
+ *
+ * @constant
+ * @type {ReadonlyArray<string>}
+ */
+export const REGIONS = Object.freeze([...new Set(comuni.map((c) => c.region))].sort((a, b) => a.localeCompare(b, "it")));
+
+/**
+ * **PLACE_OPTIONS**
+ *
+ * Every `Place` offered by the comune autocomplete of the wizard: regions first, then
+ * provinces, then comuni (the order of equally relevant suggestions).
+ *
+ * @constant
+ * @type {ReadonlyArray<Place>}
+ */
+export const PLACE_OPTIONS = Object.freeze([
+    ...REGIONS.map((name) => ({ value: `reg:${name}`, kind: "region", label: `${name} (regione)` })),
+    ...province.map((p) => ({ value: `prov:${p.code}`, kind: "province", label: `${p.name} (provincia)` })),
+    ...comuni.map((c) => ({ value: c.code, kind: "comune", label: comuneLabel(c) })),
+]);
+
+const PLACES_BY_VALUE = new Map(PLACE_OPTIONS.map((place) => [place.value, place]));
+
+/**
+ * **findPlace**
+ *
+ * @function findPlace
+ *
+ * @param {string} token
+ * A place token (see `Place`).
+ *
+ * @returns {Place|null}
+ * The place, or `null` for unknown tokens.
+ */
+export const findPlace = (token) => PLACES_BY_VALUE.get(token) ?? null;
+
+/**
+ * **expandPlaces**
+ *
+ * The comuni covered by a list of places: provinces and regions expand to all their
+ * comuni, duplicates (a comune inside a selected province) are removed.
+ *
+ * ---
+ *
+ * @function expandPlaces
+ *
+ * @param {string[]} tokens
+ * Place tokens (see `Place`); unknown tokens are ignored.
+ *
+ * @returns {Comune[]}
+ * The comuni, sorted by ISTAT code.
+ *
+ * @example
+ * ```js
+ * expandPlaces(["prov:BG"]).length;            // → 243
+ * expandPlaces(["016065", "075096"]).map(comuneLabel); // → ["Castro (BG)", "Castro (LE)"]
+ * ```
+ */
+export function expandPlaces(tokens) {
+    const codes = new Set(tokens.filter((t) => findPlace(t)?.kind === "comune"));
+    const provinces = new Set(tokens.filter((t) => t.startsWith("prov:")).map((t) => t.slice(5)));
+    const regions = new Set(tokens.filter((t) => t.startsWith("reg:")).map((t) => t.slice(4)));
+    return comuni.filter((c) => codes.has(c.code) || provinces.has(c.province) || regions.has(c.region));
+}
+
+/**
+ * **filterPlaces**
+ *
+ * The place tokens of a wizard filter: the known tokens of `filter.places` or, for filters
+ * saved or shared before several places could be selected, the single comune of `city` /
+ * `city_code` (see `resolveComune`).
+ *
+ * ---
+ *
+ * @function filterPlaces
+ *
+ * @param {Filter} filter
+ *
+ * @returns {string[]}
+ *
+ * @example
+ * ```js
+ * filterPlaces({ places: ["prov:LE", "016065"] }); // → ["prov:LE", "016065"]
+ * filterPlaces({ city: "Roma" });                 // → ["058091"]
+ * ```
+ */
+export function filterPlaces(filter) {
+    const places = (filter?.places ?? []).filter((token) => findPlace(token));
+    if (places.length) return places;
+    const comune = resolveComune(filter);
+    return comune ? [comune.code] : [];
+}
+
+/**
+ * **searchText**
+ *
+ * Normalized text padded with spaces, to look for whole words with `includes`.
+ *
+ * @param {string|null} text
+ *
+ * @returns {string}
+ */
+const searchText = (text) => ` ${normalize(text ?? "").replace(/[^a-z0-9]+/g, " ")} `;
+
+/**
+ * **RADIUS_KM**
+ *
+ * Limits of the radius slider of the wizard ("entro N km da"), in km.
+ *
+ * @constant
+ * @type {Readonly<{min: number, max: number, step: number, initial: number}>}
+ */
+export const RADIUS_KM = Object.freeze({ min: 5, max: 100, step: 5, initial: 20 });
+
+/**
+ * **distanceKm**
+ *
+ * Great-circle (haversine) distance between two points.
+ *
+ * ---
+ *
+ * @function distanceKm
+ *
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ *
+ * @returns {number}
+ * The distance in km.
+ *
+ * @example
+ * ```js
+ * distanceKm(findComune("015146"), findComune("016024")); // Milano → Bergamo ≈ 45
+ * ```
+ */
+export function distanceKm(a, b) {
+    const rad = Math.PI / 180;
+    const dLat = (b.lat - a.lat) * rad;
+    const dLng = (b.lng - a.lng) * rad;
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLng / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * **comuniWithin**
+ *
+ * The comuni whose centre is within `km` of the centre of a comune (the comune included).
+ *
+ * ---
+ *
+ * @function comuniWithin
+ *
+ * @param {Comune} center
+ * @param {number} km
+ *
+ * @returns {Comune[]}
+ * The comuni, the nearest first.
+ *
+ * @example
+ * ```js
+ * comuniWithin(findComune("016065"), 10).map((c) => c.name); // → ["Castro", "Lovere", "Pianico", ...]
+ * ```
+ */
+export function comuniWithin(center, km) {
+    return comuni
+        .map((comune) => ({ comune, km: distanceKm(center, comune) }))
+        .filter((entry) => entry.km <= km)
+        .sort((a, b) => a.km - b.km)
+        .map((entry) => entry.comune);
+}
+
+/**
+ * **filterComuni**
+ *
+ * The comuni a wizard filter searches in: within `radius` km of the `center` comune
+ * ("entro N km da", see `comuniWithin`), otherwise the expansion of its places (see
+ * `filterPlaces` and `expandPlaces`).
+ *
+ * ---
+ *
+ * @function filterComuni
+ *
+ * @param {Filter} filter
+ *
+ * @returns {Comune[]}
+ *
+ * @example
+ * ```js
+ * filterComuni({ center: "016065", radius: 20 }).length; // comuni within 20 km of Castro (BG)
+ * filterComuni({ places: ["prov:BG"] }).length;          // → 243
+ * ```
+ */
+export function filterComuni(filter) {
+    const center = findComune(filter?.center);
+    if (center && filter.radius > 0) return comuniWithin(center, filter.radius);
+    return expandPlaces(filterPlaces(filter));
+}
+
+/**
+ * **STREET_WORDS**
+ *
+ * Words introducing a street name: a comune name right after them (`"Via Roma"`) is part
+ * of the street, not the comune of the address.
+ *
+ * @constant
+ * @type {ReadonlySet<string>}
+ */
+const STREET_WORDS = new Set([
+    "via", "viale", "v", "piazza", "p", "piazzale", "corso", "largo", "vicolo", "strada",
+    "contrada", "borgo", "lungomare", "salita", "traversa", "vico",
+]);
+
+/**
+ * **resolveAddress**
+ *
+ * Offline gazetteer of the wizard: finds the comune of a typed address using only the
+ * `comuni` dataset, so no geocoding service is called.
+ *
+ * 1. A CAP of a single comune wins (`"24063"` → Castro, BG); a CAP shared by several
+ *    comuni narrows the candidates.
+ * 2. Otherwise the comune names found as whole words are compared, skipping the ones used
+ *    as street names (`"Via Roma"`, see `STREET_WORDS`; a comma or a dash ends the street):
+ *    the last one in the text wins (addresses end with the comune), then the longest.
+ * 3. Homonyms are told apart by a province sigla in the text (`"Castro LE"`, `"Castro (LE)"`).
+ *
+ * ---
+ *
+ * @function resolveAddress
+ *
+ * @param {string} text
+ * The typed address.
+ *
+ * @returns {Comune|null}
+ * The comune, or `null` when no comune is recognized.
+ *
+ * @example
+ * ```js
+ * resolveAddress("Via Roma 10, Bra").name;       // → "Bra"
+ * resolveAddress("Piazza Duomo 1, 20122 Milano").code; // → "015146"
+ * resolveAddress("Lungolago, Castro (LE)").code; // → "075096"
+ * resolveAddress("Via del Corso, Roma").name;    // → "Roma"
+ * resolveAddress("Contrada Borgo, Lecce").name;  // → "Lecce"
+ * ```
+ */
+export function resolveAddress(text) {
+    // the parts of the address (`"Via del Corso, Roma"`): a street word only covers the
+    // names in its own part
+    const segments = text.split(/[,-]/).map((part) => searchText(part).trim()).filter(Boolean);
+    const padded = ` ${segments.join(" ")} `;
+    // positions in `padded` where a part begins
+    const starts = new Set();
+    let offset = 1;
+    for (const segment of segments) {
+        starts.add(offset);
+        offset += segment.length + 1;
+    }
+    const words = padded.trim().split(" ");
+    const caps = text.match(/\b\d{5}\b/g) ?? [];
+    const byCap = comuni.filter((c) => c.cap.some((cap) => caps.includes(cap)));
+    if (byCap.length === 1) return byCap[0];
+
+    const sigle = new Set(words.map((word) => word.toUpperCase()));
+    const candidates = (byCap.length ? byCap : comuni)
+        .map((comune) => {
+            const name = searchText(comune.name);
+            let at = padded.lastIndexOf(name);
+            // skip the occurrences that are street names
+            while (at >= 0 && !starts.has(at + 1) && STREET_WORDS.has(padded.slice(0, at).trim().split(" ").at(-1))) {
+                at = padded.lastIndexOf(name, at - 1);
+            }
+            return { comune, at, length: name.length, sigla: sigle.has(comune.province) };
+        })
+        .filter((match) => match.at >= 0)
+        .sort((a, b) => (b.at + b.length) - (a.at + a.length) || b.length - a.length || b.sigla - a.sigla);
+
+    return candidates[0]?.comune ?? byCap[0] ?? null;
+}
+
+/**
+ * **placesLabel**
+ *
+ * Display label of the places of a wizard filter, used by the search summaries and the
+ * titles of dossiers and exports. Long selections are shortened; a radius search reads
+ * `"<comune> + <N> km"`.
+ *
+ * ---
+ *
+ * @function placesLabel
+ *
+ * @param {Filter} filter
+ *
+ * @returns {string|null}
+ * `null` when the filter has no place.
+ *
+ * @example
+ * ```js
+ * placesLabel({ places: ["016065"] });                       // → "Castro (BG)"
+ * placesLabel({ places: ["prov:LE", "016065"] });            // → "Lecce (provincia), Castro (BG)"
+ * placesLabel({ places: ["001001", "001002", "001003", "001004"] }); // → "Agliè (TO), Airasca (TO) e altri 2"
+ * placesLabel({ center: "016065", radius: 20 });              // → "Castro (BG) + 20 km"
+ * ```
+ */
+export function placesLabel(filter) {
+    const center = findComune(filter?.center);
+    if (center && filter.radius > 0) return `${comuneLabel(center)} + ${filter.radius} km`;
+    const labels = filterPlaces(filter).map((token) => findPlace(token)?.label).filter(Boolean);
+    if (!labels.length) return filter?.city || null;
+    return labels.length > 3
+        ? `${labels.slice(0, 2).join(", ")} e altri ${labels.length - 2}`
+        : labels.join(", ");
+}
+
+/**
+ * **locateListings**
+ *
+ * Sets the comune (`city_code`) of the listings of a search, so the results can be
+ * refined by comune. The scraper's `city_code` is kept when it is one of the searched
+ * comuni; otherwise the comune is recognized from the CAP in the address, then from its
+ * name in the address or in the title (the longest name wins, so "San Giovanni Rotondo"
+ * is not taken for "San Giovanni"). A search for one comune assigns it to every listing.
+ *
+ * ---
+ *
+ * @function locateListings
+ *
+ * @param {MergedListing[]} listings
+ * The deduplicated listings (not mutated).
+ *
+ * @param {Comune[]} searched
+ * The comuni of the search (see `filterComuni`).
+ *
+ * @returns {MergedListing[]}
+ * The listings, with `city_code` set to one of the searched comuni or `null`.
+ *
+ * @example
+ * ```js
+ * locateListings([{ ...listing, address: "Via Roma 4, 73030 Castro" }], expandPlaces(["prov:LE"]))[0].city_code;
+ * // → "075096"
+ * ```
+ */
+export function locateListings(listings, searched) {
+    if (searched.length === 1) return listings.map((l) => ({ ...l, city_code: searched[0].code }));
+
+    const codes = new Set(searched.map((c) => c.code));
+    const byCap = new Map();
+    for (const comune of searched) {
+        for (const cap of comune.cap) byCap.set(cap, byCap.has(cap) ? null : comune.code); // shared CAP → ambiguous
+    }
+    const names = searched
+        .map((c) => ({ code: c.code, text: searchText(c.name) }))
+        .sort((a, b) => b.text.length - a.text.length);
+
+    const locate = (listing) => {
+        if (codes.has(listing.city_code)) return listing.city_code;
+        for (const cap of listing.address?.match(/\b\d{5}\b/g) ?? []) {
+            if (byCap.get(cap)) return byCap.get(cap);
+        }
+        for (const field of [listing.address, listing.title]) {
+            const text = searchText(field);
+            const match = names.find((name) => text.includes(name.text));
+            if (match) return match.code;
+        }
+        return null;
+    };
+    return listings.map((l) => ({ ...l, city_code: locate(l) }));
+}
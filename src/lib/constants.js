@@ -173,9 +173,21 @@ export const STEP_TITLE = Object.freeze({
  * 
  * ---
  * 
+ * @property {string[]|null} places  
+ * Where the property search is performed: comuni, whole provinces and whole regions,
+ * as `Place` tokens (see `expandPlaces`).  
+ * Example: `["016065", "prov:LE"]` for Castro (BG) and the province of Lecce, or `null` if unspecified.
+ * 
+ * @property {string|null} center  
+ * @property {number|null} radius  
+ * Radius search ("entro N km da"): ISTAT code of the centre comune and radius in km.
+ * When both are set they replace `places` (see `filterComuni`).  
+ * Example: `center: "016065", radius: 20` → the comuni within 20 km of Castro (BG).
+ * 
  * @property {string|null} city  
- * The city name where the property search is performed.  
- * Example: `"Milano"`, `"Roma"`, or `null` if unspecified.
+ * @property {string|null} city_code  
+ * Name and ISTAT code of the single comune of searches saved or shared before `places`
+ * (see `filterPlaces`); cleared as soon as the places are edited.
  * 
  * @property {number|null} type  
  * The type of property selected.  
@@ -218,7 +230,7 @@ export const STEP_TITLE = Object.freeze({
  * const filter = { ...BASEFILTER };
  * 
  * // Example: filtering apartments in Milan between 100k€ and 300k€
- * filter.city = "Milano";
+ * filter.places = ["015146"]; // Milano
  * filter.lower_price = 100000;
  * filter.higher_price = 300000;
  * 
@@ -227,7 +239,11 @@ export const STEP_TITLE = Object.freeze({
  * ```
  */
 export const BASEFILTER = {
-    "city": "",
+    "places": null,
+    "center": null,
+    "radius": null,
+    "city": null,
+    "city_code": null,
     "type": null,
     "lower_price": null,
     "higher_price": null,
@@ -236,5 +252,59 @@ export const BASEFILTER = {
     "lower_rooms": null,
     "higher_rooms": null,
     "why": 0, // 0 for capital gain and 1 for the first house
-    "request_description": ""
-}
\ No newline at end of file
+    "request_description": "",
+    "sources": null // ids of the portals to search (see `SOURCES`), null for all
+}
+
+/**
+ * **SORT_OPTIONS**
+ * 
+ * Available **sort orders** for the results grid (`ResultsPage` sort bar).  
+ * The `value` is persisted in the `sort` query parameter of the `/results` route
+ * and interpreted by `sortListings`.
+ * 
+ * ---
+ * 
+ * | Label | Value | Order |
+ * |--------|--------|-------|
+ * | **Rilevanza** | `"relevance"` | Order returned by the scraper. |
+ * | **Prezzo crescente** | `"price_asc"` | Cheapest first. |
+ * | **Prezzo decrescente** | `"price_desc"` | Most expensive first. |
+ * | **Data asta più vicina** | `"date_asc"` | Soonest auction first. |
+ * | **Metri quadri** | `"mq_desc"` | Largest first. |
+ * | **Prezzo al m²** | `"ppm_asc"` | Lowest price per square metre first. |
+ * | **Locali** | `"rooms_desc"` | Most rooms first. |
+ * 
+ * Listings missing the sorted field are always placed last.
+ * 
+ * ---
+ * 
+ * @constant
+ * @type {ReadonlyArray<{label: string, value: string}>}
+ * @readonly
+ */
+export const SORT_OPTIONS = Object.freeze([
+    { label: "Rilevanza", value: "relevance" },
+    { label: "Prezzo crescente", value: "price_asc" },
+    { label: "Prezzo decrescente", value: "price_desc" },
+    { label: "Data asta più vicina", value: "date_asc" },
+    { label: "Metri quadri", value: "mq_desc" },
+    { label: "Prezzo al m²", value: "ppm_asc" },
+    { label: "Locali", value: "rooms_desc" },
+]);
+
+
+/**
+ * **PAGE_SIZE_OPTIONS**
+ * 
+ * Page sizes offered by the **results grid** page-size selector.  
+ * The selected value is persisted in the `per_page` query parameter of the `/results` route
+ * (the first one is the default and is omitted from the URL).
+ * 
+ * Multiples of 2 and 3 so the grid rows are always full.
+ * 
+ * @constant
+ * @type {ReadonlyArray<number>}
+ * @readonly
+ */
+export const PAGE_SIZE_OPTIONS = Object.freeze([12, 24, 48, 96]);
@@ -0,0 +1,274 @@
+/**
+ * **SourceRef**
+ *
+ * One publication of a lot on a portal.
+ *
+ * @typedef {Object} SourceRef
+ * @property {string} id
+ * Listing id on the portal.
+ * @property {string} source
+ * Source id (see `SOURCES`).
+ * @property {string|null} url
+ * Link to the listing on the portal.
+ */
+
+/**
+ * **MergedListing**
+ *
+ * A `Listing` standing for every record of the same lot, as returned by `dedupeListings`.
+ *
+ * @typedef {Listing & {links: SourceRef[], duplicates: number}} MergedListing
+ * `links` → every publication of the lot, in order of arrival (at least the listing itself);
+ * `duplicates` → number of records merged into it (`0` for a lot published once).
+ */
+
+/**
+ * **ADDRESS_ABBREVIATIONS**
+ *
+ * Street-type abbreviations expanded before comparing addresses.
+ *
+ * @constant
+ * @type {ReadonlyArray<[RegExp, string]>}
+ */
+const ADDRESS_ABBREVIATIONS = Object.freeze([
+    [/\bv\.\s*le\b/g, "viale"],
+    [/\bp\.\s*z?za\b/g, "piazza"],
+    [/\bc\.\s*so\b/g, "corso"],
+    [/\bl\.\s*go\b/g, "largo"],
+    [/\bloc\.(?=\s)/g, "localita"],
+]);
+
+/**
+ * **ADDRESS_NOISE**
+ *
+ * Tokens carrying no information when comparing addresses.
+ *
+ * @constant
+ * @type {ReadonlySet<string>}
+ */
+const ADDRESS_NOISE = new Set(["n", "nr", "num", "civico", "snc", "italia", "int", "interno", "piano"]);
+
+/**
+ * **MERGED_FIELDS**
+ *
+ * Fields filled from the other records of a cluster when missing in the chosen one
+ * (not the `url`: it belongs to the `id` of the lot, see `mergeCluster`).
+ *
+ * @constant
+ * @type {ReadonlyArray<string>}
+ */
+const MERGED_FIELDS = Object.freeze([
+    "title", "address", "city_code", "auction_date", "price", "mq", "rooms",
+    "bathrooms", "autonomous", "energy_class",
+]);
+
+/**
+ * **lotNumber**
+ *
+ * Extracts the lot number from a listing title.
+ *
+ * ---
+ *
+ * @function lotNumber
+ *
+ * @param {string|null} title
+ *
+ * @returns {string|null}
+ * The lot number in lowercase, or `null` when the title does not mention one.
+ *
+ * @example
+ * ```js
+ * lotNumber("Appartamento All'asta In Via Generale V Streva, N 21 - 90044 Carini (PA)- LOTTO 22003"); // → "22003"
+ * lotNumber("... Roma, Roma- LOTTO UNICO"); // → "unico"
+ * ```
+ */
+export function lotNumber(title) {
+    const match = typeof title === "string" ? title.match(/\blotto\s+(?:n\.?\s*)?([a-z0-9]+)/i) : null;
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * **normalizeAddress**
+ *
+ * Normalizes an address for comparison: lowercase, without accents and punctuation,
+ * street types expanded (`v.le` → `viale`) and noise words (`n`, `civico`, `italia`…) removed.
+ *
+ * ---
+ *
+ * @function normalizeAddress
+ *
+ * @param {string|null} address
+ *
+ * @returns {string|null}
+ * The normalized address, or `null` when nothing is left.
+ *
+ * @example
+ * ```js
+ * normalizeAddress("Via Bastiglia 5, 00125 Roma RM, Italia-Roma- Acilia");
+ * // → "via bastiglia 5 00125 roma rm roma acilia"
+ * ```
+ */
+export function normalizeAddress(address) {
+    if (typeof address !== "string") return null;
+    let text = address.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+    for (const [pattern, replacement] of ADDRESS_ABBREVIATIONS) {
+        text = text.replace(pattern, replacement);
+    }
+    const tokens = text
+        .split(/[^a-z0-9]+/)
+        .filter((token) => token && !ADDRESS_NOISE.has(token));
+    return tokens.length ? tokens.join(" ") : null;
+}
+
+/**
+ * **sameAddress**
+ *
+ * Loose comparison of two normalized addresses: portals write the same address in
+ * different ways (`"via generale v streva, n 21 - 90044 Carini"` /
+ * `"Via Generale Vincenzo Streva 21, Carini"`), so they match when most of the words
+ * of the shorter one appear in the other and their numbers (civic number, CAP) agree.
+ *
+ * @param {string} a
+ * @param {string} b
+ *
+ * @returns {boolean}
+ */
+function sameAddress(a, b) {
+    if (a === b) return true;
+    const split = (address) => {
+        const tokens = new Set(address.split(" "));
+        const numbers = [...tokens].filter((token) => /\d/.test(token));
+        return { words: [...tokens].filter((token) => !/\d/.test(token)), numbers };
+    };
+    const [x, y] = [split(a), split(b)];
+
+    if (x.numbers.length && y.numbers.length && !x.numbers.some((n) => y.numbers.includes(n))) return false;
+    const [shorter, longer] = x.words.length <= y.words.length ? [x.words, y.words] : [y.words, x.words];
+    if (!shorter.length) return false;
+    return shorter.filter((word) => longer.includes(word)).length / shorter.length >= 0.6;
+}
+
+/**
+ * **sameLot**
+ *
+ * Tells whether two listings describe the same lot:
+ * - same source and `id` (the portals repeat records within one response), or
+ * - same price and auction date, no conflicting lot numbers, and matching addresses
+ *   (or the same lot number when an address is missing).
+ *
+ * @param {Listing} a
+ * @param {Listing} b
+ *
+ * @returns {boolean}
+ */
+function sameLot(a, b) {
+    if (a.id === b.id && a.source === b.source) return true;
+    if (a.price == null || !a.auction_date) return false;
+    if (a.price !== b.price || a.auction_date !== b.auction_date) return false;
+
+    const [lotA, lotB] = [lotNumber(a.title), lotNumber(b.title)];
+    if (lotA && lotB && lotA !== lotB) return false;
+
+    const [addressA, addressB] = [normalizeAddress(a.address), normalizeAddress(b.address)];
+    if (addressA && addressB) return sameAddress(addressA, addressB);
+    return Boolean(lotA && lotA === lotB);
+}
+
+/**
+ * **mergeCluster**
+ *
+ * Merges the records of one lot. The record with the longest description is kept
+ * (its facts and risk flags are the most complete), its missing fields are filled
+ * from the others, and every publication is listed in `links`.
+ * The identity of the lot (`id`, `source` and `url`) is the one of the first record, so it
+ * does not change while new duplicates arrive from the stream and the id always goes with
+ * the link of its own portal.
+ *
+ * @param {Listing[]} members
+ * The records of the lot, in order of arrival.
+ *
+ * @returns {MergedListing}
+ */
+function mergeCluster(members) {
+    const base = members.reduce((best, listing) =>
+        (listing.description?.length ?? 0) > (best.description?.length ?? 0) ? listing : best
+    );
+    const { id, source, url } = members[0];
+    const merged = { ...base, id, source, url };
+    for (const field of MERGED_FIELDS) {
+        merged[field] = base[field] ?? members.find((listing) => listing[field] != null)?.[field] ?? null;
+    }
+
+    const seen = new Set();
+    merged.links = [];
+    for (const { id, source, url } of members) {
+        const key = url ?? `${source}:${id}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        merged.links.push({ id, source, url });
+    }
+    merged.duplicates = members.length - 1;
+    return merged;
+}
+
+/**
+ * **dedupeListings**
+ *
+ * Collapses the listings describing the **same auction lot** — repeated in one response
+ * or published on several portals — into a single `MergedListing` carrying all the
+ * source links.
+ *
+ * Two listings are duplicates when they share source and `id`, or the price, the auction date
+ * and the address (or the lot number parsed from the title, e.g. `"LOTTO 22003"`);
+ * listings with different lot numbers are never merged. Duplicates are transitive
+ * (A ≈ B and B ≈ C → one lot), and only listings with the same id or the same
+ * price and date are compared, so the cost stays linear on real result sets.
+ *
+ * ---
+ *
+ * @function dedupeListings
+ *
+ * @param {Listing[]} listings
+ * The normalized listings (see `normalizeResults`).
+ *
+ * @returns {{listings: MergedListing[], collapsed: number}}
+ * The merged listings, in order of first arrival, and how many records were collapsed.
+ *
+ * @example
+ * ```js
+ * const { listings, collapsed } = dedupeListings(results.listings);
+ * // collapsed → 3: three records were duplicates of other listings
+ * ```
+ */
+export function dedupeListings(listings) {
+    // union-find over the indexes of the listings
+    const parent = listings.map((_, idx) => idx);
+    const find = (idx) => (parent[idx] === idx ? idx : (parent[idx] = find(parent[idx])));
+
+    const buckets = new Map();
+    listings.forEach((listing, idx) => {
+        const keys = [`id:${listing.source}:${listing.id}`];
+        if (listing.price != null && listing.auction_date) keys.push(`lot:${listing.price}|${listing.auction_date}`);
+
+        for (const key of keys) {
+            const bucket = buckets.get(key) ?? [];
+            for (const other of bucket) {
+                if (find(other) !== find(idx) && sameLot(listings[other], listing)) {
+                    parent[find(idx)] = find(other);
+                }
+            }
+            bucket.push(idx);
+            buckets.set(key, bucket);
+        }
+    });
+
+    const clusters = new Map();
+    listings.forEach((listing, idx) => {
+        const root = find(idx);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(listing);
+    });
+
+    const merged = [...clusters.values()].map(mergeCluster);
+    return { listings: merged, collapsed: listings.length - merged.length };
+}
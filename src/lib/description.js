@@ -0,0 +1,254 @@
+/**
+ * **DescriptionFacts**
+ *
+ * Structured data extracted by `extractFacts` from the free-text `description`
+ * of a listing. Every field is `null` (or empty) when the text does not mention it.
+ *
+ * @typedef {Object} DescriptionFacts
+ * @property {{share: string|null, fraction: number|null, right: string|null}|null} ownership
+ * Right being sold: the share (`"1/6"`, `fraction: 0.1667`) and/or the kind of right
+ * (`"piena proprietà"`, `"nuda proprietà"`, `"usufrutto"`).
+ * @property {"occupied"|"free"|null} occupancy
+ * Whether the property is occupied or free.
+ * @property {string|null} occupant
+ * Who occupies it, when stated (`"esecutato"`, `"terzi"`, `"conduttore"`…).
+ * @property {{foglio: string|null, particella: string|null, sub: string|null, category: string|null}|null} cadastral
+ * Cadastral identifiers (`category` normalized as `"A/2"`).
+ * @property {boolean} condono
+ * The text mentions a condono or a sanatoria (building amnesty).
+ * @property {Array<{name: string, km: number}>} services
+ * Distances to nearby services, as listed by the portal.
+ */
+
+/**
+ * **SERVICES**
+ *
+ * Service names recognized in the "distances to services" sentence
+ * (`supermercato (1.04 km), poste (0.31 km), …`). Longer names first, so
+ * `"fermata autobus"` wins over a shorter overlapping match.
+ *
+ * @constant
+ * @type {ReadonlyArray<string>}
+ * @readonly
+ */
+export const SERVICES = Object.freeze([
+    "fermata autobus",
+    "fermata metro",
+    "siti storici",
+    "supermercato",
+    "farmacia",
+    "ospedale",
+    "stazione",
+    "bancomat",
+    "scuola",
+    "poste",
+    "banca",
+    "parco",
+    "bar",
+]);
+
+/**
+ * **NEAR_KM**
+ *
+ * Distance (km) within which a service counts as "nearby" for the refine filters.
+ *
+ * @constant
+ * @type {number}
+ */
+export const NEAR_KM = 1;
+
+/**
+ * **OCCUPANCY_LABELS**
+ *
+ * User-facing labels of the `DescriptionFacts.occupancy` values.
+ *
+ * @constant
+ * @type {Readonly<Record<string, string>>}
+ * @readonly
+ */
+export const OCCUPANCY_LABELS = Object.freeze({ free: "Libero", occupied: "Occupato" });
+
+/**
+ * **OCCUPANT_PATTERN**
+ *
+ * "occupato dall'esecutato", "occupata da terzi", "occupato dal debitore con il proprio nucleo"…
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const OCCUPANT_PATTERN = /\boccupat[oa]\s+(?:dal(?:l['’]\s*|la\s+|\s+)|da(?:i|gli)?\s+)?(esecutat[oi]|debitor[ei]|terz[io]|conduttor[ei]|inquilin[oi]|propriet[àa]ri[oa]|comodatari[oa])/i;
+
+/**
+ * **FREE_PATTERN**
+ *
+ * Phrases stating the property is free: "libero da persone e cose", "risulta libero",
+ * "non occupato". A bare "libero" is not enough ("tempo libero", "posto auto libero").
+ *
+ * @constant
+ * @type {RegExp}
+ */
+const FREE_PATTERN = /\b(?:liber[oa]\s+(?:da\s+persone|da\s+cose|e\s+sgombr|al\s+decreto)|(?:è|risulta(?:\s+essere)?|attualmente)\s+liber[oa]\b|non\s+(?:è\s+|risulta\s+)?occupat[oa])/i;
+
+/**
+ * **extractOwnership**
+ *
+ * @param {string} text
+ *
+ * @returns {DescriptionFacts["ownership"]}
+ */
+function extractOwnership(text) {
+    const share = text.match(/\b(\d{1,3})\s*\/\s*(\d{1,3})\s+(?:della|dell['’]\s*|di|del\s+diritto\s+di)\s*(?:piena\s+|nuda\s+|intera\s+)?(?:propriet[àa]|quota)/i)
+        ?? text.match(/\bquota\s+(?:pari\s+a(?:d)?\s+|di\s+)?(\d{1,3})\s*\/\s*(\d{1,3})\b/i);
+    const right = text.match(/\b(piena|nuda)\s+propriet[àa]/i)?.[1].toLowerCase()
+        ?? (/\busufrutto\b/i.test(text) ? "usufrutto" : null);
+
+    if (!share && !right) return null;
+
+    let fraction = null;
+    if (share) {
+        const [num, den] = [Number(share[1]), Number(share[2])];
+        if (den > 0 && num > 0 && num <= den) fraction = Math.round((num / den) * 10_000) / 10_000;
+    }
+    return {
+        share: fraction !== null ? `${share[1]}/${share[2]}` : null,
+        fraction,
+        right: right === "usufrutto" ? right : right ? `${right} proprietà` : null,
+    };
+}
+
+/**
+ * **extractOccupancy**
+ *
+ * @param {string} text
+ *
+ * @returns {{occupancy: DescriptionFacts["occupancy"], occupant: string|null}}
+ */
+function extractOccupancy(text) {
+    // an explicit occupant wins over "libero" phrases (e.g. "sarà liberato al decreto")
+    const occupant = text.match(OCCUPANT_PATTERN);
+    if (occupant && !/\bnon\s+(?:è\s+|risulta\s+)?$/i.test(text.slice(0, occupant.index))) {
+        // "esecutata" → "esecutato", "terzo" → "terzi", "conduttori" → "conduttore"…
+        const who = occupant[1].toLowerCase()
+            .replace(/^esecutat.*/, "esecutato")
+            .replace(/^debitor.*/, "debitore")
+            .replace(/^terz.*/, "terzi")
+            .replace(/^conduttor.*/, "conduttore")
+            .replace(/^inquilin.*/, "inquilino")
+            .replace(/^propriet.*/, "proprietario")
+            .replace(/^comodatari.*/, "comodatario");
+        return { occupancy: "occupied", occupant: who };
+    }
+    if (FREE_PATTERN.test(text)) return { occupancy: "free", occupant: null };
+    if (/\b(?:immobile|appartamento|unità|bene)\s+(?:è\s+|risulta\s+)?occupat[oa]\b/i.test(text)) {
+        return { occupancy: "occupied", occupant: null };
+    }
+    return { occupancy: null, occupant: null };
+}
+
+/**
+ * **extractCadastral**
+ *
+ * @param {string} text
+ *
+ * @returns {DescriptionFacts["cadastral"]}
+ */
+function extractCadastral(text) {
+    const foglio = text.match(/\bfoglio\s*(?:n\.?\s*|n°\s*)?(\d+)/i)?.[1] ?? null;
+    const particella = text.match(/\b(?:particella|mappale|part\.)\s*(?:n\.?\s*|n°\s*)?(\d+)/i)?.[1] ?? null;
+    const sub = text.match(/\bsub(?:alterno)?\.?\s*(?:n\.?\s*|n°\s*)?(\d+)/i)?.[1] ?? null;
+    const cat = text.match(/\bcat(?:egoria|\.)?\s*([A-F])\s*\/?\s*(\d{1,2})\b/i);
+    const category = cat ? `${cat[1].toUpperCase()}/${Number(cat[2])}` : null;
+
+    if (!foglio && !particella && !sub && !category) return null;
+    return { foglio, particella, sub, category };
+}
+
+/**
+ * **extractServices**
+ *
+ * @param {string} text
+ *
+ * @returns {DescriptionFacts["services"]}
+ */
+function extractServices(text) {
+    const names = SERVICES.map((s) => s.replace(/\s+/g, "\\s+")).join("|");
+    const pattern = new RegExp(`\\b(${names})\\s*\\(\\s*(\\d+(?:[.,]\\d+)?)\\s*km\\s*\\)`, "gi");
+
+    const services = [];
+    for (const [, name, km] of text.matchAll(pattern)) {
+        const key = name.toLowerCase().replace(/\s+/g, " ");
+        if (services.some((s) => s.name === key)) continue;
+        services.push({ name: key, km: Number(km.replace(",", ".")) });
+    }
+    return services;
+}
+
+/**
+ * **extractFacts**
+ *
+ * Extracts structured data from the Italian free-text `description` of an auction:
+ * - **fractional ownership** — `"1/6 della proprietà"`, `"quota di 1/2"`, `"nuda proprietà"`;
+ * - **occupancy** — `"occupato dall'esecutato"`, `"libero da persone e cose"`;
+ * - **cadastral data** — `"foglio 1111, particella 44, sub 501, cat. A/2"`;
+ * - **condono / sanatoria** mentions;
+ * - **distances to services** — `"supermercato (1.04 km)"`.
+ *
+ * Extraction is pattern-based and conservative: when a phrase is ambiguous the field
+ * is left empty rather than guessed.
+ *
+ * ---
+ *
+ * @function extractFacts
+ *
+ * @param {string|null} description
+ * The listing description.
+ *
+ * @returns {DescriptionFacts}
+ *
+ * @example
+ * ```js
+ * extractFacts("Si tratta di un appartamento di cui si possiede 1/6 della proprietà. ... supermercato (1.04 km)");
+ * // → { ownership: { share: "1/6", fraction: 0.1667, right: null }, occupancy: null, ...,
+ * //     services: [{ name: "supermercato", km: 1.04 }] }
+ * ```
+ */
+export function extractFacts(description) {
+    const text = typeof description === "string" ? description.replace(/\s+/g, " ") : "";
+
+    return {
+        ownership: extractOwnership(text),
+        ...extractOccupancy(text),
+        cadastral: extractCadastral(text),
+        condono: /\b(?:condon[oi]|sanatoria)\b/i.test(text),
+        services: extractServices(text),
+    };
+}
+
+/**
+ * **isFractional**
+ *
+ * @param {DescriptionFacts} facts
+ *
+ * @returns {boolean}
+ * `true` when only a share of the property (or a right other than full ownership) is sold.
+ */
+export function isFractional(facts) {
+    return (facts.ownership?.fraction ?? 1) < 1 ||
+        facts.ownership?.right === "nuda proprietà" ||
+        facts.ownership?.right === "usufrutto";
+}
+
+/**
+ * **nearbyServices**
+ *
+ * @param {DescriptionFacts} facts
+ *
+ * @param {number} [km=NEAR_KM]
+ * Maximum distance.
+ *
+ * @returns {string[]}
+ * Names of the services within `km`.
+ */
+export function nearbyServices(facts, km = NEAR_KM) {
+    return facts.services.filter((s) => s.km <= km).map((s) => s.name);
+}
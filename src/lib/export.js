@@ -0,0 +1,244 @@
+import { placesLabel } from "./comuni";
+import { RISK_LEVELS } from "./risk";
+import { filterSummary } from "./search";
+import { getSource } from "./sources";
+import { formatDate } from "./utils";
+import { buildXLSX } from "./xlsx";
+
+/**
+ * **EXPORT_COLUMNS**
+ *
+ * Columns of the CSV and XLSX exports, in order. `value` reads the cell from a listing;
+ * `type` tells how it is written (plain text, number or date, see `XLSXColumn`).
+ *
+ * @constant
+ * @type {ReadonlyArray<XLSXColumn & {value: (listing: MergedListing) => any}>}
+ */
+export const EXPORT_COLUMNS = Object.freeze([
+    { label: "ID", type: "string", width: 14, value: (l) => l.id },
+    { label: "Titolo", type: "string", width: 40, value: (l) => l.title },
+    { label: "Indirizzo", type: "string", width: 36, value: (l) => l.address },
+    { label: "Data asta", type: "date", width: 12, value: (l) => l.auction_date },
+    { label: "Prezzo base (€)", type: "number", width: 14, value: (l) => l.price },
+    { label: "Superficie (m²)", type: "number", width: 14, value: (l) => l.mq },
+    { label: "Locali", type: "number", width: 8, value: (l) => l.rooms },
+    { label: "Bagni", type: "number", width: 8, value: (l) => l.bathrooms },
+    { label: "Autonomo", type: "string", width: 10, value: (l) => (l.autonomous == null ? null : l.autonomous ? "Sì" : "No") },
+    { label: "Classe energetica", type: "string", width: 10, value: (l) => l.energy_class },
+    { label: "Rischio", type: "string", width: 22, value: (l) => RISK_LEVELS[l.risk?.level] ?? null },
+    { label: "Segnalazioni", type: "string", width: 40, value: (l) => l.risk?.flags.map((f) => f.label).join(", ") || null },
+    {
+        label: "Fonti",
+        type: "string",
+        width: 24,
+        value: (l) => (l.links ?? [{ source: l.source }]).map((link) => getSource(link.source)?.name ?? link.source).join(", "),
+    },
+    { label: "Link", type: "string", width: 50, value: (l) => l.url },
+]);
+
+/**
+ * **EXPORT_FORMATS**
+ *
+ * Formats offered by the export menu of the results page. XLSX and JSON also record the
+ * search the listings come from (criteria and export date: the "Ricerca" sheet, the
+ * `filter`/`criteria` keys); CSV holds only the listings, one row each, so it stays a
+ * plain table to import elsewhere.
+ *
+ * @constant
+ * @type {ReadonlyArray<{value: "csv"|"xlsx"|"json", label: string, extension: string, type: string}>}
+ */
+export const EXPORT_FORMATS = Object.freeze([
+    { value: "csv", label: "CSV (Excel italiano)", extension: "csv", type: "text/csv;charset=utf-8" },
+    { value: "xlsx", label: "Excel (.xlsx)", extension: "xlsx", type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+    { value: "json", label: "JSON", extension: "json", type: "application/json;charset=utf-8" },
+]);
+
+/**
+ * **csvCell**
+ *
+ * Formats a value for an Italian-locale CSV: decimal comma, `dd/mm/yyyy` dates, quotes
+ * around the texts containing the separator, quotes or line breaks. Texts come from the
+ * portals: the ones Excel would read as a formula (`=`, `+`, `-`, `@`, tab, CR) are
+ * prefixed with `'`, so they are shown as text and never evaluated.
+ *
+ * @param {any} value
+ * @param {"string"|"number"|"date"} type
+ *
+ * @returns {string}
+ */
+function csvCell(value, type) {
+    if (value == null || value === "") return "";
+    if (type === "number") return String(value).replace(".", ",");
+    if (type === "date") return formatDate(value);
+    const text = String(value).replace(/^[=+\-@\t\r]/, "'$&");
+    return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * **buildCSV**
+ *
+ * Builds the CSV export of the listings, as Excel expects it on Italian systems:
+ * semicolon separated, decimal comma, `dd/mm/yyyy` dates, CRLF line endings and a UTF-8
+ * BOM (without it Excel reads accents and `€` as Latin-1).
+ *
+ * ---
+ *
+ * @function buildCSV
+ *
+ * @param {MergedListing[]} listings
+ * The listings, in the order they are shown.
+ *
+ * @returns {string}
+ * The file content, header row first (see `EXPORT_COLUMNS`).
+ *
+ * @example
+ * ```js
+ * buildCSV([listing]);
+ * // → "\uFEFFID;Titolo;...\r\nA123;Appartamento;...;04/12/2025;205500;..."
+ * ```
+ */
+export function buildCSV(listings) {
+    const lines = [
+        EXPORT_COLUMNS.map((col) => csvCell(col.label, "string")),
+        ...listings.map((l) => EXPORT_COLUMNS.map((col) => csvCell(col.value(l), col.type))),
+    ];
+    return "\uFEFF" + lines.map((cells) => cells.join(";")).join("\r\n") + "\r\n";
+}
+
+/**
+ * **buildSpreadsheet**
+ *
+ * Builds the XLSX export of the listings (see `buildXLSX`): prices, surfaces and rooms are
+ * numeric cells and auction dates real dates, so they can be summed, filtered and sorted.
+ * A second sheet, "Ricerca", records the export date, the number of listings and the
+ * criteria of the search (see `filterSummary`), so the file can be told apart later.
+ *
+ * ---
+ *
+ * @function buildSpreadsheet
+ *
+ * @param {MergedListing[]} listings
+ * The listings, in the order they are shown.
+ *
+ * @param {Filter} filter
+ * The search filter (see `searchParamsToFilter`).
+ *
+ * @returns {Uint8Array}
+ * The file content.
+ */
+export function buildSpreadsheet(listings, filter) {
+    const criteria = filterSummary(filter);
+    return buildXLSX([
+        {
+            name: "Aste",
+            columns: EXPORT_COLUMNS,
+            rows: listings.map((l) => EXPORT_COLUMNS.map((col) => col.value(l))),
+        },
+        {
+            name: "Ricerca",
+            columns: [
+                { label: "Voce", type: "string", width: 20 },
+                { label: "Valore", type: "string", width: 60 },
+            ],
+            rows: [
+                ["Esportato il", formatDate(new Date().toISOString().slice(0, 10))],
+                ["Annunci", String(listings.length)],
+                ...criteria.map((criterion, i) => [i ? null : "Criteri", criterion]),
+            ],
+        },
+    ]);
+}
+
+/**
+ * **buildJSON**
+ *
+ * Builds the JSON export: the normalized listings as they are, with the search they come
+ * from as metadata, so the file can be processed or compared later.
+ *
+ * ---
+ *
+ * @function buildJSON
+ *
+ * @param {MergedListing[]} listings
+ * The listings, in the order they are shown.
+ *
+ * @param {Filter} filter
+ * The search filter (see `searchParamsToFilter`).
+ *
+ * @returns {string}
+ * The file content (indented JSON).
+ *
+ * @example
+ * ```js
+ * JSON.parse(buildJSON(listings, filter));
+ * // → { exported_at: "2025-12-01T10:00:00.000Z", filter: {...}, criteria: ["Roma", ...], count: 3, listings: [...] }
+ * ```
+ */
+export function buildJSON(listings, filter) {
+    return JSON.stringify({
+        exported_at: new Date().toISOString(),
+        filter,
+        criteria: filterSummary(filter),
+        count: listings.length,
+        listings,
+    }, null, 2);
+}
+
+/**
+ * **exportFilename**
+ *
+ * @function exportFilename
+ *
+ * @param {Filter} filter
+ * @param {string} extension
+ *
+ * @returns {string}
+ * A name like `"aste-roma-rm-2025-12-01.csv"` (places of the search and date of today).
+ */
+export function exportFilename(filter, extension) {
+    const city = (placesLabel(filter) ?? "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "");
+    const today = new Date().toISOString().slice(0, 10);
+    return `${["aste", city, today].filter(Boolean).join("-")}.${extension}`;
+}
+
+/**
+ * **exportListings**
+ *
+ * Builds the export of the listings in the requested format.
+ *
+ * ---
+ *
+ * @function exportListings
+ *
+ * @param {"csv"|"xlsx"|"json"} format
+ * One of the `EXPORT_FORMATS` values.
+ *
+ * @param {MergedListing[]} listings
+ * The listings, in the order they are shown.
+ *
+ * @param {Filter} filter
+ * The search filter.
+ *
+ * @returns {{content: string|Uint8Array, filename: string, type: string}}
+ * What `downloadFile` needs.
+ *
+ * @example
+ * ```js
+ * const { content, filename, type } = exportListings("csv", sortedResults, filter);
+ * downloadFile(content, filename, type);
+ * ```
+ */
+export function exportListings(format, listings, filter) {
+    const { extension, type } = EXPORT_FORMATS.find((opt) => opt.value === format);
+    const content = format === "csv"
+        ? buildCSV(listings)
+        : format === "xlsx"
+            ? buildSpreadsheet(listings, filter)
+            : buildJSON(listings, filter);
+    return { content, filename: exportFilename(filter, extension), type };
+}
@@ -0,0 +1,131 @@
+import { addDays } from "./calendar";
+import { formatMoney } from "./utils";
+
+/**
+ * **escapeText**
+ *
+ * Escapes a TEXT value (RFC 5545 §3.3.11): backslashes, semicolons, commas and newlines.
+ *
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, "\\\\")
+        .replace(/;/g, "\\;")
+        .replace(/,/g, "\\,")
+        .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * **foldLine**
+ *
+ * Folds a content line at 75 octets (RFC 5545 §3.1): continuation lines start with a
+ * space. Multi-byte characters (accents, `€`) are never split.
+ *
+ * @param {string} line
+ *
+ * @returns {string}
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = "";
+    let size = 0;
+    for (const char of line) {
+        const bytes = encoder.encode(char).length;
+        // the first line holds 75 octets, the next ones 74 plus the leading space
+        if (size + bytes > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = "";
+            size = 0;
+        }
+        current += char;
+        size += bytes;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+}
+
+/**
+ * **icsDate**
+ *
+ * @param {string} iso
+ * An ISO date (`"2025-12-04"`).
+ *
+ * @returns {string}
+ * The DATE value (`"20251204"`).
+ */
+const icsDate = (iso) => iso.replace(/-/g, "");
+
+/**
+ * **listingEvent**
+ *
+ * The VEVENT lines of a listing: an all-day event on the auction date.
+ *
+ * @param {Listing} listing
+ * @param {string} stamp
+ * DTSTAMP value (creation time of the file, UTC).
+ *
+ * @returns {string[]}
+ */
+function listingEvent(listing, stamp) {
+    const price = listing.price != null ? `Prezzo base: € ${formatMoney(listing.price)}` : null;
+    const description = [price, listing.address, listing.url].filter(Boolean).join("\n");
+
+    return [
+        "BEGIN:VEVENT",
+        `UID:${escapeText(`${listing.id}@bidhouse.it`)}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(listing.auction_date)}`,
+        `DTEND;VALUE=DATE:${icsDate(addDays(listing.auction_date, 1))}`,
+        `SUMMARY:${escapeText(`Asta: ${listing.title ?? listing.id}`)}`,
+        listing.address && `LOCATION:${escapeText(listing.address)}`,
+        description && `DESCRIPTION:${escapeText(description)}`,
+        listing.url && `URL:${listing.url}`,
+        "TRANSP:TRANSPARENT",
+        "END:VEVENT",
+    ].filter(Boolean);
+}
+
+/**
+ * **buildICS**
+ *
+ * Builds an iCalendar file (RFC 5545) with **one all-day VEVENT per auction**: title,
+ * address, base price and link of the listing. Listings without an auction date are
+ * skipped. Events keep the same `UID` across exports, so importing the file again
+ * updates the events instead of duplicating them.
+ *
+ * ---
+ *
+ * @function buildICS
+ *
+ * @param {Listing[]} listings
+ * The listings to export.
+ *
+ * @param {string} [name="Aste BidHouse"]
+ * Calendar name shown by the calendar apps (`X-WR-CALNAME`).
+ *
+ * @returns {string}
+ * The file content (CRLF line endings).
+ *
+ * @example
+ * ```js
+ * downloadFile(buildICS(watchlist.map((e) => e.listing), "Preferiti"), "aste.ics", "text/calendar");
+ * ```
+ */
+export function buildICS(listings, name = "Aste BidHouse") {
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+    const lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//BidHouse//Aste immobiliari//IT",
+        "CALSCALE:GREGORIAN",
+        "METHOD:PUBLISH",
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...listings.filter((l) => l.auction_date).flatMap((l) => listingEvent(l, stamp)),
+        "END:VCALENDAR",
+    ];
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
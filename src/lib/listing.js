@@ -0,0 +1,401 @@
+import { extractFacts } from "./description";
+import { pricePerMq } from "./results";
+import { assessRisk } from "./risk";
+import { resolveSource } from "./sources";
+import { formatDate, formatMoney } from "./utils";
+
+/**
+ * **ENERGY_CLASSES**
+ *
+ * Allowed values of `Listing.energy_class`, from the most to the least efficient
+ * (Italian APE scale, including the A1–A4 split introduced in 2015).
+ *
+ * @constant
+ * @type {ReadonlyArray<string>}
+ * @readonly
+ */
+export const ENERGY_CLASSES = Object.freeze(["A4", "A3", "A2", "A1", "A+", "A", "B", "C", "D", "E", "F", "G"]);
+
+/**
+ * **Listing**
+ *
+ * Well-defined model of a single auction listing, produced by `normalizeListing`
+ * from the raw records returned by the scraper.
+ * Every field is either of the documented type or `null` when unknown.
+ *
+ * @typedef {Object} Listing
+ * @property {string} id
+ * Identifier assigned by the source portal (e.g. `"EX8691189"`).
+ * @property {string} title
+ * Listing title.
+ * @property {string|null} address
+ * Address as published by the portal.
+ * @property {string|null} city_code
+ * ISTAT code of the comune of the property, when the scraper reports it; searches over
+ * several comuni also recognize it from the address (see `locateListings`).
+ * @property {string|null} auction_date
+ * Auction date in ISO format (`"2025-12-04"`).
+ * @property {number|null} price
+ * Minimum offer / base price in euros.
+ * @property {number|null} mq
+ * Surface in square metres.
+ * @property {number|null} rooms
+ * Number of rooms (integer).
+ * @property {number|null} bathrooms
+ * Number of bathrooms (integer).
+ * @property {boolean|null} autonomous
+ * Whether the heating is autonomous.
+ * @property {string|null} energy_class
+ * One of `ENERGY_CLASSES`.
+ * @property {string|null} description
+ * Free-text description.
+ * @property {string|null} url
+ * Link to the listing on the source portal.
+ * @property {string} source
+ * Id of the portal the listing comes from (see `SOURCES`).
+ * @property {DescriptionFacts} facts
+ * Data extracted from `description` (see `extractFacts`).
+ * @property {Risk} risk
+ * Risk flags raised by the description (see `assessRisk`).
+ */
+
+/**
+ * **UNKNOWN_VALUES**
+ *
+ * Placeholders used by the portals for "not available"; they normalize to `null`.
+ *
+ * @constant
+ * @type {ReadonlySet<string>}
+ */
+const UNKNOWN_VALUES = new Set(["", "-", "--", "n.d.", "nd", "n/d", "null", "undefined", "non disponibile"]);
+
+/**
+ * **NO_ENERGY_CLASS**
+ *
+ * Values meaning the property has no energy class (exempt, not classifiable, pending):
+ * they are valid and normalize to `null`.
+ *
+ * @constant
+ * @type {ReadonlySet<string>}
+ */
+const NO_ENERGY_CLASS = new Set(["NC", "N.C.", "ESENTE", "NON CLASSIFICABILE", "IN ATTESA", "NON SOGGETTO"]);
+
+/**
+ * **isUnknown**
+ *
+ * @param {any} value
+ * A raw field value.
+ *
+ * @returns {boolean}
+ * `true` for `null`/`undefined` and for the placeholders in `UNKNOWN_VALUES`.
+ */
+const isUnknown = (value) =>
+    value === null || value === undefined ||
+    (typeof value === "string" && UNKNOWN_VALUES.has(value.trim().toLowerCase()));
+
+/**
+ * **parseNumber**
+ *
+ * Parses a number written either as a JS number or as an Italian-formatted string
+ * (`"205.500"`, `"976,10"`, `"€ 205.500,00"`, `"182 mq"`).
+ *
+ * ---
+ *
+ * @function parseNumber
+ *
+ * @param {any} value
+ * The raw value.
+ *
+ * @returns {number|null|undefined}
+ * The number, `null` if the value is a known placeholder, `undefined` if it cannot be parsed.
+ *
+ * @example
+ * ```js
+ * parseNumber("205.500"); // → 205500
+ * parseNumber("976,10");  // → 976.1
+ * parseNumber("-");       // → null
+ * parseNumber("circa");   // → undefined
+ * ```
+ */
+export function parseNumber(value) {
+    if (isUnknown(value)) return null;
+    if (typeof value === "number") return Number.isFinite(value) ? value : undefined;
+    if (typeof value !== "string") return undefined;
+
+    let s = value.replace(/€|eur(o)?|mq|m²|m2/gi, "").replace(/\s/g, "");
+    if (s.includes(",")) {
+        // Italian format: dots are thousands separators, comma is the decimal separator
+        s = s.replace(/\./g, "").replace(",", ".");
+    } else if (/^\d{1,3}(\.\d{3})+$/.test(s)) {
+        s = s.replace(/\./g, "");
+    }
+
+    if (!/^-?\d+(\.\d+)?$/.test(s)) return undefined;
+    return Number(s);
+}
+
+/**
+ * **parseDate**
+ *
+ * Parses an auction date into ISO format (`yyyy-mm-dd`).
+ * Accepts `dd/mm/yyyy`, `dd-mm-yyyy`, `dd.mm.yyyy` (optionally followed by a time)
+ * and ISO dates or timestamps (the date part is kept); impossible dates such as
+ * `31/02/2025` are rejected.
+ *
+ * ---
+ *
+ * @function parseDate
+ *
+ * @param {any} value
+ * The raw value.
+ *
+ * @returns {string|null|undefined}
+ * The ISO date, `null` if the value is a known placeholder, `undefined` if it cannot be parsed.
+ *
+ * @example
+ * ```js
+ * parseDate("04/12/2025");             // → "2025-12-04"
+ * parseDate("2025-12-04T10:00:00Z");   // → "2025-12-04"
+ * parseDate("-");                      // → null
+ * ```
+ */
+export function parseDate(value) {
+    if (isUnknown(value)) return null;
+    if (typeof value !== "string") return undefined;
+
+    const s = value.trim();
+    let d, m, y;
+    let match = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})\b/);
+    if (match) [, d, m, y] = match.map(Number);
+    else if ((match = s.match(/^(\d{4})-(\d{2})-(\d{2})(?!\d)/))) [, y, m, d] = match.map(Number);
+    else return undefined;
+
+    const date = new Date(Date.UTC(y, m - 1, d));
+    if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return undefined;
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * **parseInteger**
+ *
+ * Like `parseNumber`, but only accepts non-negative integers (rooms, bathrooms).
+ *
+ * @param {any} value
+ * The raw value.
+ *
+ * @returns {number|null|undefined}
+ */
+function parseInteger(value) {
+    const n = parseNumber(value);
+    if (n === null || n === undefined) return n;
+    return Number.isInteger(n) && n >= 0 ? n : undefined;
+}
+
+/**
+ * **parseBoolean**
+ *
+ * Parses a yes/no field (`true`, `"si"`, `"sì"`, `"no"`, `"false"`…).
+ *
+ * @param {any} value
+ * The raw value.
+ *
+ * @returns {boolean|null|undefined}
+ */
+function parseBoolean(value) {
+    if (isUnknown(value)) return null;
+    if (typeof value === "boolean") return value;
+    const s = String(value).trim().toLowerCase();
+    if (["true", "si", "sì", "yes", "1"].includes(s)) return true;
+    if (["false", "no", "0"].includes(s)) return false;
+    return undefined;
+}
+
+/**
+ * **parseEnergyClass**
+ *
+ * Normalizes an energy class (`"classe a+"`, `"B"`, `"A 4"`) to one of `ENERGY_CLASSES`.
+ *
+ * @param {any} value
+ * The raw value.
+ *
+ * @returns {string|null|undefined}
+ * The class, `null` if unknown or not applicable (see `NO_ENERGY_CLASS`),
+ * `undefined` if it cannot be parsed.
+ */
+function parseEnergyClass(value) {
+    if (isUnknown(value)) return null;
+    const s = String(value).trim().toUpperCase().replace(/^CLASSE\s*/, "");
+    if (NO_ENERGY_CLASS.has(s)) return null;
+    const compact = s.replace(/\s/g, "");
+    return ENERGY_CLASSES.includes(compact) ? compact : undefined;
+}
+
+/**
+ * **parseText**
+ *
+ * @param {any} value
+ * The raw value.
+ *
+ * @returns {string|null}
+ * The trimmed string, or `null` for placeholders and empty strings.
+ */
+function parseText(value) {
+    if (isUnknown(value)) return null;
+    const s = String(value).trim();
+    return s || null;
+}
+
+/**
+ * **normalizeListing**
+ *
+ * Converts a raw scraper record into a `Listing`.
+ *
+ * Raw records are inconsistent (`price` as a string, `"-"` for unknown rooms,
+ * `dd/mm/yyyy` dates, a key literally called `"energy class"`…). Placeholders become
+ * `null`; values that are present but cannot be parsed make the record **invalid**, and
+ * each problem is reported in `errors` (in Italian, ready to be shown).
+ *
+ * A record is also invalid when it has no `id` or neither a `title` nor a `url`.
+ * The structured data hidden in the description is extracted into `facts`, and the
+ * problems it reveals into `risk`.
+ *
+ * ---
+ *
+ * @function normalizeListing
+ *
+ * @param {Object} raw
+ * A record as returned by the scraper.
+ *
+ * @returns {{ok: true, listing: Listing} | {ok: false, errors: string[], raw: Object}}
+ *
+ * @example
+ * ```js
+ * normalizeListing({ id: "EX1", title: "Appartamento", price: "4094", rooms: "-", auction_date: "04/12/2025" });
+ * // → { ok: true, listing: { id: "EX1", price: 4094, rooms: null, auction_date: "2025-12-04", ... } }
+ * ```
+ */
+export function normalizeListing(raw) {
+    if (!raw || typeof raw !== "object") {
+        return { ok: false, errors: ["record non valido"], raw };
+    }
+
+    const errors = [];
+    const field = (name, value, parse) => {
+        const parsed = parse(value);
+        if (parsed === undefined) {
+            errors.push(`${name} non valido: "${value}"`);
+            return null;
+        }
+        return parsed;
+    };
+
+    const listing = {
+        id: parseText(raw.id),
+        title: parseText(raw.title),
+        address: parseText(raw.address),
+        city_code: parseText(raw.city_code),
+        auction_date: field("data asta", raw.auction_date, parseDate),
+        price: field("prezzo", raw.price, parseNumber),
+        mq: field("superficie", raw.mq, parseNumber),
+        rooms: field("locali", raw.rooms, parseInteger),
+        bathrooms: field("bagni", raw.bathrooms ?? raw.bathroom, parseInteger),
+        autonomous: field("riscaldamento autonomo", raw.autonomous, parseBoolean),
+        energy_class: field("classe energetica", raw.energy_class ?? raw["energy class"], parseEnergyClass),
+        description: parseText(raw.description),
+        url: parseText(raw.url),
+    };
+    listing.source = resolveSource(raw.source, listing.url);
+    listing.facts = extractFacts(listing.description);
+    listing.risk = assessRisk(listing);
+
+    if (!listing.id) errors.push("id mancante");
+    if (!listing.title && !listing.url) errors.push("titolo e link mancanti");
+    if (listing.price !== null && listing.price < 0) errors.push(`prezzo negativo: ${listing.price}`);
+    if (listing.mq !== null && listing.mq <= 0) listing.mq = null; // "0 mq" means unknown
+
+    return errors.length ? { ok: false, errors, raw } : { ok: true, listing };
+}
+
+/**
+ * **normalizeResults**
+ *
+ * Normalizes a whole result list with `normalizeListing`, splitting valid listings
+ * from rejected records (which are also logged, to help fixing the scraper).
+ *
+ * ---
+ *
+ * @function normalizeResults
+ *
+ * @param {Array<Object>|null} records
+ * The raw records returned by the scraper.
+ *
+ * @returns {{listings: Listing[], rejected: Array<{errors: string[], raw: Object}>}}
+ */
+export function normalizeResults(records) {
+    const listings = [];
+    const rejected = [];
+
+    for (const raw of Array.isArray(records) ? records : []) {
+        const res = normalizeListing(raw);
+        if (res.ok) listings.push(res.listing);
+        else rejected.push({ errors: res.errors, raw: res.raw });
+    }
+
+    if (rejected.length) {
+        console.warn(`[normalizeResults] ${rejected.length} record scartati:`, rejected);
+    }
+    return { listings, rejected };
+}
+
+/**
+ * **keyFacts**
+ *
+ * Rows of the "key facts" of a listing, in display order (detail page and dossier).
+ * Unknown values are shown as `"-"`.
+ *
+ * ---
+ *
+ * @function keyFacts
+ *
+ * @param {Listing} listing
+ *
+ * @returns {Array<{id: string, label: string, value: string}>}
+ *
+ * @example
+ * ```js
+ * keyFacts(listing)[0]; // → { id: "price", label: "Prezzo base", value: "€ 205.500" }
+ * ```
+ */
+export function keyFacts(listing) {
+    const ppm = pricePerMq(listing);
+    const yesNo = { true: "Sì", false: "No" };
+    return [
+        { id: "price", label: "Prezzo base", value: listing.price != null ? `€ ${formatMoney(listing.price)}` : "-" },
+        { id: "auction_date", label: "Data asta", value: listing.auction_date ? formatDate(listing.auction_date) : "-" },
+        { id: "mq", label: "Superficie", value: listing.mq ? `${listing.mq} m²` : "-" },
+        { id: "price_mq", label: "Prezzo al m²", value: ppm != null ? `€ ${formatMoney(Math.round(ppm))}` : "-" },
+        { id: "rooms", label: "Locali", value: listing.rooms ?? "-" },
+        { id: "bathrooms", label: "Bagni", value: listing.bathrooms ?? "-" },
+        { id: "autonomous", label: "Riscaldamento autonomo", value: yesNo[listing.autonomous] ?? "-" },
+        { id: "energy_class", label: "Classe energetica", value: listing.energy_class ?? "-" },
+    ];
+}
+
+/**
+ * **cadastralText**
+ *
+ * @function cadastralText
+ *
+ * @param {NonNullable<DescriptionFacts["cadastral"]>} cadastral
+ *
+ * @returns {string}
+ * The cadastral identifiers in the usual notation (`"foglio 1111, particella 44, sub 501, cat. A/2"`).
+ */
+export function cadastralText({ foglio, particella, sub, category }) {
+    return [
+        foglio && `foglio ${foglio}`,
+        particella && `particella ${particella}`,
+        sub && `sub ${sub}`,
+        category && `cat. ${category}`,
+    ].filter(Boolean).join(", ");
+}
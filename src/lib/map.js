@@ -0,0 +1,366 @@
+import { useEffect, useMemo, useRef, useSyncExternalStore } from "react";
+import { distanceKm, findComune, resolveAddress } from "./comuni";
+import { createJSONStore } from "./storage";
+import { normalize } from "./utils";
+
+// base layer of the map: a `{z}/{x}/{y}` tile URL template (e.g. a local tile server),
+// or "none" for a blank base layer when offline
+const TILES_URL = import.meta.env.VITE_MAP_TILES_URL;
+const TILES_ATTRIBUTION = import.meta.env.VITE_MAP_TILES_ATTRIBUTION;
+// optional Nominatim-compatible search endpoint (e.g. "https://nominatim.example.org/search")
+const GEOCODER_URL = import.meta.env.VITE_GEOCODER_URL;
+
+/**
+ * **MAP_TILES**
+ *
+ * Base layer of the results map, from `VITE_MAP_TILES_URL` and `VITE_MAP_TILES_ATTRIBUTION`.
+ * Without configuration the OpenStreetMap tiles are used; `VITE_MAP_TILES_URL=none` gives a
+ * blank base layer (`url: null`), so the map works with no network at all.
+ *
+ * @constant
+ * @type {Readonly<{url: string|null, attribution: string, maxZoom: number}>}
+ */
+export const MAP_TILES = Object.freeze({
+    url: TILES_URL === "none" ? null : TILES_URL || "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+    attribution: TILES_ATTRIBUTION ?? (TILES_URL
+        ? ""
+        : "&copy; <a href=\"https://www.openstreetmap.org/copyright\">OpenStreetMap</a>"),
+    maxZoom: 18,
+});
+
+/**
+ * **GeoPoint**
+ *
+ * Position of a listing on the map (see `locateOnMap`).
+ *
+ * @typedef {Object} GeoPoint
+ * @property {number} lat
+ * @property {number} lng
+ * @property {"address"|"comune"} precision
+ * `"address"` when the geocoder found the address, `"comune"` for the centre of the comune
+ * (offline fallback): the listing is somewhere in the comune.
+ */
+
+/**
+ * **Geocoder**
+ *
+ * Finds the coordinates of an address. It resolves to `null` when the address is not found
+ * (the answer is cached) and rejects on network or server errors (retried on the next visit).
+ *
+ * @callback Geocoder
+ * @param {{address: string, comune: Comune|null}} query
+ * The address of a listing and its comune, when known (see `locateListings`).
+ * @param {{signal: AbortSignal}} options
+ * @returns {Promise<{lat: number, lng: number}|null>}
+ */
+
+/**
+ * **nominatimGeocoder**
+ *
+ * `Geocoder` querying a Nominatim-compatible `/search` endpoint (OpenStreetMap or a self-hosted
+ * instance), restricted to Italy. The comune is appended to the query when the address does
+ * not mention it.
+ *
+ * ---
+ *
+ * @function nominatimGeocoder
+ *
+ * @param {string} url
+ * The search endpoint.
+ *
+ * @returns {Geocoder}
+ *
+ * @example
+ * ```js
+ * setGeocoder(nominatimGeocoder("http://localhost:8080/search"));
+ * ```
+ */
+export function nominatimGeocoder(url) {
+    return async ({ address, comune }, { signal }) => {
+        const q = comune && !normalize(address).includes(normalize(comune.name))
+            ? `${address}, ${comune.name}`
+            : address;
+        const params = new URLSearchParams({ q, format: "jsonv2", limit: "1", countrycodes: "it" });
+        const res = await fetch(`${url}?${params}`, { signal, headers: { Accept: "application/json" } });
+        if (!res.ok) throw new Error(`Geocoder HTTP ${res.status}`);
+        const [hit] = await res.json();
+        return hit ? { lat: Number(hit.lat), lng: Number(hit.lon) } : null;
+    };
+}
+
+let geocoder = GEOCODER_URL ? nominatimGeocoder(GEOCODER_URL) : null;
+
+/**
+ * **setGeocoder**
+ *
+ * Replaces the geocoder of the map view. By default it is a `nominatimGeocoder` on
+ * `VITE_GEOCODER_URL`, or none: without a geocoder the listings are placed at the centre of
+ * their comune (see `locateOnMap`).
+ *
+ * ---
+ *
+ * @function setGeocoder
+ *
+ * @param {Geocoder|null} next
+ * The geocoder, or `null` to use only the offline fallback.
+ *
+ * @example
+ * ```js
+ * setGeocoder(async ({ address }, { signal }) => {
+ *     const res = await fetch(`/geo?q=${encodeURIComponent(address)}`, { signal });
+ *     return res.ok ? res.json() : null;
+ * });
+ * ```
+ */
+export function setGeocoder(next) {
+    geocoder = next;
+}
+
+// the public Nominatim servers allow one request per second
+const GEOCODE_INTERVAL_MS = 1100;
+// a geocoded point farther than this from the comune of the listing is a homonymous street
+const MAX_OFFSET_KM = 30;
+// addresses kept in the cache, the oldest are dropped
+const MAX_CACHED = 2000;
+// a geocoder request taking longer is given up (the address is tried again on the next visit)
+const GEOCODE_TIMEOUT_MS = 15000;
+
+const EMPTY_CACHE = Object.freeze({});
+const geocodes = createJSONStore("geocodes", {}, (value) =>
+    value && typeof value === "object" && !Array.isArray(value) ? value : {}
+);
+let lastRequest = 0;
+
+/**
+ * **geocodeKey**
+ *
+ * @param {MergedListing} listing
+ *
+ * @returns {string|null}
+ * Cache key of the address of the listing (with its comune), `null` without an address.
+ */
+const geocodeKey = (listing) => (listing.address ? `${listing.city_code ?? ""}|${normalize(listing.address)}` : null);
+
+// addresses waiting for the geocoder, by cache key (see `useGeocodes`)
+const queue = new Map();
+let geocoding = false;
+
+/**
+ * **geocodeQueue**
+ *
+ * Geocodes the addresses of the `queue`, one request at a time and at most one per
+ * `GEOCODE_INTERVAL_MS`, until it is empty. An address the geocoder fails on is skipped (and
+ * not cached, so it is tried again later): the others go on.
+ *
+ * @returns {Promise<void>}
+ */
+async function geocodeQueue() {
+    if (geocoding) return;
+    geocoding = true;
+    try {
+        while (queue.size && geocoder) {
+            const [key, listing] = queue.entries().next().value;
+            queue.delete(key);
+            if (key in geocodes.read()) continue;
+
+            await new Promise((resolve) => setTimeout(resolve, Math.max(0, lastRequest + GEOCODE_INTERVAL_MS - Date.now())));
+            lastRequest = Date.now();
+            const comune = findComune(listing.city_code);
+            let point;
+            try {
+                point = await geocoder({ address: listing.address, comune }, { signal: AbortSignal.timeout(GEOCODE_TIMEOUT_MS) });
+            } catch (err) {
+                console.warn(`[useGeocodes] geocoding non riuscito per "${listing.address}":`, err);
+                continue;
+            }
+            if (point && comune && distanceKm(point, comune) > MAX_OFFSET_KM) point = null;
+
+            const next = { ...geocodes.read(), [key]: point && { lat: point.lat, lng: point.lng } };
+            const keys = Object.keys(next);
+            keys.slice(0, keys.length - MAX_CACHED).forEach((old) => delete next[old]);
+            geocodes.write(next);
+        }
+    } finally {
+        geocoding = false;
+    }
+}
+
+// comuni recognized from the text of the listings without `city_code`, by text
+const fallbackComuni = new Map();
+
+/**
+ * **locateOnMap**
+ *
+ * Position of a listing on the map: the geocoded address when the cache has it (see
+ * `useGeocodes`), otherwise the centre of its comune — the `city_code` set by
+ * `locateListings`, or the comune recognized in the address or the title (see
+ * `resolveAddress`). Works offline.
+ *
+ * ---
+ *
+ * @function locateOnMap
+ *
+ * @param {MergedListing} listing
+ *
+ * @param {Record<string, {lat: number, lng: number}|null>} [cached]
+ * The geocoded addresses (see `useGeocodes`).
+ *
+ * @returns {GeoPoint|null}
+ * `null` when not even the comune is known.
+ *
+ * @example
+ * ```js
+ * locateOnMap({ ...listing, city_code: "016065" }, {});
+ * // → { lat: 45.80, lng: 10.07, precision: "comune" }
+ * ```
+ */
+export function locateOnMap(listing, cached = geocodes.read()) {
+    const point = cached[geocodeKey(listing)];
+    if (point) return { lat: point.lat, lng: point.lng, precision: "address" };
+
+    let comune = findComune(listing.city_code);
+    const text = listing.address || listing.title;
+    if (!comune && text) {
+        if (!fallbackComuni.has(text)) fallbackComuni.set(text, resolveAddress(text));
+        comune = fallbackComuni.get(text);
+    }
+    return comune ? { lat: comune.lat, lng: comune.lng, precision: "comune" } : null;
+}
+
+/**
+ * **useGeocodes**
+ *
+ * React hook geocoding the addresses of the listings with the current geocoder (see
+ * `setGeocoder`), one request at a time (see `geocodeQueue`), and caching the answers in
+ * `localStorage`: each address is looked up once. Points too far from the comune of the
+ * listing are discarded. New listings (e.g. streamed) only add their addresses to the queue,
+ * without interrupting it. Without a geocoder (or when disabled) it only returns the cache.
+ *
+ * ---
+ *
+ * @function useGeocodes
+ *
+ * @param {MergedListing[]} listings
+ * The listings to geocode.
+ *
+ * @param {boolean} [enabled=true]
+ * `false` to skip the requests (e.g. while the map is not shown).
+ *
+ * @returns {Record<string, {lat: number, lng: number}|null>}
+ * The geocoded addresses, for `locateOnMap`.
+ *
+ * @example
+ * ```js
+ * const cached = useGeocodes(listings, view === "map");
+ * const located = listings.map((l) => ({ ...l, geo: locateOnMap(l, cached) }));
+ * ```
+ */
+export function useGeocodes(listings, enabled = true) {
+    const cached = useSyncExternalStore(geocodes.subscribe, geocodes.read, () => EMPTY_CACHE);
+    const latest = useRef(listings);
+    useEffect(() => {
+        latest.current = listings;
+    });
+
+    // the addresses not geocoded yet: the queue follows this set, not the identity of
+    // `listings` (a new array for every streamed record)
+    const missing = useMemo(
+        () => [...new Set(listings.map(geocodeKey).filter((key) => key && !(key in cached)))].join("\n"),
+        [listings, cached]
+    );
+
+    useEffect(() => {
+        if (!enabled || !geocoder || !missing) return;
+        const keys = new Set(missing.split("\n"));
+        for (const listing of latest.current) {
+            const key = geocodeKey(listing);
+            if (keys.has(key)) queue.set(key, listing);
+        }
+        geocodeQueue();
+        // the request in flight, if any, completes and is cached
+        return () => keys.forEach((key) => queue.delete(key));
+    }, [missing, enabled]);
+
+    return cached;
+}
+
+/**
+ * **pointInPolygon**
+ *
+ * Whether a point lies inside a polygon (ray casting). Lat/lng are treated as plane
+ * coordinates, which is accurate enough for a neighbourhood drawn on the map.
+ *
+ * ---
+ *
+ * @function pointInPolygon
+ *
+ * @param {{lat: number, lng: number}} point
+ *
+ * @param {Array<[number, number]>} polygon
+ * The vertices as `[lat, lng]`, not closed (the last vertex connects to the first).
+ *
+ * @returns {boolean}
+ *
+ * @example
+ * ```js
+ * pointInPolygon({ lat: 45.5, lng: 9.5 }, [[45, 9], [46, 9], [46, 10], [45, 10]]); // → true
+ * ```
+ */
+export function pointInPolygon({ lat, lng }, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lngI] = polygon[i];
+        const [latJ, lngJ] = polygon[j];
+        if ((latI > lat) !== (latJ > lat) && lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * **CLUSTER_CELL_PX**
+ *
+ * Side of the screen cells listings are grouped by (see `clusterListings`), in pixels.
+ *
+ * @constant
+ * @type {number}
+ */
+export const CLUSTER_CELL_PX = 64;
+
+/**
+ * **clusterListings**
+ *
+ * Groups the listings whose markers would overlap at the current zoom: the map is split
+ * in square cells of `cell` pixels and each cell with listings becomes one marker, placed
+ * at their average position.
+ *
+ * ---
+ *
+ * @function clusterListings
+ *
+ * @param {Array<MergedListing & {geo: GeoPoint}>} listings
+ * Listings with a position (see `locateOnMap`).
+ *
+ * @param {(point: {lat: number, lng: number}) => {x: number, y: number}} project
+ * Converts a position to pixels at the current zoom (e.g. `(p) => map.project([p.lat, p.lng])`).
+ *
+ * @param {number} [cell=CLUSTER_CELL_PX]
+ *
+ * @returns {Array<{lat: number, lng: number, listings: MergedListing[]}>}
+ * The clusters; a single listing is a cluster of one.
+ */
+export function clusterListings(listings, project, cell = CLUSTER_CELL_PX) {
+    const cells = new Map();
+    for (const listing of listings) {
+        const { x, y } = project(listing.geo);
+        const key = `${Math.floor(x / cell)}:${Math.floor(y / cell)}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(listing);
+    }
+    return [...cells.values()].map((group) => ({
+        lat: group.reduce((sum, l) => sum + l.geo.lat, 0) / group.length,
+        lng: group.reduce((sum, l) => sum + l.geo.lng, 0) / group.length,
+        listings: group,
+    }));
+}
@@ -0,0 +1,407 @@
+import { isFractional, nearbyServices } from "./description";
+import { pointInPolygon } from "./map";
+
+/**
+ * **pricePerMq**
+ *
+ * Price per square metre of a listing.
+ *
+ * @function pricePerMq
+ *
+ * @param {Listing} listing
+ * A normalized listing.
+ *
+ * @returns {number|null}
+ * `price / mq`, or `null` when either is unknown.
+ */
+export function pricePerMq(listing) {
+    return listing.price != null && listing.mq ? listing.price / listing.mq : null;
+}
+
+/**
+ * **SORTERS**
+ *
+ * Sort key and direction for each value of `SORT_OPTIONS`
+ * (`dir: 1` ascending, `dir: -1` descending).
+ *
+ * @constant
+ * @type {Readonly<Record<string, {get: (l: Listing) => any, dir: 1|-1}>>}
+ */
+const SORTERS = Object.freeze({
+    price_asc: { get: (l) => l.price, dir: 1 },
+    price_desc: { get: (l) => l.price, dir: -1 },
+    date_asc: { get: (l) => l.auction_date, dir: 1 }, // ISO dates sort lexicographically
+    mq_desc: { get: (l) => l.mq, dir: -1 },
+    ppm_asc: { get: pricePerMq, dir: 1 },
+    rooms_desc: { get: (l) => l.rooms, dir: -1 },
+});
+
+/**
+ * **sortListings**
+ *
+ * Sorts normalized listings client-side according to one of the `SORT_OPTIONS` values.
+ *
+ * The sort is **stable** (ties keep the scraper order) and listings missing the
+ * sorted field are always placed **last**, whatever the direction.
+ * Unknown values (and `"relevance"`) return the listings in their original order.
+ *
+ * ---
+ *
+ * @function sortListings
+ *
+ * @param {Listing[]} listings
+ * The listings to sort (not mutated).
+ *
+ * @param {string} [sort="relevance"]
+ * A `SORT_OPTIONS` value.
+ *
+ * @returns {Listing[]}
+ * A new, sorted array.
+ *
+ * @example
+ * ```js
+ * sortListings(listings, "price_asc")[0].price; // cheapest price
+ * ```
+ */
+export function sortListings(listings, sort = "relevance") {
+    const sorter = SORTERS[sort];
+    if (!sorter) return [...listings];
+
+    return listings
+        .map((listing, idx) => ({ listing, idx, key: sorter.get(listing) }))
+        .sort((a, b) => {
+            if (a.key == null || b.key == null) {
+                if (a.key == null && b.key == null) return a.idx - b.idx;
+                return a.key == null ? 1 : -1;
+            }
+            if (a.key < b.key) return -sorter.dir;
+            if (a.key > b.key) return sorter.dir;
+            return a.idx - b.idx;
+        })
+        .map((x) => x.listing);
+}
+
+/**
+ * **Refine**
+ *
+ * State of the refine sidebar of the results page: client-side filters applied to
+ * the listings already fetched, without running the search again.
+ *
+ * @typedef {Object} Refine
+ * @property {string[]} sources
+ * Source portals to keep (see `SOURCES`): a lot published on several portals is kept
+ * when any of them is selected; empty → no filter.
+ * @property {[number, number]|null} price
+ * Price range in euros (`null` → no filter).
+ * @property {[number, number]|null} mq
+ * Surface range in square metres.
+ * @property {[number, number]|null} rooms
+ * Rooms range.
+ * @property {boolean} autonomous
+ * Keep only listings with autonomous heating.
+ * @property {string[]} energy
+ * Energy classes to keep (see `ENERGY_CLASSES`); empty → no filter.
+ * @property {string|null} auction_from
+ * First auction date to keep (ISO, inclusive).
+ * @property {string|null} auction_to
+ * Last auction date to keep (ISO, inclusive).
+ * @property {boolean} exclude_shares
+ * Hide listings selling only a share or a partial right (see `isFractional`).
+ * @property {boolean} exclude_condono
+ * Hide listings whose description mentions a condono or a sanatoria.
+ * @property {string[]} occupancy
+ * Occupancy states to keep (`"free"`, `"occupied"`); empty → no filter.
+ * @property {string[]} categories
+ * Cadastral categories to keep (`"A/2"`…); empty → no filter.
+ * @property {string[]} near
+ * Services that must all be within `NEAR_KM`; empty → no filter.
+ * @property {boolean} hide_high_risk
+ * Hide listings with at least one red risk flag (see `assessRisk`).
+ * @property {string[]} comuni
+ * ISTAT codes of the comuni to keep (searches over several comuni, see `locateListings`);
+ * empty → no filter.
+ * @property {Array<[number, number]>|null} area
+ * Neighbourhood drawn on the results map, as `[lat, lng]` vertices: keeps the listings whose
+ * position (see `locateOnMap`) is inside; `null` → no filter.
+ */
+
+/**
+ * **EMPTY_REFINE**
+ *
+ * `Refine` with every filter disabled.
+ *
+ * @constant
+ * @type {Readonly<Refine>}
+ */
+export const EMPTY_REFINE = Object.freeze({
+    sources: [],
+    price: null,
+    mq: null,
+    rooms: null,
+    autonomous: false,
+    energy: [],
+    auction_from: null,
+    auction_to: null,
+    exclude_shares: false,
+    exclude_condono: false,
+    occupancy: [],
+    categories: [],
+    near: [],
+    hide_high_risk: false,
+    comuni: [],
+    area: null,
+});
+
+/**
+ * **inRange**
+ *
+ * Range test used by the numeric facets. Unknown values are **kept**: the portals
+ * often omit surface and rooms, and hiding those listings would hide most results.
+ *
+ * @param {number|null} value
+ * @param {[number, number]|null} range
+ *
+ * @returns {boolean}
+ */
+const inRange = (value, range) => !range || value == null || (value >= range[0] && value <= range[1]);
+
+/**
+ * **REFINE_FACETS**
+ *
+ * One predicate per facet of the refine sidebar: `true` when the listing passes
+ * the facet (or the facet is disabled).
+ *
+ * @constant
+ * @type {Readonly<Record<string, (listing: Listing, refine: Refine) => boolean>>}
+ */
+const REFINE_FACETS = Object.freeze({
+    sources: (l, r) => !r.sources.length || l.links.some((link) => r.sources.includes(link.source)),
+    price: (l, r) => inRange(l.price, r.price),
+    mq: (l, r) => inRange(l.mq, r.mq),
+    rooms: (l, r) => inRange(l.rooms, r.rooms),
+    autonomous: (l, r) => !r.autonomous || l.autonomous === true,
+    energy: (l, r) => !r.energy.length || r.energy.includes(l.energy_class),
+    auction: (l, r) => {
+        if (!r.auction_from && !r.auction_to) return true;
+        if (!l.auction_date) return false;
+        return (!r.auction_from || l.auction_date >= r.auction_from) &&
+            (!r.auction_to || l.auction_date <= r.auction_to);
+    },
+    exclude_shares: (l, r) => !r.exclude_shares || !isFractional(l.facts),
+    exclude_condono: (l, r) => !r.exclude_condono || !l.facts.condono,
+    occupancy: (l, r) => !r.occupancy.length || r.occupancy.includes(l.facts.occupancy),
+    categories: (l, r) => !r.categories.length || r.categories.includes(l.facts.cadastral?.category),
+    near: (l, r) => r.near.every((name) => nearbyServices(l.facts).includes(name)),
+    hide_high_risk: (l, r) => !r.hide_high_risk || l.risk.level !== "high",
+    comuni: (l, r) => !r.comuni.length || r.comuni.includes(l.city_code),
+    area: (l, r) => !r.area || (l.geo != null && pointInPolygon(l.geo, r.area)),
+});
+
+/**
+ * **TOGGLE_FACETS**
+ *
+ * Boolean facets: `facetCounts` reports how many listings enabling them would keep (`on`).
+ *
+ * @constant
+ * @type {ReadonlyArray<string>}
+ */
+const TOGGLE_FACETS = Object.freeze(["autonomous", "exclude_shares", "exclude_condono", "hide_high_risk"]);
+
+/**
+ * **LIST_FACETS**
+ *
+ * Multiple-choice facets, with the values of each listing: `facetCounts` reports
+ * how many listings have each value (`byValue`).
+ *
+ * @constant
+ * @type {Readonly<Record<string, (listing: Listing) => Array<string|null|undefined>>>}
+ */
+const LIST_FACETS = Object.freeze({
+    sources: (l) => l.links.map((link) => link.source),
+    energy: (l) => [l.energy_class],
+    occupancy: (l) => [l.facts.occupancy],
+    categories: (l) => [l.facts.cadastral?.category],
+    near: (l) => nearbyServices(l.facts),
+    comuni: (l) => [l.city_code],
+});
+
+/**
+ * **refineListings**
+ *
+ * Applies every facet of a `Refine` to the listings.
+ *
+ * ---
+ *
+ * @function refineListings
+ *
+ * @param {MergedListing[]} listings
+ * The deduplicated listings (see `dedupeListings`, not mutated).
+ *
+ * @param {Refine} [refine=EMPTY_REFINE]
+ * The sidebar state.
+ *
+ * @returns {MergedListing[]}
+ * The listings passing all facets, in their original order.
+ *
+ * @example
+ * ```js
+ * refineListings(listings, { ...EMPTY_REFINE, price: [50_000, 150_000], energy: ["A", "B"] });
+ * ```
+ */
+export function refineListings(listings, refine = EMPTY_REFINE) {
+    const facets = Object.values(REFINE_FACETS);
+    return listings.filter((listing) => facets.every((test) => test(listing, refine)));
+}
+
+/**
+ * **shownListings**
+ *
+ * The listings shown by the results page, in order: refined (see `refineListings`),
+ * optionally restricted to the lots new since the previous run, then sorted
+ * (see `sortListings`). The dossier of the results uses the same list.
+ *
+ * ---
+ *
+ * @function shownListings
+ *
+ * @param {MergedListing[]} listings
+ * The deduplicated listings.
+ *
+ * @param {Object} view
+ * @param {Refine} view.refine
+ * The sidebar state.
+ * @param {string} view.sort
+ * A `SORT_OPTIONS` value.
+ * @param {boolean} [view.onlyNew=false]
+ * Keep only the listings new since the previous run ("Solo nuovi").
+ * @param {SearchDiff|null} [view.diff=null]
+ * The diff with the previous run (required by `onlyNew`).
+ *
+ * @returns {MergedListing[]}
+ */
+export function shownListings(listings, { refine, sort, onlyNew = false, diff = null }) {
+    const refined = refineListings(listings, refine);
+    const shown = onlyNew && diff ? refined.filter((l) => diff.changes[l.id]?.isNew) : refined;
+    return sortListings(shown, sort);
+}
+
+/**
+ * **facetCounts**
+ *
+ * Computes, for each facet of the sidebar, **how many listings it keeps**.
+ *
+ * Counts are relative to the listings passing all the *other* facets (`of`), so each
+ * facet shows its own effect: `keep` is how many of them also pass this facet.
+ * Toggle and multiple-choice facets also report what enabling an option would keep:
+ * - `on` (see `TOGGLE_FACETS`) → listings passing the toggle once enabled;
+ * - `byValue` (see `LIST_FACETS`) → listings per value (e.g. per energy class).
+ *
+ * ---
+ *
+ * @function facetCounts
+ *
+ * @param {MergedListing[]} listings
+ * The deduplicated listings (see `dedupeListings`).
+ *
+ * @param {Refine} refine
+ * The sidebar state.
+ *
+ * @returns {Record<string, {of: number, keep: number, on?: number, byValue?: Record<string, number>}>}
+ * Counts keyed by facet (`price`, `mq`, `rooms`, `autonomous`, `energy`, `auction`, …).
+ */
+export function facetCounts(listings, refine) {
+    const entries = Object.entries(REFINE_FACETS);
+    const counts = {};
+
+    for (const [name, test] of entries) {
+        const others = listings.filter((listing) =>
+            entries.every(([other, otherTest]) => other === name || otherTest(listing, refine))
+        );
+        counts[name] = { of: others.length, keep: others.filter((listing) => test(listing, refine)).length };
+
+        if (TOGGLE_FACETS.includes(name)) {
+            const enabled = { ...refine, [name]: true };
+            counts[name].on = others.filter((listing) => test(listing, enabled)).length;
+        }
+        if (LIST_FACETS[name]) {
+            counts[name].byValue = {};
+            for (const listing of others) {
+                for (const value of new Set(LIST_FACETS[name](listing))) {
+                    if (value) counts[name].byValue[value] = (counts[name].byValue[value] ?? 0) + 1;
+                }
+            }
+        }
+    }
+    return counts;
+}
+
+/**
+ * **rangeBounds**
+ *
+ * Smallest `[min, max]` interval, aligned to `step`, containing every known value
+ * of a numeric field. Used as the limits of the sidebar sliders.
+ *
+ * ---
+ *
+ * @function rangeBounds
+ *
+ * @param {Listing[]} listings
+ * The normalized listings.
+ *
+ * @param {(listing: Listing) => number|null} get
+ * Field accessor.
+ *
+ * @param {number} [step=1]
+ * Slider step the bounds are rounded to.
+ *
+ * @returns {[number, number]|null}
+ * The bounds, or `null` if no listing has the field.
+ *
+ * @example
+ * ```js
+ * rangeBounds(listings, (l) => l.price, 5_000); // → [0, 210000]
+ * ```
+ */
+export function rangeBounds(listings, get, step = 1) {
+    const values = listings.map(get).filter((v) => v != null);
+    if (!values.length) return null;
+    return [
+        Math.floor(Math.min(...values) / step) * step,
+        Math.ceil(Math.max(...values) / step) * step,
+    ];
+}
+
+/**
+ * **paginate**
+ *
+ * Slices the listings shown on one page of the results grid.
+ * Out-of-range pages are clamped, so a stale `page` in the URL (e.g. after refining)
+ * still shows something.
+ *
+ * ---
+ *
+ * @function paginate
+ *
+ * @param {Listing[]} listings
+ * The listings to paginate (already refined and sorted).
+ *
+ * @param {number} page
+ * The requested page, **1-based**.
+ *
+ * @param {number} perPage
+ * Page size (see `PAGE_SIZE_OPTIONS`).
+ *
+ * @returns {{items: Listing[], page: number, pageCount: number}}
+ * The listings of the page, the actual (clamped) page and the number of pages (at least 1).
+ *
+ * @example
+ * ```js
+ * paginate(listings, 3, 24); // → { items: listings.slice(48, 72), page: 3, pageCount: ... }
+ * ```
+ */
+export function paginate(listings, page, perPage) {
+    const pageCount = Math.max(1, Math.ceil(listings.length / perPage));
+    const current = Math.min(Math.max(1, Math.floor(page) || 1), pageCount);
+    const start = (current - 1) * perPage;
+    return { items: listings.slice(start, start + perPage), page: current, pageCount };
+}
@@ -0,0 +1,177 @@
+import { isFractional } from "./description";
+
+/**
+ * **RiskFlag**
+ *
+ * A problem found in a listing description.
+ *
+ * @typedef {Object} RiskFlag
+ * @property {string} id
+ * Rule id (see `RISK_RULES`).
+ * @property {"red"|"amber"} severity
+ * `red` → usually a deal-breaker for investors; `amber` → needs checking.
+ * @property {string} label
+ * Short user-facing label (in Italian).
+ * @property {string|null} quote
+ * The sentence of the description supporting the flag.
+ */
+
+/**
+ * **Risk**
+ *
+ * @typedef {Object} Risk
+ * @property {"high"|"medium"|"low"} level
+ * `high` with at least one red flag, `medium` with only amber flags, `low` otherwise.
+ * @property {RiskFlag[]} flags
+ * The flags, red ones first.
+ */
+
+/**
+ * **RISK_LEVELS**
+ *
+ * User-facing labels of the `Risk.level` values.
+ *
+ * @constant
+ * @type {Readonly<Record<string, string>>}
+ * @readonly
+ */
+export const RISK_LEVELS = Object.freeze({
+    high: "Rischio alto",
+    medium: "Da verificare",
+    low: "Nessun rischio rilevato",
+});
+
+/**
+ * **RISK_RULES**
+ *
+ * Rules producing the risk flags. `check` returns the flag `severity`/`label` when the
+ * rule applies (or `null`); `pattern` locates the sentence to quote (and is handed to
+ * `check` for the rules based on the text alone).
+ *
+ * | Rule | Severity | Trigger |
+ * |------|----------|---------|
+ * | `share` | red | Only a share or a partial right is sold (`1/6 della proprietà`, nuda proprietà, usufrutto). |
+ * | `occupied` | red / amber | Occupied by third parties or tenants (red) or by the debtor (amber). |
+ * | `no_licence` | red / amber | Built without a licence or permit, or works described as abusive (`opere abusive`, not an `occupante abusivo`); amber when a sanatoria was granted. |
+ * | `irregular` | amber | Urban-planning or cadastral non-conformities, unless denied (`non sono state rilevate difformità`). |
+ * | `no_agibilita` | amber | Missing certificate of habitability (agibilità, `non risulta il certificato di agibilità`). |
+ *
+ * @constant
+ * @type {ReadonlyArray<{id: string, pattern: RegExp, check: (facts: DescriptionFacts, text: string, pattern: RegExp) => ({severity: "red"|"amber", label: string}|null)}>}
+ */
+const RISK_RULES = Object.freeze([
+    {
+        id: "share",
+        pattern: /\d{1,3}\s*\/\s*\d{1,3}\s+(?:della|dell['’]|di)|\bquota\b|\bnuda\s+propriet|\busufrutto\b/i,
+        check: (facts) => isFractional(facts)
+            ? {
+                severity: "red",
+                label: facts.ownership.share ? `Quota parziale (${facts.ownership.share})` : `Solo ${facts.ownership.right}`,
+            }
+            : null,
+    },
+    {
+        id: "occupied",
+        pattern: /\boccupat[oa]\b/i,
+        check: ({ occupancy, occupant }) => {
+            if (occupancy !== "occupied") return null;
+            if (["terzi", "conduttore", "inquilino", "comodatario"].includes(occupant)) {
+                return { severity: "red", label: `Occupato (${occupant})` };
+            }
+            return { severity: "amber", label: occupant ? `Occupato (${occupant})` : "Occupato" };
+        },
+    },
+    {
+        id: "no_licence",
+        pattern: /\b(?:in\s+)?(?:assenza|mancanza|difetto)\s+d[ie]\s*(?:licenza|permesso|concessione)|\bsenza\s+(?:licenza|permesso|concessione)|\b(?:opere|costruzion[ei]|manufatt[oi]|edificat[oaie]|edificazion[ei]|realizzat[oaie]|immobile|fabbricat[oi]|ampliament[oi])\b(?:(?!occup|deten)[^.]){0,40}?\babusiv(?:[oaie]|amente)\b(?!\s+(?:occup|deten))|\babusiv[oaie]\s+(?:opere|costruzion|manufatt|edificazion|fabbricat|ampliament)/i,
+        check: (_, text, pattern) => {
+            if (!pattern.test(text)) return null;
+            return /sanatoria[^.]{0,80}\b(?:rilasciat|ottenut|concess)|\b(?:rilasciat|ottenut)[^.]{0,80}sanatoria/i.test(text)
+                ? { severity: "amber", label: "Costruito senza licenza (sanato)" }
+                : { severity: "red", label: "Costruito senza licenza" };
+        },
+    },
+    {
+        id: "irregular",
+        pattern: /(?<!\b(?:non\s+(?:[a-zàèéìòù]+\s+){0,3}(?:rilev|riscontr|present|emers|risult|evidenzi|segnal)[a-zàèéìòù]*\s+(?:[a-zàèéìòù']+\s+){0,2}|nessun[ao]?\s+|(?:assenza|privo|priva)\s+d[ie]\s+))(?:\bdifformit[àa]|\birregolarit[àa]\s+(?:urbanistic|edilizi|catastal)|\bnon\s+(?:è\s+|risult(?:a|ano)\s+)?conform[ei]\b)/i,
+        check: (_, text, pattern) => pattern.test(text)
+            ? { severity: "amber", label: "Difformità urbanistiche o catastali" }
+            : null,
+    },
+    {
+        id: "no_agibilita",
+        pattern: /\b(?:non\s+(?:è\s+)?(?:presente|present[ei]|rilasciat[oa]|reperit[oa])|non\s+risult(?:a|ano)|assenza|mancanza|privo|priva|senza|manca)\b[^.]{0,60}agibilit[àa]|agibilit[àa][^.]{0,40}\b(?:non\s+(?:è\s+|risulta\s+)?(?:presente|rilasciat[oa]|reperit[oa])|assente|mancante)/i,
+        check: (_, text, pattern) => pattern.test(text)
+            ? { severity: "amber", label: "Senza agibilità" }
+            : null,
+    },
+]);
+
+/**
+ * **splitSentences**
+ *
+ * Splits a description into sentences. Portals often glue sentences together
+ * (`"proprietà.L'appartamento"`), so a period followed by an uppercase letter is a
+ * boundary even without a space — except after abbreviations (`"cat. A/2"`, `"n. 5"`).
+ *
+ * @param {string} text
+ *
+ * @returns {string[]}
+ */
+function splitSentences(text) {
+    const sentences = [];
+    let start = 0;
+    for (const match of text.matchAll(/[.!?]+\s*(?=[A-ZÀ-Ú])/g)) {
+        const before = text.slice(start, match.index).match(/(\S+)$/)?.[1] ?? "";
+        // abbreviations: short words ("cat.", "n.", "z.c."), not numbers ("civico 21. Si tratta")
+        if (/^[a-zà-ù.]+$/i.test(before) && before.replace(/\./g, "").length <= 3) continue;
+        sentences.push(text.slice(start, match.index + 1).trim());
+        start = match.index + match[0].length;
+    }
+    sentences.push(text.slice(start).trim());
+    return sentences.filter(Boolean);
+}
+
+/**
+ * **assessRisk**
+ *
+ * Assigns a set of red/amber **risk flags** to a listing, based on the data extracted
+ * from its description (see `extractFacts`) and on the rules in `RISK_RULES`.
+ * Each flag quotes the sentence of the description supporting it, so the user can
+ * judge it without opening the announcement.
+ *
+ * ---
+ *
+ * @function assessRisk
+ *
+ * @param {{description: string|null, facts: DescriptionFacts}} listing
+ * The listing (its `facts` must already be extracted).
+ *
+ * @returns {Risk}
+ *
+ * @example
+ * ```js
+ * assessRisk({ description: "L'immobile è occupato da terzi con contratto opponibile.", facts });
+ * // → { level: "high", flags: [{ id: "occupied", severity: "red", label: "Occupato (terzi)",
+ * //      quote: "L'immobile è occupato da terzi con contratto opponibile." }] }
+ * ```
+ */
+export function assessRisk({ description, facts }) {
+    const text = typeof description === "string" ? description.replace(/\s+/g, " ") : "";
+    const sentences = splitSentences(text);
+
+    const flags = [];
+    for (const rule of RISK_RULES) {
+        const result = rule.check(facts, text, rule.pattern);
+        if (!result) continue;
+        flags.push({
+            id: rule.id,
+            ...result,
+            quote: sentences.find((sentence) => rule.pattern.test(sentence)) ?? null,
+        });
+    }
+    flags.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === "red" ? -1 : 1));
+
+    const level = flags.some((f) => f.severity === "red") ? "high" : flags.length ? "medium" : "low";
+    return { level, flags };
+}
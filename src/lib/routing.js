@@ -0,0 +1,370 @@
+import { EMPTY_REFINE } from "./results";
+
+/**
+ * **FILTER_PARAMS**
+ *
+ * Lookup table describing how each field of the search `filter` object
+ * is serialized into (and parsed back from) the URL query string.
+ *
+ * Keys are the filter fields, values are the **type** used when decoding:
+ * - `"string"` → kept as-is
+ * - `"number"` → parsed with `Number()`, invalid values are ignored
+ * - `"list"` → array of strings, written comma-separated (`sources=pvp,astalegale`)
+ *
+ * ---
+ *
+ * @constant
+ * @type {Readonly<Record<string, "string"|"number"|"list">>}
+ * @readonly
+ */
+export const FILTER_PARAMS = Object.freeze({
+    places: "list",
+    center: "string",
+    radius: "number",
+    // single comune of older links and saved searches (see `filterPlaces`)
+    city: "string",
+    city_code: "string",
+    type: "number",
+    lower_price: "number",
+    higher_price: "number",
+    lower_mq: "number",
+    higher_mq: "number",
+    lower_rooms: "number",
+    higher_rooms: "number",
+    why: "string",
+    request_description: "string",
+    sources: "list",
+});
+
+/**
+ * **filterToSearchParams**
+ *
+ * Serializes a search `filter` object into a `URLSearchParams` instance,
+ * so the whole search can be **bookmarked, shared and restored on reload**.
+ *
+ * Only the fields listed in `FILTER_PARAMS` are written; empty values
+ * (`null`, `undefined`, `""`, `[]`) are skipped to keep URLs short.
+ *
+ * ---
+ *
+ * @function filterToSearchParams
+ *
+ * @param {Filter} [filter={}]
+ * The filter object to serialize (see `BASEFILTER`).
+ *
+ * @returns {URLSearchParams}
+ * The query parameters representing the filter.
+ *
+ * ---
+ *
+ * @example
+ * ```js
+ * filterToSearchParams({ city: "Roma", type: 1, lower_price: null }).toString();
+ * // → "city=Roma&type=1"
+ * ```
+ */
+export function filterToSearchParams(filter = {}) {
+    const params = new URLSearchParams();
+    for (const key of Object.keys(FILTER_PARAMS)) {
+        const val = filter?.[key];
+        if (val === null || val === undefined || val === "") continue;
+        if (Array.isArray(val)) {
+            if (val.length) params.set(key, val.join(","));
+            continue;
+        }
+        params.set(key, String(val));
+    }
+    return params;
+}
+
+/**
+ * **searchParamsToFilter**
+ *
+ * Inverse of `filterToSearchParams`: reads the filter fields from a
+ * `URLSearchParams` instance and converts them back to their proper types.
+ *
+ * The returned object contains **only the fields present in the URL**, so it
+ * is meant to be merged on top of a base filter:
+ * ```js
+ * const filter = { ...BASEFILTER, ...searchParamsToFilter(searchParams) };
+ * ```
+ *
+ * ---
+ *
+ * @function searchParamsToFilter
+ *
+ * @param {URLSearchParams} params
+ * The query parameters to decode (e.g. from `useSearchParams()`).
+ *
+ * @returns {Partial<Filter>}
+ * The decoded filter fields. Numeric fields that cannot be parsed are omitted.
+ */
+export function searchParamsToFilter(params) {
+    const filter = {};
+    for (const [key, kind] of Object.entries(FILTER_PARAMS)) {
+        const raw = params.get(key);
+        if (raw === null || raw === "") continue;
+        if (kind === "number") {
+            const num = Number(raw);
+            if (Number.isFinite(num)) filter[key] = num;
+        } else if (kind === "list") {
+            filter[key] = raw.split(",").filter(Boolean);
+        } else {
+            filter[key] = raw;
+        }
+    }
+    return filter;
+}
+
+/**
+ * **searchPath**
+ *
+ * Builds the URL of a given step of the search wizard, carrying the current
+ * filter in the query string (e.g. `/search/1?city=Roma&type=1`).
+ *
+ * ---
+ *
+ * @function searchPath
+ *
+ * @param {0|1|2} step
+ * The wizard step (see `STEP_TITLE`).
+ *
+ * @param {Filter} [filter]
+ * The filter to encode in the URL.
+ *
+ * @returns {string}
+ * A path suitable for `navigate()` or `<Link to>`.
+ */
+export function searchPath(step, filter) {
+    const query = filterToSearchParams(filter).toString();
+    return `/search/${step}${query ? `?${query}` : ""}`;
+}
+
+/**
+ * **resultsPath**
+ *
+ * Builds the URL of the results page for a given filter
+ * (e.g. `/results?city=Roma&lower_price=100000`).
+ *
+ * ---
+ *
+ * @function resultsPath
+ *
+ * @param {Filter} filter
+ * The filter to encode in the URL.
+ *
+ * @returns {string}
+ * A path suitable for `navigate()` or `<Link to>`.
+ */
+export function resultsPath(filter) {
+    const query = filterToSearchParams(filter).toString();
+    return `/results${query ? `?${query}` : ""}`;
+}
+
+/**
+ * **listingPath**
+ *
+ * Builds the URL of the in-app detail view of a listing, nested under the results
+ * route and carrying the same query string (filter, sort, refine, page, job), so the
+ * search keeps running and the results page is restored as it was when going back
+ * (e.g. `/results/listing/EX04386327?city=Roma&sort=price_asc`).
+ *
+ * ---
+ *
+ * @function listingPath
+ *
+ * @param {string} id
+ * The listing id (`Listing.id`).
+ *
+ * @param {string} [search=""]
+ * The current query string, with or without the leading `?` (e.g. `location.search`).
+ *
+ * @returns {string}
+ * A path suitable for `navigate()` or `<Link to>`.
+ */
+export function listingPath(id, search = "") {
+    const query = search.replace(/^\?/, "");
+    return `/results/listing/${encodeURIComponent(id)}${query ? `?${query}` : ""}`;
+}
+
+/**
+ * **watchlistPath**
+ *
+ * Builds the URL of the watchlist page or, given an id, of the detail view of a
+ * watched listing (nested under the watchlist, so it works without a search).
+ *
+ * ---
+ *
+ * @function watchlistPath
+ *
+ * @param {string} [id]
+ * The id of a watched listing.
+ *
+ * @returns {string}
+ * `/watchlist` or `/watchlist/listing/<id>`.
+ */
+export function watchlistPath(id) {
+    return id ? `/watchlist/listing/${encodeURIComponent(id)}` : "/watchlist";
+}
+
+/**
+ * **dossierPath**
+ *
+ * Builds the URL of the printable dossier (see `DossierPage`) of the results or of the
+ * watchlist, keeping the query string so the dossier shows the same refined, sorted and
+ * selected listings.
+ *
+ * ---
+ *
+ * @function dossierPath
+ *
+ * @param {"/results"|"/watchlist"} base
+ * The page the dossier is made from.
+ *
+ * @param {string} [search=""]
+ * The current query string, with or without the leading `?`.
+ *
+ * @returns {string}
+ * `/results/dossier?…` or `/watchlist/dossier`.
+ */
+export function dossierPath(base, search = "") {
+    const query = search.replace(/^\?/, "");
+    return `${base}/dossier${query ? `?${query}` : ""}`;
+}
+
+/**
+ * **searchParamsToSelection**
+ *
+ * Reads the listings selected for the dossier (`&sel=` param of the results page,
+ * comma-separated ids).
+ *
+ * @function searchParamsToSelection
+ *
+ * @param {URLSearchParams} params
+ *
+ * @returns {string[]}
+ * The selected ids (empty when nothing is selected).
+ */
+export function searchParamsToSelection(params) {
+    return (params.get("sel") ?? "").split(",").filter(Boolean);
+}
+
+/**
+ * **REFINE_PARAMS**
+ *
+ * Query parameters of the `/results` route holding the refine sidebar state
+ * (see `Refine`). They are not part of `FILTER_PARAMS`, so refining never
+ * changes the search key nor restarts the search.
+ *
+ * | Param | Refine field | Format |
+ * |--------|--------------|--------|
+ * | `src` | `sources` | comma-separated source ids (`pvp,astalegale`) |
+ * | `r_price` / `r_mq` / `r_rooms` | `price` / `mq` / `rooms` | `min-max` |
+ * | `autonomous` | `autonomous` | `1` |
+ * | `energy` | `energy` | comma-separated classes (`A,B`) |
+ * | `auction_from` / `auction_to` | `auction_from` / `auction_to` | ISO date |
+ * | `no_shares` / `no_condono` / `no_risk` | `exclude_shares` / `exclude_condono` / `hide_high_risk` | `1` |
+ * | `occupancy` / `cat` / `near` | `occupancy` / `categories` / `near` | comma-separated values |
+ * | `comune` | `comuni` | comma-separated ISTAT codes (`016065,075096`) |
+ * | `area` | `area` | `lat,lng` vertices separated by `;` (`45.46,9.18;45.47,9.19;45.45,9.20`) |
+ *
+ * @constant
+ * @type {ReadonlyArray<string>}
+ * @readonly
+ */
+export const REFINE_PARAMS = Object.freeze([
+    "src", "r_price", "r_mq", "r_rooms", "autonomous", "energy", "auction_from", "auction_to",
+    "no_shares", "no_condono", "occupancy", "cat", "near", "no_risk", "comune", "area",
+]);
+
+const RANGE_PARAMS = Object.freeze({ price: "r_price", mq: "r_mq", rooms: "r_rooms" });
+const FLAG_PARAMS = Object.freeze({
+    autonomous: "autonomous",
+    exclude_shares: "no_shares",
+    exclude_condono: "no_condono",
+    hide_high_risk: "no_risk",
+});
+const LIST_PARAMS = Object.freeze({
+    sources: "src",
+    energy: "energy",
+    occupancy: "occupancy",
+    categories: "cat",
+    near: "near",
+    comuni: "comune",
+});
+
+/**
+ * **searchParamsToRefine**
+ *
+ * Reads the refine sidebar state from the `/results` query string.
+ * Malformed values are ignored.
+ *
+ * ---
+ *
+ * @function searchParamsToRefine
+ *
+ * @param {URLSearchParams} params
+ * The query parameters (e.g. from `useSearchParams()`).
+ *
+ * @returns {Refine}
+ * A complete `Refine` (disabled facets have their `EMPTY_REFINE` value).
+ */
+export function searchParamsToRefine(params) {
+    const refine = { ...EMPTY_REFINE };
+
+    for (const [field, param] of Object.entries(RANGE_PARAMS)) {
+        const match = params.get(param)?.match(/^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/);
+        if (match && Number(match[1]) <= Number(match[2])) refine[field] = [Number(match[1]), Number(match[2])];
+    }
+    for (const [field, param] of Object.entries(FLAG_PARAMS)) {
+        refine[field] = params.get(param) === "1";
+    }
+    for (const [field, param] of Object.entries(LIST_PARAMS)) {
+        refine[field] = (params.get(param) ?? "").split(",").filter(Boolean);
+    }
+    for (const field of ["auction_from", "auction_to"]) {
+        const val = params.get(field);
+        if (/^\d{4}-\d{2}-\d{2}$/.test(val ?? "")) refine[field] = val;
+    }
+    const area = (params.get("area") ?? "").split(";").map((vertex) => vertex.split(",").map(Number));
+    if (area.length >= 3 && area.every((v) => v.length === 2 && v.every(Number.isFinite))) refine.area = area;
+    return refine;
+}
+
+/**
+ * **withRefine**
+ *
+ * Returns a copy of `params` where the `REFINE_PARAMS` are replaced by the given
+ * refine state; every other parameter (filter, `sort`, `job`) is preserved.
+ *
+ * ---
+ *
+ * @function withRefine
+ *
+ * @param {URLSearchParams} params
+ * The current query parameters.
+ *
+ * @param {Refine} refine
+ * The new sidebar state.
+ *
+ * @returns {URLSearchParams}
+ * The updated parameters, ready for `setSearchParams`.
+ */
+export function withRefine(params, refine) {
+    const next = new URLSearchParams(params);
+    REFINE_PARAMS.forEach((param) => next.delete(param));
+
+    for (const [field, param] of Object.entries(RANGE_PARAMS)) {
+        if (refine[field]) next.set(param, `${refine[field][0]}-${refine[field][1]}`);
+    }
+    for (const [field, param] of Object.entries(FLAG_PARAMS)) {
+        if (refine[field]) next.set(param, "1");
+    }
+    for (const [field, param] of Object.entries(LIST_PARAMS)) {
+        if (refine[field]?.length) next.set(param, refine[field].join(","));
+    }
+    if (refine.auction_from) next.set("auction_from", refine.auction_from);
+    if (refine.auction_to) next.set("auction_to", refine.auction_to);
+    if (refine.area) next.set("area", refine.area.map((vertex) => vertex.join(",")).join(";"));
+    return next;
+}
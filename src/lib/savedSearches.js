@@ -0,0 +1,132 @@
+import { useSyncExternalStore } from "react";
+import { searchKey } from "./search";
+import { createJSONStore } from "./storage";
+
+/**
+ * **SAVED_SEARCHES_KEY**
+ *
+ * `localStorage` key (see `createJSONStore`) holding the saved searches.
+ *
+ * @constant
+ * @type {string}
+ */
+const SAVED_SEARCHES_KEY = "saved-searches";
+
+/**
+ * **SavedSearch**
+ *
+ * A wizard filter saved by the user to run it again later.
+ *
+ * @typedef {Object} SavedSearch
+ * @property {string} id
+ * Unique id of the saved search.
+ * @property {string} name
+ * Name chosen by the user.
+ * @property {Filter} filter
+ * The complete wizard filter (city, type, price/mq/rooms ranges, why, request_description…).
+ * @property {string} created_at
+ * When the search was saved (ISO timestamp).
+ */
+
+/** Stable empty snapshot (server rendering). */
+const EMPTY = Object.freeze([]);
+
+const store = createJSONStore(
+    SAVED_SEARCHES_KEY,
+    [],
+    (stored) => (Array.isArray(stored) ? stored.filter((entry) => entry?.id && entry.filter) : [])
+);
+
+/**
+ * **findSavedSearch**
+ *
+ * @function findSavedSearch
+ *
+ * @param {SavedSearch[]} searches
+ * The saved searches (see `useSavedSearches`).
+ *
+ * @param {Filter} filter
+ * A wizard filter.
+ *
+ * @returns {SavedSearch|null}
+ * The saved search running the same query (same `searchKey`), or `null`.
+ */
+export function findSavedSearch(searches, filter) {
+    const key = searchKey(filter);
+    return searches.find((entry) => searchKey(entry.filter) === key) ?? null;
+}
+
+/**
+ * **saveSearch**
+ *
+ * Saves a wizard filter under a name. Saving again the same query renames it
+ * instead of adding a copy.
+ *
+ * ---
+ *
+ * @function saveSearch
+ *
+ * @param {string} name
+ * Name chosen by the user.
+ *
+ * @param {Filter} filter
+ * The complete wizard filter.
+ *
+ * @returns {SavedSearch}
+ * The saved entry.
+ */
+export function saveSearch(name, filter) {
+    const searches = store.read();
+    const current = findSavedSearch(searches, filter);
+    if (current) {
+        const renamed = { ...current, name };
+        store.write(searches.map((entry) => (entry === current ? renamed : entry)));
+        return renamed;
+    }
+
+    const entry = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name,
+        filter,
+        created_at: new Date().toISOString(),
+    };
+    store.write([entry, ...searches]);
+    return entry;
+}
+
+/**
+ * **deleteSavedSearch**
+ *
+ * @function deleteSavedSearch
+ *
+ * @param {string} id
+ * The id of the saved search.
+ *
+ * @returns {void}
+ */
+export function deleteSavedSearch(id) {
+    store.write(store.read().filter((entry) => entry.id !== id));
+}
+
+/**
+ * **useSavedSearches**
+ *
+ * React hook returning the **saved searches** (persisted in `localStorage`), most recent
+ * first. Components using it re-render whenever the list changes, in this tab or in
+ * another one.
+ *
+ * ---
+ *
+ * @function useSavedSearches
+ *
+ * @returns {SavedSearch[]}
+ *
+ * @example
+ * ```jsx
+ * const searches = useSavedSearches();
+ * const saved = findSavedSearch(searches, filter);
+ * ```
+ */
+export function useSavedSearches() {
+    return useSyncExternalStore(store.subscribe, store.read, () => EMPTY);
+}
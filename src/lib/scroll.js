@@ -0,0 +1,87 @@
+/**
+ * **SCROLL_KEY**
+ *
+ * `sessionStorage` key holding the saved scroll positions (map *history entry key → y*).
+ * Session storage is used on purpose: positions only make sense within the same tab.
+ *
+ * @constant
+ * @type {string}
+ */
+const SCROLL_KEY = "bidhouse:scroll";
+
+/**
+ * **MAX_ENTRIES**
+ *
+ * Number of positions kept; older entries are dropped.
+ *
+ * @constant
+ * @type {number}
+ */
+const MAX_ENTRIES = 20;
+
+function readPositions() {
+    try {
+        return JSON.parse(window.sessionStorage.getItem(SCROLL_KEY)) ?? {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * **saveScrollPosition**
+ *
+ * Remembers the window scroll position of a history entry, so it can be restored
+ * when the user comes back to it (`BrowserRouter` has no built-in scroll restoration).
+ * Never throws.
+ *
+ * ---
+ *
+ * @function saveScrollPosition
+ *
+ * @param {string} id
+ * Identifier of the history entry (`location.key` from `useLocation()`).
+ *
+ * @param {number} [y=window.scrollY]
+ * The position to save.
+ *
+ * @returns {void}
+ */
+export function saveScrollPosition(id, y = window.scrollY) {
+    try {
+        const { [id]: _, ...rest } = readPositions();
+        const entries = [...Object.entries(rest), [id, y]].slice(-MAX_ENTRIES);
+        window.sessionStorage.setItem(SCROLL_KEY, JSON.stringify(Object.fromEntries(entries)));
+    } catch {
+        // storage unavailable: the page will simply open at the top
+    }
+}
+
+/**
+ * **restoreScrollPosition**
+ *
+ * Scrolls the window back to the position saved for a history entry (if any).
+ *
+ * ---
+ *
+ * @function restoreScrollPosition
+ *
+ * @param {string} id
+ * Identifier of the history entry (`location.key`).
+ *
+ * @returns {boolean}
+ * `true` if a position was found and restored.
+ *
+ * @example
+ * ```js
+ * useLayoutEffect(() => {
+ *   restoreScrollPosition(location.key);
+ *   return () => saveScrollPosition(location.key);
+ * }, []);
+ * ```
+ */
+export function restoreScrollPosition(id) {
+    const y = readPositions()[id];
+    if (typeof y !== "number") return false;
+    window.scrollTo(0, y);
+    return true;
+}
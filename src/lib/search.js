@@ -0,0 +1,386 @@
+import {
+    cancelScrapeJob,
+    classifyError,
+    createScrapeJob,
+    getScrapeJob,
+    pollScrapeJob,
+    streamScrapeJob,
+    wakeUpServer,
+} from "./api";
+import { filterToSearchParams, searchPath } from "./routing";
+import { readJSON, writeJSON } from "./storage";
+import { filterComuni, placesLabel } from "./comuni";
+import { SearchTypeOption } from "./constants";
+import { getSource } from "./sources";
+import { formatMoney } from "./utils";
+
+/**
+ * **ACTIVE_JOBS_KEY**
+ *
+ * `localStorage` key (see `readJSON`) holding the map *search key → running job id*,
+ * used to resume a job after a reload or from another tab.
+ *
+ * @constant
+ * @type {string}
+ */
+const ACTIVE_JOBS_KEY = "activeJobs";
+
+/**
+ * **buildSearchError**
+ *
+ * Builds the **error object** rendered by the `/error` route (through `MessagePage`)
+ * when a search fails.
+ *
+ * The button always leads back to the last step of the wizard with the same
+ * `filter` encoded in the URL, so the user can retry without re-entering anything.
+ *
+ * ---
+ *
+ * @function buildSearchError
+ *
+ * @param {string} paragraph
+ * User-facing description of the problem (in Italian).
+ *
+ * @param {Filter} filter
+ * The filter of the failed search.
+ *
+ * @returns {{title: string, paragraph: string, buttonText: string, buttonLink: string, mainColor: string}}
+ * The error object to pass to `setError`.
+ */
+export function buildSearchError(paragraph, filter) {
+    return {
+        title: "Errore nella ricerca",
+        paragraph,
+        buttonText: "Torna alla ricerca",
+        buttonLink: searchPath(2, filter),
+        mainColor: "red-600",
+        buttonTextColor: "white",
+    };
+}
+
+/**
+ * **searchErrorMessage**
+ *
+ * Maps any error thrown while searching to a **user-facing message** (in Italian),
+ * based on its kind (see `classifyError`):
+ * - **Timeouts** (`AbortError`) → “La richiesta ha impiegato troppo tempo…”
+ * - **Network errors** → “Impossibile contattare il server…”
+ * - **Rate limiting** (`429`) → “Troppe richieste…”
+ * - **API errors** (`err.status` or `API 500: …` messages) → “Il server ha risposto con un errore…”
+ * - **Unexpected failures** → the raw message, or a generic fallback.
+ *
+ * ---
+ *
+ * @function searchErrorMessage
+ *
+ * @param {any} err
+ * The caught error.
+ *
+ * @returns {string}
+ * The message to show in the error page.
+ */
+export function searchErrorMessage(err) {
+    const kind = classifyError(err)
+    const rawMessage = typeof err?.message === "string" ? err.message : ""
+
+    if (kind === "timeout") {
+        return "La richiesta ha impiegato troppo tempo e è stata interrotta. Riprova."
+    }
+    if (kind === "network") {
+        return "Impossibile contattare il server. Controlla la connessione e riprova."
+    }
+    if (kind === "rate_limit") {
+        return "Troppe richieste in poco tempo. Attendi qualche minuto e riprova."
+    }
+    if (err?.status || /^API\s+\d{3}/.test(rawMessage)) {
+        // Messaggi formattati da api.js (es. "API 500: ...")
+        return "Il server ha risposto con un errore. Riprova più tardi."
+    }
+    return rawMessage || "Si è verificato un problema imprevisto. Riprova più tardi."
+}
+
+/**
+ * **searchKey**
+ *
+ * Stable string identifying a search: the canonical query string of its filter.
+ * Two filters with the same fields produce the same key regardless of key order.
+ *
+ * @function searchKey
+ *
+ * @param {Filter} filter
+ *
+ * @returns {string}
+ */
+export function searchKey(filter) {
+    return filterToSearchParams(filter).toString();
+}
+
+/**
+ * **formatRange**
+ *
+ * @param {number|null} lo
+ * @param {number|null} hi
+ * @param {(value: number) => string} format
+ *
+ * @returns {string|null}
+ * `"lo–hi"`, `"da lo"`, `"fino a hi"`, or `null` when both bounds are missing.
+ */
+function formatRange(lo, hi, format) {
+    if (lo != null && hi != null) return `${format(lo)}–${format(hi)}`;
+    if (lo != null) return `da ${format(lo)}`;
+    if (hi != null) return `fino a ${format(hi)}`;
+    return null;
+}
+
+/**
+ * **filterSummary**
+ *
+ * Human-readable criteria of a wizard filter (comune, type, ranges, portals), used
+ * wherever a search is shown outside the wizard (e.g. the saved searches). Comuni are
+ * shown with their province (see `placesLabel`).
+ *
+ * ---
+ *
+ * @function filterSummary
+ *
+ * @param {Filter} filter
+ *
+ * @returns {string[]}
+ * One label per criterion set, in wizard order.
+ *
+ * @example
+ * ```js
+ * filterSummary({ places: ["058091"], type: 1, lower_price: 50000, higher_price: 150000, lower_rooms: 2 }).join(" · ");
+ * // → "Roma (RM) · Residenziale · € 50.000–150.000 · da 2 locali"
+ * ```
+ */
+export function filterSummary(filter) {
+    const price = formatRange(filter.lower_price, filter.higher_price, formatMoney);
+    const mq = formatRange(filter.lower_mq, filter.higher_mq, String);
+    const rooms = formatRange(filter.lower_rooms, filter.higher_rooms, String);
+    const type = filter.type != null ? SearchTypeOption.find((opt) => opt.value === Number(filter.type)) : null;
+
+    return [
+        placesLabel(filter),
+        type?.label,
+        price && `€ ${price}`,
+        mq && `${mq} m²`,
+        rooms && `${rooms} locali`,
+        filter.sources?.length && filter.sources.map((id) => getSource(id)?.name ?? id).join(", "),
+    ].filter(Boolean);
+}
+
+/**
+ * **PAYLOAD_FIELDS**
+ *
+ * Fields of the wizard filter sent to the scraper as they are (see `scrapePayload`). The
+ * places become the list of `comuni`; `why` is only used by the wizard.
+ *
+ * @constant
+ * @type {ReadonlyArray<string>}
+ */
+const PAYLOAD_FIELDS = Object.freeze([
+    "type", "lower_price", "higher_price", "lower_mq", "higher_mq", "lower_rooms", "higher_rooms",
+    "request_description",
+]);
+
+/**
+ * **scrapePayload**
+ *
+ * Builds the body sent to the scraper from a wizard `filter`.
+ *
+ * @function scrapePayload
+ *
+ * @param {Filter} filter
+ *
+ * @returns {Object}
+ * The fields of the filter the backend accepts (see `PAYLOAD_FIELDS`).
+ * `sources` is only sent when the user restricted the portals (otherwise all are searched).
+ * The places, or the radius around the centre comune, are expanded to the list of comuni to
+ * search (`comuni`, with ISTAT code, name and province, see `filterComuni`); a search for a
+ * single comune also sends it as `city` and `city_code`.
+ *
+ * @example
+ * ```js
+ * scrapePayload({ places: ["016065", "075096"], type: 1, why: 0 });
+ * // → { type: 1, comuni: [{ code: "016065", name: "Castro", province: "BG" }, { code: "075096", name: "Castro", province: "LE" }] }
+ * ```
+ */
+export function scrapePayload(filter) {
+    const fields = Object.fromEntries(
+        PAYLOAD_FIELDS.filter((field) => filter && field in filter).map((field) => [field, filter[field]])
+    );
+    const comuni = filterComuni(filter).map(({ code, name, province }) => ({ code, name, province }));
+    const payload = comuni.length === 1
+        ? { ...fields, city: comuni[0].name, city_code: comuni[0].code, comuni }
+        : { ...fields, comuni };
+    return filter?.sources?.length ? { ...payload, sources: filter.sources } : payload;
+}
+
+/**
+ * **activeJobFor** / **rememberJob** / **forgetJob**
+ *
+ * Small persistence layer mapping a search key to the id of its running job,
+ * so a search started in one tab survives a reload and can be resumed elsewhere.
+ */
+export function activeJobFor(key) {
+    return readJSON(ACTIVE_JOBS_KEY, {})[key] ?? null;
+}
+
+export function rememberJob(key, jobId) {
+    writeJSON(ACTIVE_JOBS_KEY, { ...readJSON(ACTIVE_JOBS_KEY, {}), [key]: jobId });
+}
+
+export function forgetJob(key) {
+    const { [key]: _, ...rest } = readJSON(ACTIVE_JOBS_KEY, {});
+    writeJSON(ACTIVE_JOBS_KEY, rest);
+}
+
+/**
+ * **runSearchJob**
+ *
+ * Runs a search through the backend **job model** and resolves with the finished job.
+ *
+ * 0. The server is woken up first (see `wakeUpServer`), reporting a cold start to `onColdStart`.
+ * 1. If a job id is known (explicit `jobId`, e.g. from the URL, or remembered for this
+ *    search in `localStorage`) the job is **resumed**; a `404` (expired) or a failed/cancelled
+ *    job means a new one is submitted.
+ * 2. Otherwise the filter is submitted with `createScrapeJob`.
+ * 3. The job is followed with `streamScrapeJob`, forwarding each status to `onProgress` and
+ *    each record to `onResult` as soon as it is found. If streaming is not available (or the
+ *    stream breaks) it falls back to polling with `pollScrapeJob`.
+ *
+ * The job id is remembered until the job completes, and handed to `onJob` as soon as it is
+ * known so the caller can put it in the URL.
+ *
+ * ---
+ *
+ * @async
+ * @function runSearchJob
+ *
+ * @param {Filter} filter
+ * The search filter (see `BASEFILTER`).
+ *
+ * @param {Object} [options]
+ * @param {string|null} [options.jobId=null]
+ * Id of a job to resume.
+ * @param {(jobId: string) => void} [options.onJob]
+ * Called once with the id of the job being followed.
+ * @param {(job: ScrapeJob) => void} [options.onProgress]
+ * Called with every polled/streamed status.
+ * @param {(record: Object) => void} [options.onResult]
+ * Called with every record streamed so far (not called when falling back to polling:
+ * the records then arrive all together in the resolved job).
+ * @param {() => void} [options.onRestart]
+ * Called when the records received so far must be discarded (the stream broke and the
+ * job is now followed by polling).
+ * @param {() => void} [options.onColdStart]
+ * Called if the server is asleep and is being started (long wait ahead).
+ * @param {AbortSignal} [options.signal]
+ * Stops following the job (rejects with an `AbortError`). The backend job keeps running
+ * and stays resumable: use `cancelSearchJob` to stop it as well. A job whose submission was
+ * still in flight is cancelled here, as its id was not known yet.
+ *
+ * @throws {Error}
+ * Any error of the API layer; map it with `searchErrorMessage` for display.
+ *
+ * @returns {Promise<ScrapeJob>}
+ * The finished job (`status: "done"`, `results` populated).
+ *
+ * @example
+ * ```js
+ * try {
+ *   const job = await runSearchJob(filter, { onProgress: setJob });
+ *   setResults(job.results);
+ * } catch (err) {
+ *   setError(buildSearchError(searchErrorMessage(err), filter));
+ * }
+ * ```
+ */
+export async function runSearchJob(filter, {
+    jobId = null,
+    onJob = () => { },
+    onProgress = () => { },
+    onResult = () => { },
+    onRestart = () => { },
+    onColdStart = () => { },
+    signal = null,
+} = {}) {
+    const key = searchKey(filter);
+    let id = jobId || activeJobFor(key);
+
+    await wakeUpServer({ signal, onColdStart });
+
+    if (id) {
+        try {
+            const job = await getScrapeJob(id, { signal });
+            if (job.status === "failed" || job.status === "cancelled") id = null;
+            else onProgress(job);
+        } catch (err) {
+            if (err?.status !== 404) throw err;
+            console.warn(`[runSearchJob] job ${id} non trovato, ne avvio uno nuovo`);
+            id = null;
+        }
+    }
+
+    if (!id) {
+        // not aborted halfway: once sent, the backend may create the job anyway and its id
+        // is needed to stop it
+        const job = await createScrapeJob(scrapePayload(filter));
+        if (signal?.aborted) {
+            await cancelScrapeJob(job.id).catch((err) =>
+                console.warn(`[runSearchJob] impossibile annullare il job ${job.id}:`, err)
+            );
+            signal.throwIfAborted();
+        }
+        id = job.id;
+        onProgress(job);
+    }
+
+    rememberJob(key, id);
+    onJob(id);
+
+    let job;
+    try {
+        job = await streamScrapeJob(id, { onProgress, onResult, signal });
+    } catch (err) {
+        if (err?.jobFailed || signal?.aborted) throw err;
+        console.warn("[runSearchJob] streaming non disponibile, passo al polling:", err);
+        onRestart();
+        job = await pollScrapeJob(id, { onProgress, signal });
+    }
+
+    forgetJob(key);
+    return job;
+}
+
+/**
+ * **cancelSearchJob**
+ *
+ * Cancels a search on the backend side: asks the server to stop the job and forgets it,
+ * so it will not be resumed. Errors are only logged — the user has already moved on.
+ *
+ * Abort the `signal` given to `runSearchJob` as well, to stop following the job client-side.
+ *
+ * ---
+ *
+ * @async
+ * @function cancelSearchJob
+ *
+ * @param {Filter} filter
+ * The filter of the search being cancelled.
+ *
+ * @param {string|null} jobId
+ * The id of its job (if already known).
+ *
+ * @returns {Promise<void>}
+ */
+export async function cancelSearchJob(filter, jobId) {
+    forgetJob(searchKey(filter));
+    if (!jobId) return;
+    try {
+        await cancelScrapeJob(jobId);
+    } catch (err) {
+        console.warn(`[cancelSearchJob] impossibile annullare il job ${jobId}:`, err);
+    }
+}
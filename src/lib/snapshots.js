@@ -0,0 +1,223 @@
+import { readJSON, writeJSON } from "./storage";
+
+/**
+ * **SNAPSHOTS_KEY**
+ *
+ * `localStorage` key (see `readJSON`) holding the map *search key → last runs*.
+ *
+ * @constant
+ * @type {string}
+ */
+const SNAPSHOTS_KEY = "snapshots";
+
+/**
+ * **MAX_SEARCHES**
+ *
+ * Number of searches whose runs are kept; the least recently run are dropped first
+ * (also when `localStorage` is full).
+ *
+ * @constant
+ * @type {number}
+ */
+const MAX_SEARCHES = 10;
+
+/**
+ * **SnapshotListing**
+ *
+ * The fields of a listing kept in a snapshot: enough to compare runs and to show
+ * the listings that disappeared.
+ *
+ * @typedef {Object} SnapshotListing
+ * @property {string} id
+ * @property {string[]} ids
+ * Every id of the lot (see `dedupeListings`).
+ * @property {string|null} title
+ * @property {string|null} address
+ * @property {number|null} price
+ * @property {string|null} auction_date
+ * @property {string|null} url
+ */
+
+/**
+ * **Snapshot**
+ *
+ * The listings found by one completed run of a search.
+ *
+ * @typedef {Object} Snapshot
+ * @property {string} job
+ * Id of the job of the run.
+ * @property {string} taken_at
+ * When the run completed (ISO timestamp).
+ * @property {SnapshotListing[]} listings
+ */
+
+/**
+ * **ListingChange**
+ *
+ * How a listing differs from the previous run of the same search.
+ *
+ * @typedef {Object} ListingChange
+ * @property {boolean} isNew
+ * `true` when the lot was not in the previous run.
+ * @property {number|null} [previous_price]
+ * The previous price, present only when the price changed.
+ * @property {string|null} [previous_date]
+ * The previous auction date, present only when it changed.
+ */
+
+/**
+ * **SearchDiff**
+ *
+ * @typedef {Object} SearchDiff
+ * @property {string} since
+ * When the previous run completed (ISO timestamp).
+ * @property {Record<string, ListingChange>} changes
+ * Changes keyed by listing id; unchanged listings are missing.
+ * @property {SnapshotListing[]} removed
+ * Listings of the previous run not found anymore (empty while the search is streaming).
+ * @property {{new: number, price: number, date: number, removed: number}} counts
+ */
+
+/**
+ * **toSnapshotListing**
+ *
+ * @param {MergedListing} listing
+ *
+ * @returns {SnapshotListing}
+ */
+function toSnapshotListing({ id, links = [], title, address, price, auction_date, url }) {
+    return { id, ids: [...new Set([id, ...links.map((link) => link.id)])], title, address, price, auction_date, url };
+}
+
+/**
+ * **saveSnapshot**
+ *
+ * Stores the listings of a completed run of a search, so the next run can be compared
+ * with it (see `diffListings`). The run it replaces is kept as the baseline of this one.
+ * Saving the same job twice (e.g. a resumed job) does nothing.
+ *
+ * ---
+ *
+ * @function saveSnapshot
+ *
+ * @param {string} key
+ * The search key (see `searchKey`).
+ *
+ * @param {string} job
+ * The id of the completed job.
+ *
+ * @param {MergedListing[]} listings
+ * The deduplicated listings of the run.
+ *
+ * @returns {void}
+ */
+export function saveSnapshot(key, job, listings) {
+    const all = readJSON(SNAPSHOTS_KEY, {});
+    const entry = all[key];
+    if (entry?.current?.job === job) return;
+
+    all[key] = {
+        current: { job, taken_at: new Date().toISOString(), listings: listings.map(toSnapshotListing) },
+        previous: entry?.current ?? null,
+    };
+
+    // most recent first, then drop the oldest searches until it fits
+    const keys = Object.keys(all).sort((a, b) => all[b].current.taken_at.localeCompare(all[a].current.taken_at));
+    let kept = keys.slice(0, MAX_SEARCHES);
+    while (kept.length) {
+        const ok = writeJSON(SNAPSHOTS_KEY, Object.fromEntries(kept.map((k) => [k, all[k]])));
+        if (ok) return;
+        kept = kept.slice(0, -1);
+    }
+}
+
+/**
+ * **readBaseline**
+ *
+ * Snapshot a run must be compared with: the last completed run of the same search,
+ * other than the run itself.
+ *
+ * ---
+ *
+ * @function readBaseline
+ *
+ * @param {string} key
+ * The search key (see `searchKey`).
+ *
+ * @param {string|null} job
+ * The id of the job being shown.
+ *
+ * @returns {Snapshot|null}
+ * The snapshot, or `null` when the search was never completed before.
+ */
+export function readBaseline(key, job) {
+    const entry = readJSON(SNAPSHOTS_KEY, {})[key];
+    if (!entry?.current) return null;
+    return entry.current.job === job ? entry.previous ?? null : entry.current;
+}
+
+/**
+ * **diffListings**
+ *
+ * Compares the listings of a run with the previous run of the same search (`baseline`):
+ * lots that are **new**, whose **price** or **auction date** changed, and lots that were
+ * **removed**. Lots are matched by any of their ids (see `dedupeListings`).
+ *
+ * ---
+ *
+ * @function diffListings
+ *
+ * @param {Snapshot} baseline
+ * The previous run (see `readBaseline`).
+ *
+ * @param {MergedListing[]} listings
+ * The listings of the current run.
+ *
+ * @param {boolean} [complete=true]
+ * `false` while the run is streaming: missing listings may still arrive, so nothing
+ * is reported as removed.
+ *
+ * @returns {SearchDiff}
+ *
+ * @example
+ * ```js
+ * const diff = diffListings(readBaseline(key, jobId), listings);
+ * diff.changes["EX04386327"]; // → { isNew: false, previous_price: 215000 }
+ * ```
+ */
+export function diffListings(baseline, listings, complete = true) {
+    const byId = new Map();
+    for (const old of baseline.listings) {
+        for (const id of old.ids) byId.set(id, old);
+    }
+
+    const changes = {};
+    const matched = new Set();
+    const counts = { new: 0, price: 0, date: 0, removed: 0 };
+
+    for (const listing of listings) {
+        const { ids } = toSnapshotListing(listing);
+        const old = ids.map((id) => byId.get(id)).find(Boolean);
+        if (!old) {
+            changes[listing.id] = { isNew: true };
+            counts.new++;
+            continue;
+        }
+        matched.add(old);
+
+        const change = { isNew: false };
+        if (old.price !== listing.price) {
+            change.previous_price = old.price;
+            counts.price++;
+        }
+        if (old.auction_date !== listing.auction_date) {
+            change.previous_date = old.auction_date;
+            counts.date++;
+        }
+        if (Object.keys(change).length > 1) changes[listing.id] = change;
+    }
+
+    const removed = complete ? baseline.listings.filter((old) => !matched.has(old)) : [];
+    counts.removed = removed.length;
+    return { since: baseline.taken_at, changes, removed, counts };
+}
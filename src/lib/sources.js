@@ -0,0 +1,161 @@
+/**
+ * **Source**
+ *
+ * An auction portal the scraper can read listings from.
+ *
+ * @typedef {Object} Source
+ * @property {string} id
+ * Stable identifier, used in the `source` key of the results, in `filter.sources`
+ * and in the per-source job progress.
+ * @property {string} name
+ * Display name.
+ * @property {string} homepage
+ * Portal homepage (the attribution link of the cards).
+ * @property {string} logo
+ * URL of the portal logo (its favicon).
+ * @property {string|null} terms
+ * URL of the portal terms of use, when known.
+ */
+
+/**
+ * **SOURCES**
+ *
+ * Registry of the supported auction portals, in display order.
+ * To add a portal, add an entry here: the wizard selector, the cards attribution
+ * and the per-source counts pick it up automatically.
+ *
+ * @constant
+ * @type {ReadonlyArray<Readonly<Source>>}
+ * @readonly
+ */
+export const SOURCES = Object.freeze([
+    {
+        id: "immobiliallasta",
+        name: "Immobiliallasta",
+        homepage: "https://www.immobiliallasta.it/",
+        logo: "https://www.immobiliallasta.it/favicon.ico",
+        terms: null,
+    },
+    {
+        id: "astegiudiziarie",
+        name: "Aste Giudiziarie",
+        homepage: "https://www.astegiudiziarie.it/",
+        logo: "https://www.astegiudiziarie.it/favicon.ico",
+        terms: null,
+    },
+    {
+        id: "pvp",
+        name: "Portale Vendite Pubbliche",
+        homepage: "https://pvp.giustizia.it/pvp/",
+        logo: "https://pvp.giustizia.it/favicon.ico",
+        terms: null,
+    },
+    {
+        id: "astalegale",
+        name: "Astalegale",
+        homepage: "https://www.astalegale.net/",
+        logo: "https://www.astalegale.net/favicon.ico",
+        terms: null,
+    },
+].map(Object.freeze));
+
+/**
+ * **DEFAULT_SOURCE**
+ *
+ * Source assumed for records without a `source` key whose URL matches no portal:
+ * the only portal the scraper supported before multi-source results (whose records
+ * had no `source` key at all).
+ *
+ * @constant
+ * @type {string}
+ */
+export const DEFAULT_SOURCE = "immobiliallasta";
+
+/**
+ * **getSource**
+ *
+ * @function getSource
+ *
+ * @param {string|null} id
+ * A source id.
+ *
+ * @returns {Source|null}
+ * The registry entry, or `null` for unknown ids.
+ */
+export function getSource(id) {
+    return SOURCES.find((s) => s.id === id) ?? null;
+}
+
+/**
+ * **hostOf**
+ *
+ * @param {string} url
+ *
+ * @returns {string|null}
+ * The hostname without `www.`, or `null` for invalid URLs.
+ */
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, "");
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * **sourceOfHost**
+ *
+ * The portal serving a host: its homepage host or any subdomain of it
+ * (`m.astegiudiziarie.it`, `aste.astalegale.net`).
+ *
+ * @param {string} host
+ * A hostname without `www.` (see `hostOf`).
+ *
+ * @returns {Source|null}
+ */
+function sourceOfHost(host) {
+    return SOURCES.find((s) => {
+        const home = hostOf(s.homepage);
+        return host === home || host.endsWith(`.${home}`);
+    }) ?? null;
+}
+
+/**
+ * **resolveSource**
+ *
+ * Determines the source id of a raw scraper record: its `source` key when present —
+ * kept as is even when it is not a registered id (`getSource` then returns `null` and
+ * the views show the raw id), so a portal added to the scraper before the registry is
+ * not attributed to another one. Records without a `source` key (the single-portal
+ * scraper) get the portal serving the record URL (see `sourceOfHost`), otherwise
+ * `DEFAULT_SOURCE`.
+ *
+ * ---
+ *
+ * @function resolveSource
+ *
+ * @param {any} source
+ * The raw `source` value (may be missing).
+ *
+ * @param {string|null} url
+ * The listing URL.
+ *
+ * @returns {string}
+ * A source id (normalized to lowercase).
+ *
+ * @example
+ * ```js
+ * resolveSource(undefined, "https://www.astalegale.net/aste/123"); // → "astalegale"
+ * resolveSource(undefined, "https://m.astegiudiziarie.it/lotto/9"); // → "astegiudiziarie"
+ * resolveSource("Idealista", "https://www.idealista.it/asta/1"); // → "idealista"
+ * resolveSource(undefined, null); // → "immobiliallasta"
+ * ```
+ */
+export function resolveSource(source, url) {
+    const id = typeof source === "string" ? source.trim().toLowerCase() : "";
+    if (id) return id;
+
+    const host = url ? hostOf(url) : null;
+    const byHost = host && sourceOfHost(host);
+    return byHost ? byHost.id : DEFAULT_SOURCE;
+}
@@ -0,0 +1,144 @@
+/**
+ * **STORAGE_PREFIX**
+ *
+ * Namespace prepended to every `localStorage` key written by the app,
+ * so our entries never collide with other apps served from the same origin.
+ *
+ * @constant
+ * @type {string}
+ */
+export const STORAGE_PREFIX = "bidhouse:";
+
+/**
+ * **readJSON**
+ *
+ * Reads and JSON-parses a value from `localStorage`.
+ *
+ * Never throws: if storage is unavailable (private mode, quota, SSR) or the stored
+ * value is corrupted, the `fallback` is returned instead.
+ *
+ * ---
+ *
+ * @function readJSON
+ *
+ * @param {string} key
+ * Key without the `STORAGE_PREFIX`.
+ *
+ * @param {any} [fallback=null]
+ * Value returned when nothing (valid) is stored.
+ *
+ * @returns {any}
+ * The parsed value, or `fallback`.
+ *
+ * @example
+ * ```js
+ * const jobs = readJSON("jobs", {});
+ * ```
+ */
+export function readJSON(key, fallback = null) {
+    try {
+        const raw = window.localStorage.getItem(STORAGE_PREFIX + key);
+        return raw === null ? fallback : JSON.parse(raw);
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * **writeJSON**
+ *
+ * JSON-serializes and writes a value to `localStorage`.
+ * Passing `undefined` removes the key.
+ *
+ * Never throws: failures (private mode, quota exceeded) are logged and reported
+ * through the returned boolean.
+ *
+ * ---
+ *
+ * @function writeJSON
+ *
+ * @param {string} key
+ * Key without the `STORAGE_PREFIX`.
+ *
+ * @param {any} value
+ * Any JSON-serializable value, or `undefined` to delete the key.
+ *
+ * @returns {boolean}
+ * `true` if the value was stored (or removed), `false` otherwise.
+ */
+export function writeJSON(key, value) {
+    try {
+        if (value === undefined) window.localStorage.removeItem(STORAGE_PREFIX + key);
+        else window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+        return true;
+    } catch (err) {
+        console.error(`[storage] impossibile salvare "${key}":`, err);
+        return false;
+    }
+}
+
+/**
+ * **createJSONStore**
+ *
+ * Wraps a `localStorage` value (see `readJSON` / `writeJSON`) in a small **observable store**
+ * for `useSyncExternalStore`: the value is parsed once and cached (the same object is
+ * returned until it changes, as React requires), and every subscriber is notified when it
+ * is written — in this tab, or in another one through the `storage` event.
+ *
+ * ---
+ *
+ * @function createJSONStore
+ *
+ * @param {string} key
+ * Key without the `STORAGE_PREFIX`.
+ *
+ * @param {any} fallback
+ * Value used when nothing (valid) is stored.
+ *
+ * @param {(value: any) => any} [sanitize]
+ * Fixes or discards invalid stored data (e.g. written by an older version).
+ *
+ * @returns {{read: () => any, write: (value: any) => void, subscribe: (listener: () => void) => () => void}}
+ *
+ * @example
+ * ```js
+ * const store = createJSONStore("watchlist", []);
+ * const useWatchlist = () => useSyncExternalStore(store.subscribe, store.read, () => EMPTY);
+ * ```
+ */
+export function createJSONStore(key, fallback, sanitize = (value) => value) {
+    const listeners = new Set();
+    let cache;
+    let loaded = false;
+
+    const read = () => {
+        if (!loaded) {
+            cache = sanitize(readJSON(key, fallback));
+            loaded = true;
+        }
+        return cache;
+    };
+
+    const write = (value) => {
+        cache = value;
+        loaded = true;
+        writeJSON(key, value);
+        listeners.forEach((listener) => listener());
+    };
+
+    const subscribe = (listener) => {
+        const onStorage = (event) => {
+            if (event.key !== STORAGE_PREFIX + key) return;
+            loaded = false;
+            listener();
+        };
+        listeners.add(listener);
+        window.addEventListener("storage", onStorage);
+        return () => {
+            listeners.delete(listener);
+            window.removeEventListener("storage", onStorage);
+        };
+    };
+
+    return { read, write, subscribe };
+}
@@ -27,77 +27,86 @@
  * ```
  *
  * @usage
- * Used internally by `cityFilter` to compare user input and city labels consistently.
+ * Used by `cityFilter` (see `citySearch.js`) and the comuni lookups to compare user input
+ * and city labels consistently.
  */
 export const normalize = (s = "") =>
     s.toLowerCase().normalize("NFD").replace(/\p{Diacritic}/gu, "").trim();
 
+// "always": the Italian locale would not group 4-digit amounts ("4094")
+const MONEY_FORMAT = new Intl.NumberFormat("it-IT", { maximumFractionDigits: 0, useGrouping: "always" });
+const MONEY_FORMAT_CENTS = new Intl.NumberFormat("it-IT", { minimumFractionDigits: 2, maximumFractionDigits: 2, useGrouping: "always" });
+
 /**
- * **cityFilter**
- *
- * Custom filtering algorithm for `AutocompleteSearchBar`, used to produce
- * **relevance-ranked suggestions** when searching among a large list of cities or localities.
+ * **formatMoney**
  *
- * Unlike default lexicographic filters, it ranks results by *similarity*:
- * - Exact matches appear first (score = 1000)
- * - Prefix matches next (score = 800 - label length)
- * - Substring matches later (score = 600 - position - length * 0.01)
- * - Non-matching items are excluded
+ * Formats an amount with the Italian thousands separator (no currency symbol). Amounts with
+ * cents (`parseNumber` keeps them) get the decimal comma and two decimals.
  *
- * Results are returned **sorted in descending order of score**.
+ * @function formatMoney
+ * @param {number} number
+ * The amount.
  *
- * ---
+ * @returns {string}
  *
- * @function cityFilter
- * @param {Array<string|Object>} options
- * The full list of available autocomplete options.
- * Each item can be a string or an object with `label` or `nome`.
+ * @example
+ * ```js
+ * formatMoney(205500);   // → "205.500"
+ * formatMoney(4094.5);   // → "4.094,50"
+ * ```
+ */
+export const formatMoney = (number) =>
+    (Number.isInteger(Number(number)) ? MONEY_FORMAT : MONEY_FORMAT_CENTS).format(number);
+
+/**
+ * **formatDate**
  *
- * @param {{ inputValue: string }} context
- * Object provided by MUI’s `Autocomplete` `filterOptions` function.
- * Contains the current user input under `inputValue`.
+ * Formats an ISO date (as produced by `normalizeListing`) in the Italian format.
  *
- * @returns {Array<string|Object>}
- * The filtered and sorted array of matching options, highest score first.
+ * @function formatDate
+ * @param {string} iso
+ * Date in `yyyy-mm-dd` format.
  *
- * ---
+ * @returns {string}
  *
  * @example
  * ```js
- * const cities = ["Roma", "Milano", "Firenze", "Rimini"];
- *
- * // user types "ri"
- * const results = cityFilter(cities, { inputValue: "ri" });
- * // → ["Rimini", "Firenze"]
+ * formatDate("2025-12-04"); // → "04/12/2025"
  * ```
+ */
+export const formatDate = (iso) => {
+    const [y, m, d] = iso.split("-");
+    return `${d}/${m}/${y}`;
+};
+
+/**
+ * **downloadFile**
  *
- * @usage
- * Used as a custom `filterOptions` prop in MUI’s `<Autocomplete>` component:
- * ```jsx
- * <Autocomplete
- *   options={allCities}
- *   filterOptions={cityFilter}
- *   renderInput={(params) => <TextField {...params} label="Città" />}
- * />
+ * Makes the browser download a file generated client-side (exports).
+ *
+ * @function downloadFile
+ * @param {BlobPart} content
+ * The file content (text, or binary data such as an `ArrayBuffer`).
+ * @param {string} filename
+ * Name proposed to the user.
+ * @param {string} type
+ * MIME type (e.g. `"text/calendar"`).
+ *
+ * @returns {void}
+ *
+ * @example
+ * ```js
+ * downloadFile(buildICS(listings), "aste.ics", "text/calendar;charset=utf-8");
  * ```
  */
-export const cityFilter = (options, { inputValue }) => {
-    const q = normalize(inputValue);
-    if (!q) return options;
-
-    return options
-        .map((label) => {
-            const n = normalize(label);
-            let score = 0;
-            if (n === q) score = 1000;
-            else if (n.startsWith(q)) score = 800 - label.length;
-            else {
-                const idx = n.indexOf(q);
-                if (idx >= 0) score = 600 - idx - label.length * 0.01;
-            }
-            return { label, score };
-        })
-        .filter(x => x.score > 0)
-        .sort((a, b) => b.score - a.score)
-        .map(x => x.label);
-};
\ No newline at end of file
+export const downloadFile = (content, filename, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // revoked later: some browsers start the download asynchronously
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
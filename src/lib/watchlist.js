@@ -0,0 +1,171 @@
+import { useSyncExternalStore } from "react";
+import { createJSONStore } from "./storage";
+
+/**
+ * **WATCHLIST_KEY**
+ *
+ * `localStorage` key (see `createJSONStore`) holding the watchlist.
+ *
+ * @constant
+ * @type {string}
+ */
+const WATCHLIST_KEY = "watchlist";
+
+/**
+ * **WatchedListing**
+ *
+ * An entry of the watchlist.
+ *
+ * @typedef {Object} WatchedListing
+ * @property {MergedListing} listing
+ * Snapshot of the listing when it was saved.
+ * @property {string} note
+ * Free-text notes of the user.
+ * @property {string} added_at
+ * When the listing was saved (ISO timestamp).
+ */
+
+/** Stable empty snapshot (server rendering). */
+const EMPTY = Object.freeze([]);
+
+const store = createJSONStore(
+    WATCHLIST_KEY,
+    [],
+    (stored) => (Array.isArray(stored) ? stored.filter((entry) => entry?.listing?.id) : [])
+);
+
+/**
+ * **readWatchlist**
+ *
+ * @function readWatchlist
+ *
+ * @returns {WatchedListing[]}
+ * The saved listings, most recent first.
+ */
+export const readWatchlist = store.read;
+
+/**
+ * **saveWatchlist**
+ *
+ * Persists the watchlist and notifies the subscribed components.
+ *
+ * @param {WatchedListing[]} entries
+ */
+const saveWatchlist = store.write;
+
+/**
+ * **listingIds**
+ *
+ * @param {MergedListing} listing
+ *
+ * @returns {string[]}
+ * Every id of the listing: its own and those of the duplicates merged into it
+ * (see `dedupeListings`), so a lot stays recognized whichever portal lists it first.
+ */
+function listingIds(listing) {
+    return [listing.id, ...(listing.links ?? []).map((link) => link.id)];
+}
+
+/**
+ * **findWatched**
+ *
+ * @function findWatched
+ *
+ * @param {WatchedListing[]} watchlist
+ * The watchlist (see `useWatchlist`).
+ *
+ * @param {MergedListing} listing
+ * A listing of the results.
+ *
+ * @returns {WatchedListing|null}
+ * The watchlist entry of the same lot, or `null` when the listing is not watched.
+ */
+export function findWatched(watchlist, listing) {
+    const ids = listingIds(listing);
+    return watchlist.find((entry) => listingIds(entry.listing).some((id) => ids.includes(id))) ?? null;
+}
+
+/**
+ * **watchListing**
+ *
+ * Adds a listing to the watchlist. When the lot is already watched, its snapshot
+ * is refreshed and the notes are kept.
+ *
+ * ---
+ *
+ * @function watchListing
+ *
+ * @param {MergedListing} listing
+ * The normalized listing to save.
+ *
+ * @returns {void}
+ */
+export function watchListing(listing) {
+    const watchlist = readWatchlist();
+    const current = findWatched(watchlist, listing);
+    if (current) {
+        saveWatchlist(watchlist.map((entry) => (entry === current ? { ...entry, listing } : entry)));
+    } else {
+        saveWatchlist([{ listing, note: "", added_at: new Date().toISOString() }, ...watchlist]);
+    }
+}
+
+/**
+ * **unwatchListing**
+ *
+ * Removes a listing (any listing of the same lot) from the watchlist.
+ *
+ * @function unwatchListing
+ *
+ * @param {MergedListing} listing
+ *
+ * @returns {void}
+ */
+export function unwatchListing(listing) {
+    const watchlist = readWatchlist();
+    const current = findWatched(watchlist, listing);
+    if (current) saveWatchlist(watchlist.filter((entry) => entry !== current));
+}
+
+/**
+ * **setWatchNote**
+ *
+ * Updates the notes of a watched listing.
+ *
+ * @function setWatchNote
+ *
+ * @param {string} id
+ * The id of the watched listing (`entry.listing.id`).
+ *
+ * @param {string} note
+ * The new notes.
+ *
+ * @returns {void}
+ */
+export function setWatchNote(id, note) {
+    saveWatchlist(readWatchlist().map((entry) => (entry.listing.id === id ? { ...entry, note } : entry)));
+}
+
+/**
+ * **useWatchlist**
+ *
+ * React hook returning the **watchlist** (listings starred by the user, persisted in
+ * `localStorage`). Components using it re-render whenever the watchlist changes,
+ * in this tab or in another one.
+ *
+ * ---
+ *
+ * @function useWatchlist
+ *
+ * @returns {WatchedListing[]}
+ * The saved listings, most recent first.
+ *
+ * @example
+ * ```jsx
+ * const watchlist = useWatchlist();
+ * const watched = findWatched(watchlist, listing) !== null;
+ * ```
+ */
+export function useWatchlist() {
+    return useSyncExternalStore(store.subscribe, store.read, () => EMPTY);
+}
@@ -0,0 +1,292 @@
+/**
+ * Minimal XLSX (Office Open XML spreadsheet) writer for the exports.
+ *
+ * It writes one or more sheets with typed cells — strings, numbers and dates — a bold,
+ * frozen header row and an auto-filter: just what the exports need, without pulling a
+ * spreadsheet library into the bundle. The parts are packed in an uncompressed ZIP.
+ */
+
+/**
+ * **XLSXColumn**
+ *
+ * @typedef {Object} XLSXColumn
+ * @property {string} label
+ * Header of the column.
+ * @property {"string"|"number"|"date"} type
+ * Type of the cells: dates are ISO strings (`"2025-12-04"`) stored as Excel serial dates.
+ * @property {number} [width]
+ * Width of the column, in characters.
+ */
+
+/**
+ * **XLSXSheet**
+ *
+ * @typedef {Object} XLSXSheet
+ * @property {string} name
+ * Name of the sheet (at most 31 characters, no `[]:*?/\`).
+ * @property {XLSXColumn[]} columns
+ * The columns.
+ * @property {any[][]} rows
+ * The values, one array per row in column order (`null` for empty cells).
+ */
+
+const encoder = new TextEncoder();
+
+const escapeXML = (value) => String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // control characters are not allowed in XML 1.0
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+
+/**
+ * **CRC_TABLE**
+ *
+ * Lookup table of the CRC-32 checksum required by the ZIP entries.
+ *
+ * @constant
+ * @type {Uint32Array}
+ */
+const CRC_TABLE = Uint32Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * **zip**
+ *
+ * Packs files in a ZIP archive with no compression ("stored" entries).
+ *
+ * @param {Array<{name: string, content: string}>} files
+ *
+ * @returns {Uint8Array}
+ */
+function zip(files) {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true); // local file header signature
+        local.setUint16(4, 20, true);         // version needed to extract
+        local.setUint16(8, 0, true);          // method: stored
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        chunks.push(new Uint8Array(local.buffer), name, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014B50, true); // central directory header signature
+        entry.setUint16(4, 20, true);         // version made by
+        entry.setUint16(6, 20, true);         // version needed to extract
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);       // end of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        out.set(part, position);
+        position += part.length;
+    }
+    return out;
+}
+
+/**
+ * **columnName**
+ *
+ * @param {number} index
+ * 0-based column index.
+ *
+ * @returns {string}
+ * The column letters (`0` → `"A"`, `27` → `"AB"`).
+ */
+function columnName(index) {
+    let name = "";
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * **excelDate**
+ *
+ * @param {string} iso
+ *
+ * @returns {number}
+ * The Excel serial date (days since 1899-12-30).
+ */
+const excelDate = (iso) => {
+    const [y, m, d] = iso.split("-").map(Number);
+    return (Date.UTC(y, m - 1, d) - Date.UTC(1899, 11, 30)) / 86400000;
+};
+
+// cell styles, indexes of `cellXfs` in STYLES
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="dd/mm/yyyy"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/><xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>
+</styleSheet>`;
+
+/**
+ * **cellXML**
+ *
+ * @param {string} ref
+ * Cell reference (`"B2"`).
+ * @param {any} value
+ * @param {"string"|"number"|"date"} type
+ *
+ * @returns {string}
+ * The `<c>` element, or an empty string for empty values (no cell is written).
+ */
+function cellXML(ref, value, type) {
+    if (value == null || value === "") return "";
+    if (type === "number" && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    if (type === "date") return `<c r="${ref}" s="${STYLE_DATE}"><v>${excelDate(value)}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+}
+
+/**
+ * **worksheetXML**
+ *
+ * @param {XLSXSheet} sheet
+ *
+ * @returns {string}
+ * The worksheet part: header row (bold, frozen, with an auto-filter) and one row per record.
+ */
+function worksheetXML({ columns, rows }) {
+    const header = columns.map((col, i) => `<c r="${columnName(i)}1" s="${STYLE_HEADER}" t="inlineStr"><is><t>${escapeXML(col.label)}</t></is></c>`);
+    const body = rows.map((row, r) =>
+        `<row r="${r + 2}">${columns.map((col, i) => cellXML(`${columnName(i)}${r + 2}`, row[i], col.type)).join("")}</row>`
+    );
+    const widths = columns.map((col, i) => `<col min="${i + 1}" max="${i + 1}" width="${col.width ?? 14}" customWidth="1"/>`);
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<cols>${widths.join("")}</cols>
+<sheetData><row r="1">${header.join("")}</row>${body.join("")}</sheetData>
+<autoFilter ref="A1:${columnName(columns.length - 1)}${rows.length + 1}"/>
+</worksheet>`;
+}
+
+/**
+ * **buildXLSX**
+ *
+ * Builds an `.xlsx` workbook with the given sheets, in order: each one has the header row
+ * (bold, frozen, with an auto-filter) and one row per record. Cells keep their type, so
+ * prices and surfaces can be summed and dates sorted in Excel, LibreOffice or Google Sheets.
+ *
+ * ---
+ *
+ * @function buildXLSX
+ *
+ * @param {XLSXSheet[]} sheets
+ * The sheets (at least one; names are made unique within the workbook).
+ *
+ * @returns {Uint8Array}
+ * The file content.
+ *
+ * @example
+ * ```js
+ * const file = buildXLSX([
+ *     {
+ *         name: "Aste",
+ *         columns: [{ label: "Prezzo", type: "number" }, { label: "Data asta", type: "date" }],
+ *         rows: [[205500, "2025-12-04"]],
+ *     },
+ *     { name: "Ricerca", columns: [{ label: "Voce", type: "string" }], rows: [["Roma (RM)"]] },
+ * ]);
+ * downloadFile(file, "aste.xlsx", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+ * ```
+ */
+export function buildXLSX(sheets) {
+    const names = [];
+    for (const [i, sheet] of sheets.entries()) {
+        const name = sheet.name.replace(/[[\]:*?/\\]/g, " ").slice(0, 31) || `Foglio${i + 1}`;
+        // sheet names are case-insensitive in Excel
+        names.push(names.some((n) => n.toLowerCase() === name.toLowerCase()) ? `${name.slice(0, 28)} (${i + 1})` : name);
+    }
+
+    const parts = sheets.map((_, i) => `xl/worksheets/sheet${i + 1}.xml`);
+    const filters = sheets.map(({ columns, rows }, i) =>
+        `<definedName name="_xlnm._FilterDatabase" localSheetId="${i}" hidden="1">'${escapeXML(names[i].replace(/'/g, "''"))}'!$A$1:$${columnName(columns.length - 1)}$${rows.length + 1}</definedName>`
+    );
+
+    return zip([
+        {
+            name: "[Content_Types].xml",
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+${parts.map((part) => `<Override PartName="/${part}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("\n")}
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`,
+        },
+        {
+            name: "_rels/.rels",
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+        },
+        {
+            name: "xl/workbook.xml",
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${names.map((name, i) => `<sheet name="${escapeXML(name)}" sheetId="${i + 1}" r:id="rId${i + 2}"/>`).join("")}</sheets>
+<definedNames>${filters.join("")}</definedNames>
+</workbook>`,
+        },
+        {
+            name: "xl/_rels/workbook.xml.rels",
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+${parts.map((part, i) => `<Relationship Id="rId${i + 2}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="${part.slice(3)}"/>`).join("\n")}
+</Relationships>`,
+        },
+        { name: "xl/styles.xml", content: STYLES },
+        ...sheets.map((sheet, i) => ({ name: parts[i], content: worksheetXML(sheet) })),
+    ]);
+}
@@ -0,0 +1,337 @@
+import React, { useEffect } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { ArrowLeft, Printer } from "lucide-react";
+import logo from "../assets/bidhouse_logo_black.png";
+import { RiskFlagList } from "../components/RiskBadge";
+import { cadastralText, keyFacts } from "../lib/listing";
+import { RISK_LEVELS } from "../lib/risk";
+import { filterSummary } from "../lib/search";
+import { getSource } from "../lib/sources";
+import { formatDate, formatMoney } from "../lib/utils";
+
+const RISK_CLASSES = Object.freeze({
+    high: "risk-badge-high",
+    medium: "risk-badge-medium",
+    low: "risk-badge-low",
+});
+
+/**
+ * **sourceRows**
+ *
+ * The publications of a listing with the portal name, for the printed source links
+ * (on paper the URL itself must be readable).
+ *
+ * @param {MergedListing} listing
+ *
+ * @returns {Array<{key: string, name: string, url: string|null}>}
+ */
+function sourceRows(listing) {
+    return (listing.links ?? [{ id: listing.id, source: listing.source, url: listing.url }]).map((link) => ({
+        key: `${link.source}:${link.id}`,
+        name: getSource(link.source)?.name ?? link.source,
+        url: link.url,
+    }));
+}
+
+/**
+ * **DossierCover**
+ *
+ * First page of the dossier: branding, title, search criteria and a short overview of
+ * the properties (count, auction dates, price range).
+ *
+ * @param {Object} props
+ * @param {MergedListing[]} props.listings
+ * @param {string} props.title
+ * @param {string[]} props.criteria
+ * Labels of the search criteria (see `filterSummary`); empty for the watchlist.
+ * @param {string} props.today
+ * Generation date (ISO).
+ */
+function DossierCover({ listings, title, criteria, today }) {
+    const dates = listings.map((l) => l.auction_date).filter(Boolean).sort();
+    const prices = listings.map((l) => l.price).filter((p) => p != null);
+
+    return (
+        <section className="dossier-page dossier-cover">
+            <img src={logo} alt="BidHouse" className="w-56" />
+            <div className="flex flex-col gap-2">
+                <p className="text-sm uppercase tracking-widest text-gray-500">Dossier aste immobiliari</p>
+                <h1 className="dossier-title">{title}</h1>
+                <p className="text-gray-500">Generato il {formatDate(today)}</p>
+            </div>
+
+            {criteria.length > 0 && (
+                <div className="flex flex-col gap-2">
+                    <h2 className="listing-section-title">Criteri di ricerca</h2>
+                    <ul className="list-disc pl-6 text-gray-700">
+                        {criteria.map((label) => <li key={label}>{label}</li>)}
+                    </ul>
+                </div>
+            )}
+
+            <dl className="dossier-overview">
+                <div>
+                    <dt>Immobili</dt>
+                    <dd>{listings.length}</dd>
+                </div>
+                {dates.length > 0 && (
+                    <div>
+                        <dt>Date d'asta</dt>
+                        <dd>
+                            {formatDate(dates[0])}
+                            {dates.at(-1) !== dates[0] && ` – ${formatDate(dates.at(-1))}`}
+                        </dd>
+                    </div>
+                )}
+                {prices.length > 0 && (
+                    <div>
+                        <dt>Prezzi base</dt>
+                        <dd>
+                            € {formatMoney(Math.min(...prices))}
+                            {Math.max(...prices) !== Math.min(...prices) && ` – ${formatMoney(Math.max(...prices))}`}
+                        </dd>
+                    </div>
+                )}
+            </dl>
+
+            <p className="mt-auto text-sm text-gray-500">
+                Dati raccolti dai portali di aste indicati per ogni immobile e segnalazioni estratte
+                automaticamente dalle descrizioni: verificare sempre perizia e avviso di vendita prima di
+                presentare un'offerta.
+            </p>
+        </section>
+    );
+}
+
+/**
+ * **DossierSummary**
+ *
+ * Summary table of the dossier: one row per property with its page number.
+ *
+ * @param {{listings: MergedListing[]}} props
+ */
+function DossierSummary({ listings }) {
+    return (
+        <section className="dossier-page">
+            <h2 className="h3-title">Riepilogo</h2>
+            <table className="dossier-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Immobile</th>
+                        <th>Data asta</th>
+                        <th className="text-right">Prezzo base</th>
+                        <th className="text-right">m²</th>
+                        <th>Rischio</th>
+                        <th>Fonti</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {listings.map((listing, idx) => (
+                        <tr key={listing.id}>
+                            <td>{idx + 1}</td>
+                            <td>
+                                <b>{listing.title ?? "Annuncio senza titolo"}</b>
+                                {listing.address && <p className="text-gray-500">{listing.address}</p>}
+                            </td>
+                            <td className="whitespace-nowrap">{listing.auction_date ? formatDate(listing.auction_date) : "-"}</td>
+                            <td className="text-right whitespace-nowrap">{listing.price != null ? `€ ${formatMoney(listing.price)}` : "-"}</td>
+                            <td className="text-right">{listing.mq ?? "-"}</td>
+                            <td>{RISK_LEVELS[listing.risk.level]}</td>
+                            <td>{sourceRows(listing).map((row) => row.name).join(", ")}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </section>
+    );
+}
+
+/**
+ * **DossierListing**
+ *
+ * Page of a single property: key facts, risk flags, notes, description, data extracted
+ * from the description and the source links (printed in full).
+ *
+ * @param {Object} props
+ * @param {MergedListing} props.listing
+ * @param {number} props.index
+ * 1-based position in the dossier.
+ * @param {number} props.total
+ * @param {string} [props.note]
+ * The user notes (watchlist).
+ */
+function DossierListing({ listing, index, total, note }) {
+    return (
+        <section className="dossier-page">
+            <div className="flex flex-col gap-1">
+                <p className="text-sm text-gray-500">Immobile {index} di {total} · Codice {listing.id}</p>
+                <h2 className="h3-title">{listing.title ?? "Annuncio senza titolo"}</h2>
+                {listing.address && <p className="text-gray-600">{listing.address}</p>}
+                <span className={`risk-badge w-fit ${RISK_CLASSES[listing.risk.level]}`}>{RISK_LEVELS[listing.risk.level]}</span>
+            </div>
+
+            <dl className="dossier-facts">
+                {keyFacts(listing).map(({ id, label, value }) => (
+                    <div key={id} className="listing-fact">
+                        <dt className="text-gray-500">{label}</dt>
+                        <dd className="font-semibold">{value}</dd>
+                    </div>
+                ))}
+            </dl>
+
+            {listing.risk.flags.length > 0 && (
+                <div className="flex flex-col gap-1">
+                    <h3 className="listing-section-title">Segnalazioni di rischio</h3>
+                    <RiskFlagList flags={listing.risk.flags} />
+                </div>
+            )}
+
+            {note && (
+                <div className="flex flex-col gap-1">
+                    <h3 className="listing-section-title">Note</h3>
+                    <p className="whitespace-pre-line">{note}</p>
+                </div>
+            )}
+
+            <div className="flex flex-col gap-1">
+                <h3 className="listing-section-title">Descrizione</h3>
+                <p className="whitespace-pre-line text-gray-700 text-sm">
+                    {listing.description || "Nessuna descrizione disponibile"}
+                </p>
+                {listing.facts.cadastral && (
+                    <p className="text-sm text-gray-700">
+                        <b>Catasto:</b> {cadastralText(listing.facts.cadastral)}
+                    </p>
+                )}
+            </div>
+
+            <div className="flex flex-col gap-1">
+                <h3 className="listing-section-title">{listing.links?.length > 1 ? "Fonti" : "Fonte"}</h3>
+                <ul className="text-sm">
+                    {sourceRows(listing).map((row) => (
+                        <li key={row.key}>
+                            <b>{row.name}</b>
+                            {row.url && (
+                                <>
+                                    {": "}
+                                    <a href={row.url} className="break-all underline underline-offset-2">{row.url}</a>
+                                </>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        </section>
+    );
+}
+
+/**
+ * **DossierPage**
+ *
+ * React functional component rendering a **printable BidHouse dossier** of a set of listings
+ * (the selected or shown results, or the watchlist), to share with clients:
+ *
+ * 1. a cover page with the branding, the search criteria (see `filterSummary`) and an overview;
+ * 2. a summary table with one row per property;
+ * 3. one page per property with the key facts, the risk flags, the notes, the description
+ *    and the source links.
+ *
+ * The page is laid out for A4 paper (see the `dossier-*` utilities): the "Stampa / Salva PDF"
+ * button opens the browser print dialog, where the dossier can be printed or saved as PDF,
+ * entirely client-side. The header of the app and the toolbar are not printed.
+ *
+ * ---
+ *
+ * @component
+ *
+ * @param {Object} props
+ * Component props.
+ *
+ * @param {MergedListing[]} props.listings
+ * The listings of the dossier, in order.
+ *
+ * @param {string} props.title
+ * Title of the dossier (cover and PDF file name).
+ *
+ * @param {Filter|null} [props.filter=null]
+ * The search the listings come from (`null` for the watchlist).
+ *
+ * @param {Record<string, string>} [props.notes={}]
+ * User notes by listing id (watchlist).
+ *
+ * @param {string} props.backTo
+ * Page of the back link when there is no history entry to pop.
+ *
+ * @param {string} props.backLabel
+ * Label of the back link.
+ *
+ * @returns {JSX.Element}
+ *
+ * @example
+ * ```jsx
+ * <DossierPage listings={watched} title="Preferiti" notes={notes} backTo="/watchlist" backLabel="Torna ai preferiti" />
+ * ```
+ */
+export default function DossierPage({ listings, title, filter = null, notes = {}, backTo, backLabel }) {
+    const location = useLocation();
+    const navigate = useNavigate();
+    const today = new Date().toISOString().slice(0, 10);
+
+    // the document title is the default name of the PDF
+    useEffect(() => {
+        const previous = document.title;
+        document.title = `Dossier BidHouse - ${title}`;
+        return () => {
+            document.title = previous;
+        };
+    }, [title]);
+
+    const goBack = () => {
+        if (location.state?.fromResults) navigate(-1);
+        else navigate(`${backTo}${location.search}`);
+    };
+
+    return (
+        <div className="dossier-container">
+            <div className="dossier-toolbar">
+                <button type="button" className="listing-back-button" onClick={goBack}>
+                    <ArrowLeft className="result-info-icon" />
+                    {backLabel}
+                </button>
+                <button
+                    type="button"
+                    className="main-button button-primary-colors flex flex-row items-center gap-2"
+                    disabled={!listings.length}
+                    onClick={() => window.print()}
+                >
+                    <Printer className="size-5" />
+                    Stampa / Salva PDF
+                </button>
+            </div>
+
+            {!listings.length ? (
+                <p className="text-gray-600">Nessun annuncio da inserire nel dossier.</p>
+            ) : (
+                <article className="dossier">
+                    <DossierCover
+                        listings={listings}
+                        title={title}
+                        criteria={filter ? filterSummary(filter) : []}
+                        today={today}
+                    />
+                    <DossierSummary listings={listings} />
+                    {listings.map((listing, idx) => (
+                        <DossierListing
+                            key={listing.id}
+                            listing={listing}
+                            index={idx + 1}
+                            total={listings.length}
+                            note={notes[listing.id]}
+                        />
+                    ))}
+                </article>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,212 @@
+import React, { useLayoutEffect } from "react";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
+import {
+    ArrowLeft,
+    Bath,
+    BedDouble,
+    Calendar,
+    Euro,
+    ExternalLink,
+    Flame,
+    Leaf,
+    MapPin,
+    RulerDimensionLine,
+} from "lucide-react";
+import CalendarExportButton from "../components/CalendarExportButton";
+import FactBadges from "../components/FactBadges";
+import RiskBadge, { RiskFlagList } from "../components/RiskBadge";
+import SourceLinks from "../components/SourceLinks";
+import WatchButton from "../components/WatchButton";
+import { cadastralText, keyFacts } from "../lib/listing";
+
+/**
+ * **FACT_ICONS**
+ *
+ * Icon of each row of the "key facts" panel (see `keyFacts`).
+ *
+ * @constant
+ * @type {Readonly<Record<string, JSX.Element>>}
+ */
+const FACT_ICONS = Object.freeze({
+    price: <Euro className="result-info-icon" />,
+    auction_date: <Calendar className="result-info-icon" />,
+    mq: <RulerDimensionLine className="result-info-icon" />,
+    price_mq: <Euro className="result-info-icon" />,
+    rooms: <BedDouble className="result-info-icon" />,
+    bathrooms: <Bath className="result-info-icon" />,
+    autonomous: <Flame className="result-info-icon" />,
+    energy_class: <Leaf className="result-info-icon" />,
+});
+
+/**
+ * **ListingPage**
+ *
+ * React functional component rendering the **in-app detail view** of a single listing
+ * (route `/results/listing/:id`, see `listingPath`).
+ *
+ * It shows every field of the normalized `Listing`: title, address, a structured
+ * **key facts** panel (price, auction date, surface, price per m², rooms, bathrooms,
+ * heating, energy class), the risk flags with their quoted sentences (see `assessRisk`),
+ * the full description, the data extracted from it (see `extractFacts`) and the link to
+ * the original announcement.
+ *
+ * ---
+ *
+ * ### ↩️ Back navigation
+ * When the page was opened from the results grid or the watchlist (`location.state.fromResults`),
+ * the back link pops the history entry, so the list is restored with the same
+ * sort/refine/page **and scroll position**. Otherwise (shared link, reload) it navigates
+ * to `backTo` with the same query string.
+ *
+ * ---
+ *
+ * @component
+ *
+ * @param {Object} props
+ * Component props.
+ *
+ * @param {MergedListing[]} props.listings
+ * The deduplicated listings of the current search; the one to show is looked up by the `:id` param.
+ *
+ * @param {boolean} [props.streaming=false]
+ * `true` while the search is still running: a missing listing may still arrive.
+ *
+ * @param {string} [props.backTo="/results"]
+ * Page of the back link when there is no history entry to pop (`"/watchlist"` for watched listings).
+ *
+ * @param {string} [props.backLabel="Torna ai risultati"]
+ * Label of the back link.
+ *
+ * @returns {JSX.Element}
+ * The detail page, or a "not found" message.
+ */
+export default function ListingPage({
+    listings,
+    streaming = false,
+    backTo = "/results",
+    backLabel = "Torna ai risultati"
+}) {
+    const { id } = useParams();
+    const location = useLocation();
+    const navigate = useNavigate();
+    // a listing merged into another lot (see `dedupeListings`) is found by any of its ids
+    const listing = listings.find((l) => l.id === id || l.links.some((link) => link.id === id)) ?? null;
+
+    // a new page: start from the top (the results page restores its own position)
+    useLayoutEffect(() => {
+        window.scrollTo(0, 0);
+    }, [id]);
+
+    const goBack = () => {
+        if (location.state?.fromResults) navigate(-1);
+        else navigate(`${backTo}${location.search}`);
+    };
+
+    return (
+        <div className="listing-page-container">
+            <button type="button" className="listing-back-button" onClick={goBack}>
+                <ArrowLeft className="result-info-icon" />
+                {backLabel}
+            </button>
+
+            {!listing ? (
+                <p className="text-gray-600">
+                    {streaming
+                        ? "Stiamo ancora cercando questo annuncio..."
+                        : "Annuncio non trovato tra i risultati di questa ricerca."}
+                </p>
+            ) : (
+                <>
+                    <div className="w-full flex flex-col gap-2">
+                        <h1 className="h2-title">{listing.title ?? "Annuncio senza titolo"}</h1>
+                        {listing.address && (
+                            <span className="flex flex-row gap-2 text-gray-600">
+                                <MapPin className="result-info-icon shrink-0" />
+                                <p>{listing.address}</p>
+                            </span>
+                        )}
+                        <p className="text-sm text-gray-400">Codice annuncio: {listing.id}</p>
+                        <SourceLinks links={listing.links} />
+                        <div className="flex flex-row items-center gap-4">
+                            <RiskBadge risk={listing.risk} />
+                            <WatchButton listing={listing} />
+                            {listing.auction_date && (
+                                <CalendarExportButton
+                                    listings={[listing]}
+                                    filename={`asta-${listing.id}.ics`}
+                                    label="Aggiungi al calendario"
+                                />
+                            )}
+                        </div>
+                        <FactBadges facts={listing.facts} />
+                    </div>
+
+                    <div className="listing-body-container">
+                        <section className="listing-facts-container" aria-label="Dati principali">
+                            <h2 className="listing-section-title">Dati principali</h2>
+                            <dl className="listing-facts-list">
+                                {keyFacts(listing).map(({ id: fact, label, value }) => (
+                                    <div className="listing-fact" key={fact}>
+                                        <dt className="flex flex-row gap-2 text-gray-500">
+                                            {FACT_ICONS[fact]}
+                                            {label}
+                                        </dt>
+                                        <dd className="font-semibold">{value}</dd>
+                                    </div>
+                                ))}
+                            </dl>
+                            {listing.url && (
+                                <a
+                                    className="result-button flex flex-row justify-center gap-2"
+                                    href={listing.url}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                >
+                                    Vedi annuncio originale
+                                    <ExternalLink />
+                                </a>
+                            )}
+                        </section>
+
+                        <div className="w-full flex flex-col gap-6">
+                            {listing.risk.flags.length > 0 && (
+                                <section className="listing-description-container">
+                                    <h2 className="listing-section-title">Segnalazioni di rischio</h2>
+                                    <RiskFlagList flags={listing.risk.flags} />
+                                </section>
+                            )}
+
+                            <section className="listing-description-container">
+                                <h2 className="listing-section-title">Descrizione</h2>
+                                <p className="whitespace-pre-line text-gray-600">
+                                    {listing.description || "Nessuna descrizione disponibile"}
+                                </p>
+                            </section>
+
+                            {(listing.facts.cadastral || listing.facts.services.length > 0) && (
+                                <section className="listing-description-container">
+                                    <h2 className="listing-section-title">Dati dalla descrizione</h2>
+                                    {listing.facts.cadastral && (
+                                        <p className="text-gray-600">
+                                            <b>Catasto:</b> {cadastralText(listing.facts.cadastral)}
+                                        </p>
+                                    )}
+                                    {listing.facts.services.length > 0 && (
+                                        <ul className="listing-services-list">
+                                            {listing.facts.services.map(({ name, km }) => (
+                                                <li key={name} className="flex flex-row justify-between">
+                                                    <span className="capitalize">{name}</span>
+                                                    <span className="font-semibold">{km} km</span>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                </section>
+                            )}
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -1,3 +1,5 @@
+import { useNavigate } from "react-router-dom";
+
 export default function MessagePage({
     icon = null,
     mainColor = "temp",
@@ -5,9 +7,11 @@ export default function MessagePage({
     paragraph = "temp paragraph",
     textColor = "black",
     buttonText = "temp button text",
-    onClickFunc = () => { console.error("Error: onClick function not set") },
+    buttonLink = null,
+    onClickFunc = null,
     buttonTextColor = "temp"
 }) {
+    const navigate = useNavigate();
 
     // TODO: temp debug print
     console.log("icon");
@@ -26,7 +30,11 @@ export default function MessagePage({
             </div>
             <button
                 className={`bg-${mainColor} text-${buttonTextColor} text-lg font-semibold py-4 px-8 rounded-md hover:bg-${mainColor}/50`}
-                onClick={onClickFunc}
+                onClick={() => {
+                    if (onClickFunc) onClickFunc();
+                    if (buttonLink) navigate(buttonLink);
+                    if (!onClickFunc && !buttonLink) console.error("Error: neither onClick function nor buttonLink set");
+                }}
             >{buttonText}</button>
         </div>
     );
@@ -1,19 +1,288 @@
-import React from "react";
+import React, { useEffect, useLayoutEffect, useMemo, useRef } from "react";
+import { Link, useLocation, useSearchParams } from "react-router-dom";
+import { FormControl, InputLabel, MenuItem, Pagination, Select } from "@mui/material";
 import {
     Euro,
     RulerDimensionLine,
     BedDouble,
     CircleX,
-    Calendar
+    Calendar,
+    LoaderCircle,
+    FileText
 } from "lucide-react";
+import AuctionCalendar from "../components/AuctionCalendar";
+import CalendarExportButton from "../components/CalendarExportButton";
+import ChangeBadges, { RemovedListings } from "../components/ChangeBadges";
+import ExportMenu from "../components/ExportMenu";
+import FactBadges from "../components/FactBadges";
+import RefineSidebar from "../components/RefineSidebar";
+import ResultsMap from "../components/ResultsMap";
+import RiskBadge from "../components/RiskBadge";
+import SaveSearchButton from "../components/SaveSearchButton";
+import SourceLinks from "../components/SourceLinks";
+import WatchButton from "../components/WatchButton";
+import { CALENDAR_MODES, isISODate, todayISO } from "../lib/calendar";
+import { placesLabel } from "../lib/comuni";
+import { PAGE_SIZE_OPTIONS, SORT_OPTIONS } from "../lib/constants";
+import { paginate, shownListings, sortListings } from "../lib/results";
+import {
+    dossierPath,
+    listingPath,
+    searchParamsToFilter,
+    searchParamsToRefine,
+    searchParamsToSelection,
+    withRefine,
+} from "../lib/routing";
+import { restoreScrollPosition, saveScrollPosition } from "../lib/scroll";
+import { formatDate, formatMoney } from "../lib/utils";
+
+/**
+ * **RESULT_VIEWS**
+ *
+ * Views of the results (`&view=` param): the paginated grid, the auction calendar or the map.
+ *
+ * @constant
+ * @type {ReadonlyArray<{label: string, value: "grid"|"calendar"|"map"}>}
+ */
+const RESULT_VIEWS = Object.freeze([
+    { label: "Griglia", value: "grid" },
+    { label: "Calendario", value: "calendar" },
+    { label: "Mappa", value: "map" },
+]);
 
-function formatMoney(number) {
-    return number.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ".");
+/**
+ * **ResultsToolbar**
+ *
+ * Bar above the results grid with the listings count, the sort order select
+ * (see `SORT_OPTIONS`) and the page-size select (see `PAGE_SIZE_OPTIONS`).
+ *
+ * @param {Object} props
+ * @param {string} props.sort
+ * The current `SORT_OPTIONS` value.
+ * @param {(value: string) => void} props.onSortChange
+ * Called with the newly selected sort order.
+ * @param {number} props.perPage
+ * The current page size.
+ * @param {(value: number) => void} props.onPerPageChange
+ * Called with the newly selected page size.
+ * @param {number} props.count
+ * Number of listings shown (after refining).
+ * @param {number} props.total
+ * Number of listings fetched (after merging duplicates).
+ * @param {number} props.duplicates
+ * Number of duplicate records merged into other listings (see `dedupeListings`).
+ * @param {boolean} props.hideHighRisk
+ * Whether high-risk listings are hidden (`Refine.hide_high_risk`).
+ * @param {(value: boolean) => void} props.onHideHighRiskChange
+ * Called when the "hide high-risk" toggle is clicked.
+ * @param {number} props.highRiskCount
+ * Number of high-risk listings among the fetched ones.
+ * @param {SearchDiff|null} props.diff
+ * Changes since the previous run of the search (see `diffListings`), `null` for a first run.
+ * @param {boolean} props.onlyNew
+ * Whether only the new listings are shown.
+ * @param {(value: boolean) => void} props.onOnlyNewChange
+ * Called when the "solo nuovi" chip is clicked.
+ */
+function ResultsToolbar({
+    sort,
+    onSortChange,
+    perPage,
+    onPerPageChange,
+    count,
+    total,
+    duplicates,
+    hideHighRisk,
+    onHideHighRiskChange,
+    highRiskCount,
+    diff,
+    onlyNew,
+    onOnlyNewChange
+}) {
+    return (
+        <div className="result-toolbar-container">
+            <p className="text-gray-600">
+                <b>{count}</b> {count === total ? "annunci" : `di ${total} annunci`}
+                {duplicates > 0 && ` · ${duplicates} ${duplicates === 1 ? "duplicato unito" : "duplicati uniti"}`}
+                {diff && (
+                    <span className="block text-sm">
+                        Rispetto alla ricerca del {formatDate(diff.since.slice(0, 10))} · nuovi: {diff.counts.new}
+                        {" "}· prezzo cambiato: {diff.counts.price} · data cambiata: {diff.counts.date}
+                        {diff.counts.removed > 0 && ` · non più presenti: ${diff.counts.removed}`}
+                    </span>
+                )}
+            </p>
+            <div className="flex flex-row items-center gap-4">
+                {diff && (diff.counts.new > 0 || onlyNew) && (
+                    <button
+                        type="button"
+                        aria-pressed={onlyNew}
+                        className={`refine-chip ${onlyNew ? "refine-chip-active" : ""}`}
+                        onClick={() => onOnlyNewChange(!onlyNew)}
+                    >
+                        Solo nuovi ({diff.counts.new})
+                    </button>
+                )}
+                {highRiskCount > 0 && (
+                    <button
+                        type="button"
+                        aria-pressed={hideHighRisk}
+                        className={`refine-chip ${hideHighRisk ? "refine-chip-active" : ""}`}
+                        onClick={() => onHideHighRiskChange(!hideHighRisk)}
+                    >
+                        {hideHighRisk ? "Mostra" : "Nascondi"} rischio alto ({highRiskCount})
+                    </button>
+                )}
+                <FormControl size="small" sx={{ minWidth: 240, backgroundColor: "white" }}>
+                    <InputLabel id="result-sort-label">Ordina per</InputLabel>
+                    <Select
+                        labelId="result-sort-label"
+                        id="result-sort"
+                        value={sort}
+                        label="Ordina per"
+                        onChange={(e) => onSortChange(e.target.value)}
+                    >
+                        {SORT_OPTIONS.map((opt) => (
+                            <MenuItem value={opt.value} key={opt.value}>{opt.label}</MenuItem>
+                        ))}
+                    </Select>
+                </FormControl>
+                <FormControl size="small" sx={{ minWidth: 140, backgroundColor: "white" }}>
+                    <InputLabel id="result-per-page-label">Per pagina</InputLabel>
+                    <Select
+                        labelId="result-per-page-label"
+                        id="result-per-page"
+                        value={perPage}
+                        label="Per pagina"
+                        onChange={(e) => onPerPageChange(Number(e.target.value))}
+                    >
+                        {PAGE_SIZE_OPTIONS.map((size) => (
+                            <MenuItem value={size} key={size}>{size} annunci</MenuItem>
+                        ))}
+                    </Select>
+                </FormControl>
+            </div>
+        </div>
+    );
 }
 
 export default function ResultsPage({
-    results
+    results,           // deduplicated listings (see `dedupeListings`)
+    duplicates = 0,    // records merged into other listings
+    diff = null,       // changes since the previous run of the same search (see `diffListings`)
+    rejected = [],     // records that failed validation: { errors, raw }
+    streaming = false, // true while the scraper is still sending listings
+    onCancel = null    // stops the running search ("Annulla ricerca" in the footer)
 }) {
+    // sort order, page and page size live in the URL (`/results?...&sort=price_asc&page=2`)
+    // so they survive reloads and shared links
+    const [searchParams, setSearchParams] = useSearchParams();
+    const location = useLocation();
+    const sort = SORT_OPTIONS.some((opt) => opt.value === searchParams.get("sort"))
+        ? searchParams.get("sort")
+        : "relevance";
+    const perPage = PAGE_SIZE_OPTIONS.includes(Number(searchParams.get("per_page")))
+        ? Number(searchParams.get("per_page"))
+        : PAGE_SIZE_OPTIONS[0];
+
+    // every change of the view replaces the current history entry and, except for
+    // page navigation, goes back to the first page
+    const updateParams = (mutate) => setSearchParams((prev) => {
+        const next = new URLSearchParams(prev);
+        mutate(next);
+        return next;
+    }, { replace: true });
+
+    const setSort = (value) => updateParams((next) => {
+        if (value === "relevance") next.delete("sort");
+        else next.set("sort", value);
+        next.delete("page");
+    });
+
+    const setPerPage = (value) => updateParams((next) => {
+        if (value === PAGE_SIZE_OPTIONS[0]) next.delete("per_page");
+        else next.set("per_page", String(value));
+        next.delete("page");
+    });
+
+    const setPage = (value) => {
+        updateParams((next) => {
+            if (value === 1) next.delete("page");
+            else next.set("page", String(value));
+        });
+        window.scrollTo({ top: 0, behavior: "smooth" });
+    };
+
+    // refine sidebar state, also in the URL (see `REFINE_PARAMS`)
+    const refine = useMemo(() => searchParamsToRefine(searchParams), [searchParams]);
+    const filter = useMemo(() => searchParamsToFilter(searchParams), [searchParams]);
+    const setRefine = (value) => setSearchParams((prev) => {
+        const next = withRefine(prev, value);
+        next.delete("page");
+        return next;
+    }, { replace: true });
+
+    // "solo nuovi": only the listings missing from the previous run (`&new=1`)
+    const onlyNew = diff !== null && searchParams.get("new") === "1";
+    const setOnlyNew = (value) => updateParams((next) => {
+        if (value) next.set("new", "1");
+        else next.delete("new");
+        next.delete("page");
+    });
+
+    // grid, calendar or map view (`&view=calendar&cal=week&cal_date=2025-12-01`, `&view=map`)
+    const view = RESULT_VIEWS.some((opt) => opt.value === searchParams.get("view"))
+        ? searchParams.get("view")
+        : "grid";
+    const setView = (value) => updateParams((next) => {
+        if (value === "grid") next.delete("view");
+        else next.set("view", value);
+    });
+    const calendarMode = CALENDAR_MODES.some((opt) => opt.value === searchParams.get("cal"))
+        ? searchParams.get("cal")
+        : "month";
+    const setCalendar = ({ mode, date }) => updateParams((next) => {
+        if (mode === "month") next.delete("cal");
+        else next.set("cal", mode);
+        next.set("cal_date", date);
+    });
+
+    // listings selected for the dossier and the calendar export (`&sel=id1,id2`); none selected
+    // means all the shown ones
+    const selection = useMemo(() => searchParamsToSelection(searchParams), [searchParams]);
+    const toggleSelected = (id) => updateParams((next) => {
+        const ids = selection.includes(id) ? selection.filter((sel) => sel !== id) : [...selection, id];
+        if (ids.length) next.set("sel", ids.join(","));
+        else next.delete("sel");
+    });
+
+    const sortedResults = useMemo(() => {
+        if (!Array.isArray(results)) return results;
+        return shownListings(results, { refine, sort, onlyNew, diff });
+    }, [results, refine, sort, onlyNew, diff]);
+    // the calendar export follows the dossier: the selected listings, or all the shown ones
+    const calendarListings = useMemo(() => {
+        if (!Array.isArray(results) || !selection.length) return sortedResults;
+        return sortListings(results.filter((l) => selection.includes(l.id)), sort);
+    }, [results, selection, sort, sortedResults]);
+    const { items: pageResults, page, pageCount } = useMemo(
+        () => paginate(sortedResults ?? [], Number(searchParams.get("page")) || 1, perPage),
+        [sortedResults, searchParams, perPage]
+    );
+
+    // scroll position of this history entry: tracked while scrolling, restored when the user
+    // comes back (e.g. from the detail view of a listing)
+    const locationKeyRef = useRef(location.key);
+    locationKeyRef.current = location.key;
+    useLayoutEffect(() => {
+        restoreScrollPosition(locationKeyRef.current);
+    }, []);
+    useEffect(() => {
+        const onScroll = () => saveScrollPosition(locationKeyRef.current);
+        window.addEventListener("scroll", onScroll, { passive: true });
+        return () => window.removeEventListener("scroll", onScroll);
+    }, []);
+
     // // TODO: temp assignment to design
     // results = [
     //     {
@@ -61,15 +330,41 @@ export default function ResultsPage({
     //     "url": "https://www.immobiliallasta.it/immobili/roma/roma/ex8691189/appartamento-all-asta-in-via-generale-v-streva"
     // }
 
-    const renderResult = (res) => {
+    // without an explicit date the calendar opens on the next auction
+    const calendarDate = useMemo(() => {
+        if (isISODate(searchParams.get("cal_date"))) return searchParams.get("cal_date");
+        const today = todayISO();
+        const upcoming = (Array.isArray(sortedResults) ? sortedResults : [])
+            .map((l) => l.auction_date)
+            .filter((day) => day && day >= today)
+            .sort();
+        return upcoming[0] ?? today;
+    }, [searchParams, sortedResults]);
+
+    const renderResult = (res, idx) => {
         return (
-            <div className="result-card-container" key={res.id}>
+            <div className="result-card-container" key={`${res.id}-${idx}`}>
+                <div className="w-full flex flex-row justify-between items-center">
+                    <RiskBadge risk={res.risk} />
+                    <div className="flex flex-row items-center gap-4">
+                        <label className="dossier-select">
+                            <input
+                                type="checkbox"
+                                checked={selection.includes(res.id)}
+                                onChange={() => toggleSelected(res.id)}
+                            />
+                            Dossier
+                        </label>
+                        <WatchButton listing={res} />
+                    </div>
+                </div>
+                <ChangeBadges change={diff?.changes[res.id]} listing={res} />
                 <h3 className="result-card-title">{res.title}</h3>
 
                 <div className="result-card-info-container">
                     <span className="result-card-single-info">
                         <Calendar className="result-info-icon" />
-                        <p className="flex "> {res.auction_date || "-"}</p>
+                        <p className="flex "> {res.auction_date ? formatDate(res.auction_date) : "-"}</p>
                     </span>
                     <span className="result-card-single-info">
                         <RulerDimensionLine className="result-info-icon" />
@@ -77,27 +372,24 @@ export default function ResultsPage({
                     </span>
                     <span className="result-card-single-info">
                         <Euro className="result-info-icon" />
-                        <p className="flex font-semibold">{res.price ? formatMoney(res.price) : "-"}</p>
+                        <p className="flex font-semibold">{res.price != null ? formatMoney(res.price) : "-"}</p>
                     </span>
                 </div>
 
+                <FactBadges facts={res.facts} />
+
                 <p className="result-description">{res.description || "Nessuna descrizione disponibile"}</p>
 
-                <span className="flex flex-row pt-4 gap-2">
-                    <p className="text-gray-500">Source:</p>
-                    <a href="https://www.immobiliallasta.it/" className="text-gray-600 underline underline-offset-2">
-                        {/* // TODO: questo valore dovrà essere dinamico */}
-                        <b>Immobiliallasta</b>
-                    </a>
-                </span>
+                <SourceLinks links={res.links} />
 
                 {/* <div className="result-button-container"> */}
-                <a
+                <Link
                     className="result-button"
-                    href={res.url}
+                    to={listingPath(res.id, location.search)}
+                    state={{ fromResults: true }}
                 >
                     Scopri di più
-                </a>
+                </Link>
                 {/* </div> */}
             </div>
         );
@@ -105,19 +397,151 @@ export default function ResultsPage({
 
     return (
         <div className="result-page-container">
-            <h1 className="h2-title">Risultati</h1>
-            <div className="result-grid-container">
-                {results === null ? (
-                    <p>Caricamento...</p>
-                ) : Array.isArray(results) && results.length > 0 ? (
-                    results.map((res ) => renderResult(res))
-                    
-                ) : (
-                    <p>Nessun risultato disponibile.</p>
+            <div className="w-full flex flex-row justify-between items-center">
+                <h1 className="h2-title">Risultati</h1>
+                <div className="flex flex-row flex-wrap justify-end items-center gap-2">
+                    {RESULT_VIEWS.map((opt) => (
+                        <button
+                            type="button"
+                            key={opt.value}
+                            aria-pressed={view === opt.value}
+                            className={`refine-chip ${view === opt.value ? "refine-chip-active" : ""}`}
+                            onClick={() => setView(opt.value)}
+                        >
+                            {opt.label}
+                        </button>
+                    ))}
+                    {Array.isArray(sortedResults) && (
+                        <>
+                            <ExportMenu listings={sortedResults} filter={filter} />
+                            <Link
+                                className="refine-chip flex flex-row items-center gap-2"
+                                to={dossierPath("/results", location.search)}
+                                state={{ fromResults: true }}
+                                title={selection.length ? "Dossier degli annunci selezionati" : "Dossier di tutti gli annunci mostrati"}
+                            >
+                                <FileText className="size-4" />
+                                {selection.length ? `Dossier PDF (${selection.length})` : "Dossier PDF"}
+                            </Link>
+                            {selection.length > 0 && (
+                                <button
+                                    type="button"
+                                    className="text-sm text-primary underline underline-offset-2"
+                                    onClick={() => updateParams((next) => next.delete("sel"))}
+                                >
+                                    Deseleziona
+                                </button>
+                            )}
+                            <CalendarExportButton
+                                listings={calendarListings}
+                                name={`Aste ${placesLabel(filter) ?? ""}`.trim()}
+                                label={selection.length ? `Esporta calendario (${selection.length})` : undefined}
+                            />
+                        </>
+                    )}
+                    <SaveSearchButton filter={filter} />
+                </div>
+            </div>
+            {Array.isArray(results) && results.length > 0 && (
+                <ResultsToolbar
+                    sort={sort}
+                    onSortChange={setSort}
+                    perPage={perPage}
+                    onPerPageChange={setPerPage}
+                    count={sortedResults.length}
+                    total={results.length}
+                    duplicates={duplicates}
+                    hideHighRisk={refine.hide_high_risk}
+                    onHideHighRiskChange={(value) => setRefine({ ...refine, hide_high_risk: value })}
+                    highRiskCount={results.filter((l) => l.risk.level === "high").length}
+                    diff={diff}
+                    onlyNew={onlyNew}
+                    onOnlyNewChange={setOnlyNew}
+                />
+            )}
+            <div className="result-body-container">
+                {Array.isArray(results) && results.length > 0 && (
+                    <RefineSidebar listings={results} refine={refine} onChange={setRefine} />
                 )}
+                <div className="result-list-container">
+                    {view === "calendar" && Array.isArray(sortedResults) ? (
+                        <AuctionCalendar
+                            listings={sortedResults}
+                            mode={calendarMode}
+                            date={calendarDate}
+                            onChange={setCalendar}
+                        />
+                    ) : view === "map" && Array.isArray(sortedResults) ? (
+                        <ResultsMap
+                            listings={sortedResults}
+                            area={refine.area}
+                            onAreaChange={(area) => setRefine({ ...refine, area })}
+                        />
+                    ) : (
+                        <>
+                            <div className="result-grid-container">
+                                {sortedResults === null ? (
+                                    <p>Caricamento...</p>
+                                ) : Array.isArray(sortedResults) && sortedResults.length > 0 ? (
+                                    pageResults.map((res, idx) => renderResult(res, idx))
 
-
+                                ) : results.length > 0 ? (
+                                    <p>Nessun annuncio corrisponde ai filtri selezionati.</p>
+                                ) : (
+                                    <p>Nessun risultato disponibile.</p>
+                                )}
+                            </div>
+                            {pageCount > 1 && (
+                                <Pagination
+                                    count={pageCount}
+                                    page={page}
+                                    onChange={(_, value) => setPage(value)}
+                                    shape="rounded"
+                                />
+                            )}
+                        </>
+                    )}
+                </div>
             </div>
+            {diff && <RemovedListings diff={diff} />}
+            {rejected.length > 0 && (
+                <details className="result-rejected-container">
+                    <summary>
+                        {rejected.length} annunci scartati perché incompleti o non validi
+                    </summary>
+                    <ul className="list-disc pl-6 pt-2">
+                        {rejected.map((rej, idx) => (
+                            <li key={idx}>
+                                <b>{rej.raw?.id ?? rej.raw?.title ?? "Senza id"}</b>: {rej.errors.join(", ")}
+                            </li>
+                        ))}
+                    </ul>
+                </details>
+            )}
+            {Array.isArray(results) && (
+                <div className="result-stream-footer" aria-live="polite">
+                    {streaming ? (
+                        <>
+                            <LoaderCircle className="animate-spin result-info-icon" />
+                            <p>Stiamo ancora cercando... {results.length} annunci trovati finora</p>
+                            {onCancel && (
+                                <button
+                                    type="button"
+                                    className="underline underline-offset-2 text-primary"
+                                    onClick={onCancel}
+                                >
+                                    Annulla ricerca
+                                </button>
+                            )}
+                        </>
+                    ) : (
+                        <p>
+                            Ricerca completata: <b>{results.length}</b> annunci trovati
+                            {duplicates > 0 && ` (${duplicates} ${duplicates === 1 ? "duplicato unito" : "duplicati uniti"})`}
+                        </p>
+                    )}
+                </div>
+            )}
         </div>
     );
 }
\ No newline at end of file
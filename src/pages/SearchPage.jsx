@@ -1,5 +1,6 @@
-import React, { useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import PropTypes from "prop-types";
+import { Navigate, useNavigate, useParams, useSearchParams } from "react-router-dom";
 import {
     SearchTypeOption,
     WhyOptions,
@@ -19,8 +20,26 @@ import {
     BedDouble,
     CircleX
 } from "lucide-react";
-import comuni from "../data/comuni";
-import { scrape } from "../lib/api";
+import SavedSearchList from "../components/SavedSearchList";
+import { Slider } from "@mui/material";
+import {
+    PLACE_OPTIONS,
+    RADIUS_KM,
+    comuniWithin,
+    expandPlaces,
+    filterComuni,
+    filterPlaces,
+    findComune,
+    findPlace,
+    resolveAddress,
+} from "../lib/comuni";
+import { SOURCES } from "../lib/sources";
+import {
+    filterToSearchParams,
+    searchParamsToFilter,
+    searchPath,
+    resultsPath,
+} from "../lib/routing";
 
 /**
  * **BASEFILTER**
@@ -34,9 +53,21 @@ import { scrape } from "../lib/api";
  * 
  * ---
  * 
+ * @property {string[]|null} places  
+ * Where the property search is performed: comuni, whole provinces and whole regions,
+ * as `Place` tokens (see `expandPlaces`).  
+ * Example: `["016065", "prov:LE"]` for Castro (BG) and the province of Lecce, or `null` if unspecified.
+ * 
+ * @property {string|null} center  
+ * @property {number|null} radius  
+ * Radius search ("entro N km da"): ISTAT code of the centre comune and radius in km.
+ * When both are set they replace `places` (see `filterComuni`).  
+ * Example: `center: "016065", radius: 20` → the comuni within 20 km of Castro (BG).
+ * 
  * @property {string|null} city  
- * The city name where the property search is performed.  
- * Example: `"Milano"`, `"Roma"`, or `null` if unspecified.
+ * @property {string|null} city_code  
+ * Name and ISTAT code of the single comune of searches saved or shared before `places`
+ * (see `filterPlaces`); cleared as soon as the places are edited.
  * 
  * @property {number|null} type  
  * The type of property selected.  
@@ -79,7 +110,7 @@ import { scrape } from "../lib/api";
  * const filter = { ...BASEFILTER };
  * 
  * // Example: filtering apartments in Milan between 100k€ and 300k€
- * filter.city = "Milano";
+ * filter.places = ["015146"]; // Milano
  * filter.lower_price = 100000;
  * filter.higher_price = 300000;
  * 
@@ -88,7 +119,11 @@ import { scrape } from "../lib/api";
  * ```
  */
 const BASEFILTER = {
-    "city": "",
+    "places": null,
+    "center": null,
+    "radius": null,
+    "city": null,
+    "city_code": null,
     "type": null,
     "lower_price": null,
     "higher_price": null,
@@ -97,138 +132,8 @@ const BASEFILTER = {
     "lower_rooms": null,
     "higher_rooms": null,
     "why": null,
-    "request_description": ""
-}
-
-/**
- * **tempScrape**
- *
- * Asynchronous helper function that performs a **temporary test call** to the `scrape` API  
- * and handles both **loading state management** and **error normalization** for user feedback.  
- * 
- * It measures the total execution time using `performance.now()` and logs diagnostics for debugging.  
- * On success, it returns the raw API result; on failure, it sets a formatted error object via `setError`
- * and returns `null`.
- *
- * ---
- *
- * @async
- * @function tempScrape
- *
- * @param {Filter} filter  
- * The search filter object sent to the scraping API.  
- * Must include properties such as `city`, `type`, `lower_price`, `higher_mq`, etc.
- *
- * @param {Function} [setError=() => { console.error("[TEMPSCRAPE]: setError non è definita") }]  
- * Callback function used to report user-facing errors.  
- * Called with an **error object** containing fields like:
- * ```js
- * {
- *   title: "Errore nella ricerca",
- *   paragraph: "Si è verificato un problema imprevisto. Riprova più tardi.",
- *   buttonText: "Torna alla ricerca",
- *   buttonLink: "/search",
- *   mainColor: "red-600",
- *   onClick: () => setError(null)
- * }
- * ```
- *
- * @param {Function} [setLoading=() => { console.error("[TEMPSCRAPE]: setLoading non è definita") }]  
- * Callback function used to toggle loading indicators in the UI.  
- * Automatically set to `true` at the start of the operation and reset to `false`
- * when the process completes or fails.
- *
- * @returns {Promise<Object|null>}  
- * Resolves with the JSON result returned from `scrape(filter)` on success,  
- * or `null` if an error occurs.
- *
- * ---
- *
- * @throws {Error}  
- * Catches all thrown exceptions internally and never rethrows.  
- * The caught error is logged to the console and surfaced via `setError`.
- *
- * ---
- *
- * @example
- * ```js
- * try {
- *   const result = await tempScrape(filter, setError, setLoading);
- *   if (result) {
- *     setResults(result.results);
- *   }
- * } catch {
- *   // No rethrow — handled inside tempScrape
- * }
- * ```
- *
- * ---
- *
- * @usage
- * - Used in the final step of the search wizard (`SectionContainer`) to trigger scraping requests.  
- * - Provides robust error handling, including specific messages for:
- *   - **Timeouts** (`AbortError`) → “The request took too long.”  
- *   - **API errors** (`API 500: …`) → “The server responded with an error.”  
- *   - **Unexpected failures** → generic fallback message.  
- * - Returns `null` on failure so the caller can safely skip result updates.
- *
- * @notes
- * - Uses `withTimeout` inside the `scrape` function to enforce request duration limits.  
- * - Intended for temporary testing and debugging; may be replaced with production-safe request logic later.
- */
-async function tempScrape(
-    filter,
-    setError = () => { console.error("[TEMPSCRAPE]: setError non è definita") },
-    setLoading = () => { console.error("[TEMPSCRAPE]: setLoading non è definita") },
-) {
-    // usiamo performance.now per misurare il tempo di esecuzione
-    const startTime = performance.now();
-
-    try {
-        setLoading(true)
-
-        // TODO: temporary remove why value
-        const { why, ...filterWithoutWhy } = filter || {};
-        const result = await scrape(filterWithoutWhy);
-        // TODO: temp debug print
-        console.log("[tempScrape] risultato:", result)
-
-        setLoading(false);
-        const endTime = performance.now();
-        // TODO: temp debug print
-        console.log(`[tempScrape] Tempo impiegato: ${((endTime - startTime) / 1000).toFixed(2)} secondi`);
-
-        return result
-    } catch (err) {
-        console.error("[tempScrape] errore chiamando scrape:", err)
-
-        // Normalizza messaggio utente
-        const isAbort = err?.name === "AbortError"
-        const rawMessage = typeof err?.message === "string" ? err.message : ""
-
-        let userMessage = "Si è verificato un problema imprevisto. Riprova più tardi."
-        if (isAbort) {
-            userMessage = "La richiesta ha impiegato troppo tempo e è stata interrotta. Riprova."
-        } else if (/^API\s+\d{3}/.test(rawMessage)) {
-            // Messaggi formattati da api.js (es. "API 500: ...")
-            userMessage = "Il server ha risposto con un errore. Riprova più tardi."
-        } else if (rawMessage) {
-            userMessage = rawMessage
-        }
-
-        setLoading(false)
-        setError({
-            title: "Errore nella ricerca",
-            paragraph: userMessage,
-            buttonText: "Torna alla ricerca",
-            buttonLink: "/search",
-            mainColor: "red-600",
-            onClick: () => { setError(null) }
-        })
-
-        // In caso di errore restituisce null per permettere al chiamante di gestire il flusso
-        return null
-    }
+    "request_description": "",
+    "sources": null // null → all the portals in `SOURCES`
 }
 
 SearchSectionTitle.propTypes = {
@@ -492,25 +397,123 @@ export function FilterSection({ filter, setFilter }) {
     );
 }
 
+/**
+ * **COMUNE_OPTIONS**
+ *
+ * The comuni among the `PLACE_OPTIONS`: the possible centres of a radius search.
+ *
+ * @constant
+ * @type {ReadonlyArray<Place>}
+ */
+const COMUNE_OPTIONS = Object.freeze(PLACE_OPTIONS.filter((place) => place.kind === "comune"));
+
+/**
+ * **RadiusPicker**
+ *
+ * Radius search of `CitySection` (“entro N km da”): the centre comune, picked from the
+ * suggestions or recognized in a typed address (see `resolveAddress`, no geocoding service
+ * is called), and the radius slider. The filter stores the centre in `center` and the
+ * radius in `radius`; the comuni within the radius (see `comuniWithin`) are counted below
+ * and sent to the scraper (see `scrapePayload`).
+ *
+ * @param {Object} props
+ * @param {Filter} props.filter
+ * @param {(updater: (prev: Filter) => Filter) => void} props.setFilter
+ */
+function RadiusPicker({ filter, setFilter }) {
+    const center = findPlace(filter.center);
+    // slider position while dragging, committed to the filter on release
+    const [radius, setRadius] = useState(filter.radius ?? RADIUS_KM.initial);
+    const [addressError, setAddressError] = useState(null);
+
+    useEffect(() => {
+        setRadius(filter.radius ?? RADIUS_KM.initial);
+    }, [filter.radius]);
+
+    const covered = useMemo(
+        () => (center ? comuniWithin(findComune(center.value), radius).length : 0),
+        [center, radius]
+    );
+
+    const handleCenter = (val) => {
+        // free text: an address, resolved against the comuni dataset
+        const comune = typeof val === "string" ? resolveAddress(val) : findComune(val?.value);
+        if (typeof val === "string" && !comune) {
+            setAddressError(`Nessun comune riconosciuto in “${val}”: prova ad aggiungere il comune o il CAP`);
+            return;
+        }
+        setAddressError(null);
+        setFilter(prev => ({ ...prev, center: comune?.code ?? null, radius: prev.radius ?? RADIUS_KM.initial }));
+    };
+
+    return (
+        <div className="w-full flex flex-col gap-4 items-center">
+            <div className="w-full flex flex-col gap-2 items-center">
+                <AutocompleteSearchBar
+                    freeSolo
+                    options={COMUNE_OPTIONS}
+                    label="Comune o indirizzo di partenza"
+                    value={center}
+                    setValue={handleCenter}
+                    getOptionLabel={(place) => (typeof place === "string" ? place : place.label)}
+                    isOptionEqualToValue={(option, value) => option.value === value.value}
+                />
+                {addressError && <p className="text-red-600">{addressError}</p>}
+            </div>
+            <div className="double-slider-container">
+                <h3 className="h3-title">Entro {radius} km</h3>
+                <Slider
+                    value={radius}
+                    min={RADIUS_KM.min}
+                    max={RADIUS_KM.max}
+                    step={RADIUS_KM.step}
+                    onChange={(_, value) => setRadius(value)}
+                    onChangeCommitted={(_, value) => setFilter(prev => ({ ...prev, radius: value }))}
+                    valueLabelDisplay="auto"
+                    valueLabelFormat={(value) => `${value} km`}
+                    getAriaLabel={() => "Raggio di ricerca"}
+                    sx={{ color: "#ebbd47" }}
+                />
+            </div>
+            {center && (
+                <p className="description-paragraph">
+                    La ricerca comprende {covered} {covered === 1 ? "comune" : "comuni"} entro {radius} km da {center.label}
+                </p>
+            )}
+        </div>
+    );
+}
+
 /**
  * **CitySection**
  * 
  * React functional component representing the **second step** of the property search wizard:
  * **“Dove lo stai cercando?”**  
  *  
- * This section allows the user to select the **city or locality** in which they are searching
- * for a property.  
- * It uses the `AutocompleteSearchBar` component combined with a curated list of Italian cities (`comuni`)
- * to offer a smooth and accurate autocomplete experience.
+ * This section allows the user to select **where** they are searching for a property: one or
+ * more comuni, or whole provinces and regions (e.g. an investor scanning the province of Bergamo).  
+ * It uses the `AutocompleteSearchBar` component combined with the ISTAT list of Italian comuni,
+ * provinces and regions (`PLACE_OPTIONS`) to offer a smooth and accurate autocomplete experience.
+ * Comuni are shown with their province (`"Castro (BG)"`, `"Castro (LE)"`, see `comuneLabel`),
+ * so homonyms can be told apart.
+ * Alternatively, the user can search **within a radius** of a comune or of an address
+ * (see `RadiusPicker`).
  * 
  * ---
  * 
  * ### 🧭 Behavior
  * - Displays a centered autocomplete input with a clear label.  
- * - When the user selects a city, `handleSelect` updates `filter.city` via `setFilter`.  
- * - The current selection is controlled by `filter.city`.  
+ * - The selected places are shown as chips; `handleSelect` stores them in `filter.places`
+ *   via `setFilter` (see `Place`).  
+ * - Below the field, the number of comuni covered by the selection (see `expandPlaces`).  
+ * - The current selection is read with `filterPlaces`, so searches saved with a single
+ *   `city` are shown too.  
+ * - Two toggles switch between the places and the radius search (“Entro un raggio”):
+ *   switching clears the fields of the other mode, so only one of them is searched.  
  * - The autocomplete suggestions are filtered through the custom `cityFilter` algorithm
- *   (accent-insensitive and similarity-ranked).
+ *   (accent-insensitive, typo-tolerant, with `S.`/`San`/`Santo` aliases and similarity-ranked).
+ * - Below the autocomplete, one toggle per portal (`SOURCES`) selects **where to search**:
+ *   `filter.sources` is `null` while all portals are selected, and at least one stays selected.
  * 
  * ---
  * 
@@ -521,11 +524,11 @@ export function FilterSection({ filter, setFilter }) {
  * 
  * @param {Filter} props.filter  
  * The current **filter object**, following the `BASEFILTER` schema.  
- * Only the `city` property is read and updated in this section.
+ * Only the `places`, `center`, `radius`, `city`, `city_code` and `sources` properties are read and updated in this section.
  * 
  * @param {(updater: (prev: Filter) => Filter) => void} props.setFilter  
  * State setter function for updating the global `filter`.  
- * Used internally to update `filter.city` when a city is selected.
+ * Used internally to update `filter.places` when the selection changes.
  * 
  * @returns {JSX.Element}  
  * A responsive, full-width container with an `AutocompleteSearchBar`
@@ -564,18 +567,17 @@ export function CitySection({ filter, setFilter }) {
      * **handleSelect**
      * 
      * Callback handler that updates the current **search filter state**
-     * with the city selected from the `AutocompleteSearchBar`.
+     * with the places selected in the `AutocompleteSearchBar`.
      * 
      * It merges the existing `filter` object (from `BASEFILTER`)
-     * with the new `city` value, preserving all other filter fields.
+     * with the new `places`, preserving all other filter fields; the single-comune
+     * `city` / `city_code` of older searches and the radius search are cleared.
      * 
      * ---
      * 
      * @function handleSelect
-     * @param {string|null} val  
-     * The selected city name.  
-     * - If a valid string (e.g. `"Roma"`), it updates `filter.city`.  
-     * - If `null`, it clears the `city` field from the filter.
+     * @param {Place[]} val  
+     * The selected places (comuni, provinces, regions).
      * 
      * @returns {void}  
      * No return value. The function triggers a state update via `setFilter`.
@@ -589,15 +591,17 @@ export function CitySection({ filter, setFilter }) {
      * 
      * // Handler
      * const handleSelect = (val) => {
-     *   setFilter(prev => ({ ...prev, city: val }));
+     *   setFilter(prev => ({ ...prev, places: val.map((place) => place.value), center: null, radius: null, city: null, city_code: null }));
      * };
      * 
      * // Usage inside JSX
      * <AutocompleteSearchBar
-     *   value={filter.city}
+     *   multiple
+     *   value={selected}
      *   setValue={handleSelect}
-     *   options={cities}
-     *   label="Comune o località"
+     *   options={PLACE_OPTIONS}
+     *   getOptionLabel={(place) => place.label}
+     *   label="Comuni, province o regioni"
      * />
      * ```
      * 
@@ -608,17 +612,86 @@ export function CitySection({ filter, setFilter }) {
      * (typically in step 1 of the search wizard: “Dove lo stai cercando?”).
      */
     const handleSelect = (val) => {
-        setFilter(prev => ({ ...prev, city: val }));
+        setFilter(prev => ({ ...prev, places: val.map((place) => place.value), center: null, radius: null, city: null, city_code: null }));
+    };
+
+    const [mode, setMode] = useState(filter.center ? "radius" : "places");
+
+    const switchMode = (next) => {
+        setMode(next);
+        setFilter(prev => next === "radius"
+            ? { ...prev, places: null, city: null, city_code: null }
+            : { ...prev, center: null, radius: null });
+    };
+
+    // memoized: a new array would clear the text being typed (see `AutocompleteSearchBar`)
+    const selected = useMemo(() => filterPlaces(filter).map(findPlace).filter(Boolean), [filter]);
+    const covered = useMemo(() => expandPlaces(selected.map((place) => place.value)).length, [selected]);
+
+    // `null` → every portal
+    const selectedSources = filter.sources ?? SOURCES.map((s) => s.id);
+
+    const toggleSource = (id) => {
+        const next = selectedSources.includes(id)
+            ? selectedSources.filter((s) => s !== id)
+            : [...selectedSources, id];
+        if (!next.length) return;
+        setFilter(prev => ({ ...prev, sources: next.length === SOURCES.length ? null : next }));
     };
 
     return (
         <div className="city-section-container">
-            <AutocompleteSearchBar
-                options={comuni}
-                label="Seleziona il comune in cui stai cercando"
-                value={filter["city"]}
-                setValue={handleSelect}
-            />
+            <div className="refine-chip-container justify-center">
+                {[["places", "Comuni, province e regioni"], ["radius", "Entro un raggio"]].map(([value, label]) => (
+                    <button
+                        type="button"
+                        key={value}
+                        aria-pressed={mode === value}
+                        className={`refine-chip ${mode === value ? "refine-chip-active" : ""}`}
+                        onClick={() => mode !== value && switchMode(value)}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+            {mode === "radius" ? (
+                <RadiusPicker filter={filter} setFilter={setFilter} />
+            ) : (
+                <div className="w-full flex flex-col gap-2 items-center">
+                    <AutocompleteSearchBar
+                        multiple
+                        options={PLACE_OPTIONS}
+                        label="Seleziona i comuni, le province o le regioni in cui stai cercando"
+                        value={selected}
+                        setValue={handleSelect}
+                        getOptionLabel={(place) => place.label}
+                        isOptionEqualToValue={(option, value) => option.value === value.value}
+                    />
+                    {covered > 1 && (
+                        <p className="description-paragraph">La ricerca comprende {covered} comuni</p>
+                    )}
+                </div>
+            )}
+            <div className="source-selector-container">
+                <h3 className="h3-title">Portali da consultare</h3>
+                <div className="refine-chip-container justify-center">
+                    {SOURCES.map((source) => {
+                        const active = selectedSources.includes(source.id);
+                        return (
+                            <button
+                                type="button"
+                                key={source.id}
+                                aria-pressed={active}
+                                className={`refine-chip flex flex-row items-center gap-1 ${active ? "refine-chip-active" : ""}`}
+                                onClick={() => toggleSource(source.id)}
+                            >
+                                <img src={source.logo} alt="" className="size-4" loading="lazy" />
+                                {source.name}
+                            </button>
+                        );
+                    })}
+                </div>
+            </div>
         </div>
     );
 }
@@ -689,8 +762,18 @@ export function CitySection({ filter, setFilter }) {
  * - The multiline input includes a descriptive label and placeholder for clarity.
  */
 export function WhySection({ filter, setFilter, selectorsError, setSelectorsError }) {
-    const [category, setCategory] = useState("");
-    const [item, setItem] = useState("")
+    // restore both selectors from `filter.why` (e.g. after a reload or from a shared link)
+    const findWhySelection = (name) => {
+        for (const [cat, arr] of Object.entries(WhyOptions)) {
+            for (const opt of arr) {
+                if (`${cat} - ${opt.label}` === name) return [cat, opt.value];
+            }
+        }
+        return ["", ""];
+    }
+
+    const [category, setCategory] = useState(() => findWhySelection(filter?.why)[0]);
+    const [item, setItem] = useState(() => findWhySelection(filter?.why)[1])
 
     /**
      * **itemValueToName**
@@ -809,8 +892,8 @@ export function WhySection({ filter, setFilter, selectorsError, setSelectorsErro
  *   - `1` → `<CitySection filter setFilter />`
  *   - `2` → `<WhySection filter setFilter />`
  *   - default → renders a technical error message
- * - `buttonOnSubmit` advances the wizard and, on the last step, calls `tempScrape`
- *   then updates `setResults` or surfaces errors via `setError`.
+ * - `buttonOnSubmit` advances the wizard and, on the last step, navigates to the
+ *   `/results` route with the `filter` encoded in the URL (the route runs the search).
  * - `buttonBackClick` safely navigates backward (steps `1` and `2`) and clears `sectionError`.
  *
  * ---
@@ -838,11 +921,8 @@ export function WhySection({ filter, setFilter, selectorsError, setSelectorsErro
  * @param {(msg:string)=>void} [props.setError=() => { console.log("setError is not defined") }]
  * Global error setter for non-recoverable / cross-step errors (e.g., API failures).
  *
- * @param {(loading:boolean)=>void} [props.setLoading=() => { console.log("setLoading is not defined") }]
- * Global loading state setter used during the final API submission.
- *
- * @param {(results:any)=>void} [props.setResults=() => { console.log("setResults is not defined") }]
- * Setter that receives scraper results upon a successful final submission.
+ * @param {(filter:Filter)=>void} [props.onSearch=() => { console.log("onSearch is not defined") }]
+ * Called on the last step, after validation, with the complete filter to search for.
  *
  * @returns {JSX.Element}
  * A container that renders the step title, the current step section, an inline error message (if any),
@@ -858,8 +938,7 @@ export function WhySection({ filter, setFilter, selectorsError, setSelectorsErro
  *   filter={filter}
  *   setFilter={setFilter}
  *   setError={setError}
- *   setLoading={setLoading}
- *   setResults={setResults}
+ *   onSearch={(filter) => navigate(resultsPath(filter))}
  * />
  * ```
  *
@@ -868,7 +947,6 @@ export function WhySection({ filter, setFilter, selectorsError, setSelectorsErro
  * @usage
  * - Place as the central content of the search page to manage step routing, validation, and submission.
  * - Provide stable references for the setter props to avoid unnecessary re-mounts of child sections.
- * - Ensure `tempScrape` is available in scope and returns `{ ok: boolean, results?: any }`.
  *
  * @accessibility
  * - Step title is rendered via a semantic heading (`SearchSectionTitle`), improving screen reader flow.
@@ -880,8 +958,7 @@ export function SectionContainer({
     filter,
     setFilter = () => { console.log("setFilter is not defined") },
     setError = () => { console.log("setError is not defined") },
-    setLoading = () => { console.log("setLoading is not defined") },
-    setResults = () => { console.log("setResults is not defined") }
+    onSearch = () => { console.log("onSearch is not defined") }
 }) {
     const [sectionError, setSectionError] = useState(null);
     const [selectorsError, setSelectorsError] = useState(false)
@@ -909,38 +986,26 @@ export function SectionContainer({
      * | Step | Description | Action |
      * |------|--------------|--------|
      * | **0** | *Filters step (“Cosa stai cercando?”)* | Advances to step 1 without validation. |
-     * | **1** | *City selection step (“Dove lo stai cercando?”)* | Validates the presence of `filter.city`; if valid, proceeds to step 2; otherwise sets an error message. |
-     * | **2** | *Final step (“Perché lo stai cercando?”)* | Sends the `filter` data to the backend scraper API and updates results or error states accordingly. |
+     * | **1** | *City selection step (“Dove lo stai cercando?”)* | Validates that the filter covers at least one comune (`filterComuni`: places or radius); if valid, proceeds to step 2 (moving the `city` of older filters to `places`); otherwise sets an error message. |
+     * | **2** | *Final step (“Perché lo stai cercando?”)* | Validates `filter.why`; if valid, hands the `filter` to `onSearch` (which opens the results route). |
      * 
      * Any invalid step value triggers a generic fallback error message and logs a descriptive error in the console.
      * 
      * ---
      * 
-     * @async
      * @function buttonOnSubmit
      * 
-     * @returns {Promise<void>}  
+     * @returns {void}  
      * No return value. Updates internal state and UI through side effects.
      * 
-     * @throws {Error}  
-     * Throws internally if the scraping request fails, caught and handled gracefully within the `try/catch` block.
-     * 
      * ---
      * 
      * @example
      * ```js
-     * const buttonOnSubmit = async () => {
+     * const buttonOnSubmit = () => {
      *   if (step === 0) setStep(step + 1);
-     *   else if (step === 1 && filter.city) setStep(step + 1);
-     *   else if (step === 2) {
-     *     try {
-     *       const res = await tempScrape(filter, setError, setLoading);
-     *       if (res.ok) setResults(res.results);
-     *       else setError("Generic API error");
-     *     } catch (err) {
-     *       setError("Network error while contacting scraper");
-     *     }
-     *   }
+     *   else if (step === 1 && filterComuni(filter).length) setStep(step + 1);
+     *   else if (step === 2 && filter.why) onSearch(filter);
      * };
      * ```
      * 
@@ -948,50 +1013,34 @@ export function SectionContainer({
      * 
      * @usage
      * - Used as the `onSubmit` handler for the **ProceedButton** component.  
-     * - Advances the wizard through its three logical steps and triggers the backend request at the end.  
-     * - Provides user feedback and error handling when required fields are missing or when API calls fail.  
+     * - Advances the wizard through its three logical steps and triggers the search at the end.  
+     * - Provides user feedback when required fields are missing.  
      * - Ensures smooth and predictable navigation between steps.
      * 
      * @accessibility
      * - Validates essential inputs before proceeding (e.g., city).  
      * - Uses clear, user-friendly error messages for invalid or incomplete inputs.
      */
-    const buttonOnSubmit = async () => {
+    const buttonOnSubmit = () => {
         if (step == 0) {            // First step (filters)
             setStep(step + 1)
         } else if (step == 1) {     // Second step (city), check if the user insert the city
-            if (!filter["city"] || filter["city"] == null || filter["city"] == "") {
-                setSectionError("Inserire un comune valido per andare avanti")
+            if (!filterComuni(filter).length) {
+                setSectionError("Inserire almeno un comune, una provincia, una regione o il centro del raggio per andare avanti")
             } else {
                 setSectionError(null)
+                // searches saved before `places` only carry the comune in `city`
+                if (!filter.center) setFilter(prev => ({ ...prev, places: filterPlaces(prev), city: null, city_code: null }))
                 setStep(step + 1)
             }
-        } else if (step == 2) {     // Last step (why), send request to the scraper via api (Render.com)
+        } else if (step == 2) {     // Last step (why), open the results route that runs the search
             // check if user select in the double selector
             if (filter.why == null || filter.why == "") {
                 setSectionError("Inserire il motivo della ricerca")
                 setSelectorsError(true)
             } else {
-                try {
-                    // TODO: temp debug print
-                    console.log("filter sended in req:");
-                    console.log(filter);
-                    const res = await tempScrape(filter, setError, setLoading)
-
-                    // TODO: temp debug print
-                    console.log("request result:");
-                    console.log(res);
-
-                    if (res.ok) {
-                        setResults(res.results)
-                    } else {
-                        setError("Si è verificato un errore generico, riprova più tardi o contatta il supporto");
-                        console.error("ERROR: res.ok != true: " + res)
-                    }
-                } catch (error) {
-                    setError("Si è verificato un errore generico, riprova più tardi o contatta il supporto");
-                    console.error("ERROR: error catched sending request to the scraper: " + error)
-                }
+                setSectionError(null)
+                onSearch(filter)
             }
         } else {
             setError("Si è verificato un errore generico, riprova più tardi o contatta il supporto");
@@ -1083,13 +1132,15 @@ export function SectionContainer({
 /**
  * **SearchPage**
  *
- * Top-level React component that initializes and coordinates the **search wizard page**.
+ * Top-level React component that initializes and coordinates the **search wizard page**
+ * mounted on the `/search/:step` route.
  * It owns the two core pieces of UI state:
- * - **`filter`** – the active search filter object (initialized from `BASEFILTER`)
- * - **`step`** – the current wizard step (`0`=filters, `1`=city, `2`=purpose)
+ * - **`filter`** – the active search filter object (initialized from `BASEFILTER` and the URL query)
+ * - **`step`** – the current wizard step (`0`=filters, `1`=city, `2`=purpose), read from the `:step` path segment
  *
- * The component delegates rendering and interaction logic to `<SectionContainer />`,
- * passing down state setters and app-level handlers for error/loading/results.
+ * Both are mirrored in the URL (e.g. `/search/1?city=Roma&type=1`), so the wizard can be
+ * bookmarked, shared and restored on reload, and the browser Back button moves between steps.
+ * The component delegates rendering and interaction logic to `<SectionContainer />`.
  *
  * ---
  *
@@ -1100,13 +1151,11 @@ export function SectionContainer({
  *
  * @param {(msg:string)=>void} props.setError
  * App-level error reporter. Called by children (via `SectionContainer`) to surface
- * user-visible errors (e.g., invalid step, API failures).
- *
- * @param {(loading:boolean)=>void} props.setLoading
- * App-level loading state setter used during async operations (e.g., final scrape).
+ * user-visible errors (e.g., invalid step).
  *
- * @param {(results:any)=>void} props.setResults
- * App-level results setter invoked after a successful scraping request.
+ * @param {() => void} props.clearResults
+ * Drops the cached results, so running a saved search again submits a new search even
+ * when it was the last one run (instead of showing its previous results).
  *
  * @returns {JSX.Element}
  * The page scaffold that hosts the wizard container and wires the required state/handlers.
@@ -1115,46 +1164,39 @@ export function SectionContainer({
  *
  * @example
  * ```jsx
- * import SearchPage from "./SearchPage";
- *
- * export default function App() {
- *   const [error, setError] = useState(null);
- *   const [loading, setLoading] = useState(false);
- *   const [results, setResults] = useState(null);
- *
- *   return (
- *     <>
- *       {loading && <LoadingSpinner message="Fetching listings..." />}
- *       {error && <ErrorSection message={error} />}
- *       <SearchPage
- *         setError={setError}
- *         setLoading={setLoading}
- *         setResults={setResults}
- *       />
- *     </>
- *   );
- * }
+ * <Routes>
+ *   <Route
+ *     path="/search/:step"
+ *     element={<SearchPage setError={setError} clearResults={() => setResults(null)} />}
+ *   />
+ * </Routes>
  * ```
  *
  * ---
  *
  * @usage
  * - Use as the main entry for the search flow.  
- * - `filter` and `step` are local to `SearchPage` and passed to `<SectionContainer />`.  
- * - Ensure `BASEFILTER` is imported and stable to keep consistent initial state.
+ * - Invalid steps redirect to step `0`; steps after the city selection redirect to step `1`
+ *   when the filter covers no comune (e.g. a hand-edited URL, see `filterComuni`).  
+ * - On the last step the wizard navigates to `/results` with the same query string.
  *
  * @accessibility
  * - Step transitions are surfaced via `<SearchSectionTitle />` inside the container,
  *   improving screen reader context as users navigate.
  */
-export default function SearchPage({ setError, setLoading, setResults }) {
+export default function SearchPage({ setError, clearResults }) {
+    const { step: stepParam } = useParams();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const navigate = useNavigate();
+
     /** **filter state:** React state hook that stores the **current set of active search filters**
      * 
      * for the property listing interface.  
      * 
-     * Initialized with `BASEFILTER`, it provides a reactive object representing
-     * all filter criteria (city, price, surface, rooms, etc.).  
-     * The state is updated whenever the user modifies filter inputs (e.g., range selectors, dropdowns).
+     * Initialized with `BASEFILTER` merged with the fields found in the URL query,
+     * it provides a reactive object representing all filter criteria (city, price, surface, rooms, etc.).  
+     * The state is updated whenever the user modifies filter inputs (e.g., range selectors, dropdowns)
+     * and is kept as the source of truth: the URL only mirrors it.
      * 
      * ---
      * 
@@ -1163,11 +1205,10 @@ export default function SearchPage({ setError, setLoading, setResults }) {
      * 
      * @property {Filter} filter  
      * The current filter object containing the selected criteria.  
-     * Initialized as a copy of `BASEFILTER`, meaning all values are `null` until user input.  
      * Example structure:  
      * ```js
      * {
-     *   city: "Milano",
+     *   places: ["015146"],
      *   type: 1,
      *   lower_price: 100000,
      *   higher_price: 300000,
@@ -1183,78 +1224,55 @@ export default function SearchPage({ setError, setLoading, setResults }) {
      * Accepts either:
      * - a **new object** → replaces the entire state, or  
      * - a **callback function** → receives the previous state and returns the updated one.  
-     * Example usage:
-     * ```js
-     * setFilter(prev => ({ ...prev, lower_price: 150000 }));
-     * ```
-     * 
-     * ---
-     * 
-     * @usage
-     * ```js
-     * // Initialize the filter state
-     * const [filter, setFilter] = useState(BASEFILTER);
-     * 
-     * // Example: update filter when user selects a new city
-     * const handleCityChange = (cityName) => {
-     *   setFilter(prev => ({ ...prev, city: cityName }));
-     * };
-     * ```
      */
-    const [filter, setFilter] = useState(BASEFILTER);
-    /** **state:** React state hook controlling the **current step** of the property search wizard.
+    const [filter, setFilter] = useState(() => ({
+        ...BASEFILTER,
+        ...searchParamsToFilter(searchParams),
+    }));
+
+    // mirror the filter in the query string; `replace` so that editing a field
+    // does not add a history entry (only step changes do)
+    useEffect(() => {
+        const next = filterToSearchParams(filter);
+        if (next.toString() !== searchParams.toString()) {
+            setSearchParams(next, { replace: true });
+        }
+    }, [filter, searchParams, setSearchParams]);
+
+    /** **step:** current step of the property search wizard, parsed from the `:step` path segment.
      *  
-     * The wizard is composed of three progressive stages that guide the user
-     * through a structured search process:
-     * 
      * | Step | Value | Description |
      * |------|--------|-------------|
      * | **0** | `"Cosa stai cercando?"` | User selects the type of property and defines the basic filters (type, price, surface, rooms). |
      * | **1** | `"Dove lo stai cercando?"` | User specifies the geographical location — city, municipality, or local area. |
      * | **2** | `"Perché lo stai cercando?"` | User provides contextual motivations or intent (e.g., investment, relocation, personal use). |
      * 
-     * Each numeric value corresponds to a **distinct UI section** and determines what inputs are visible or active.
-     * 
-     * ---
-     * 
-     * @constant
-     * @type {[number, Function]}
-     * 
-     * @property {number} state  
-     * The current step of the search flow.  
-     * Accepts only the values `0`, `1`, or `2`.
-     * 
-     * @property {Function} setState  
-     * React state setter function used to update the current step.  
-     * Accepts either a number or a callback function receiving the previous state.  
-     * Example:
-     * ```js
-     * setState(1);              // go to step 1
-     * setState(prev => prev+1); // advance to next step
-     * ```
-     * 
-     * ---
-     * 
-     * @usage
-     * ```js
-     * // Initialize wizard state
-     * const [state, setState] = useState(0);
-     * 
-     * // Example: move to next section when filters are complete
-     * const handleNext = () => {
-     *   if (state < 2) setState(state + 1);
-     * };
-     * 
-     * // Conditional rendering
-     * {state === 0 && <FilterStep />}
-     * {state === 1 && <LocationStep />}
-     * {state === 2 && <PurposeStep />}
-     * ```
+     * Changing step pushes a new history entry (`/search/<step>?<filter>`), so the browser
+     * Back button returns to the previous step.
      */
-    const [step, setStep] = useState(0);
+    const step = Number(stepParam);
+    const setStep = (next) => navigate(searchPath(next, filter));
+
+    if (!(step in STEP_TITLE)) {
+        return <Navigate to={searchPath(0, filter)} replace />;
+    }
+    if (step > 1 && !filterComuni(filter).length) {
+        return <Navigate to={searchPath(1, filter)} replace />;
+    }
 
     return (
-        <div className="main-container">
+        <div className="main-container flex-col gap-6 py-8">
+            {/* saved searches: run again, or edit from step 0 (the wizard shows their values) */}
+            {step === 0 && (
+                <SavedSearchList
+                    onRun={(f) => {
+                        // the results of the same search may still be cached: run it for real
+                        clearResults();
+                        navigate(resultsPath(f));
+                    }}
+                    onEdit={(f) => setFilter({ ...BASEFILTER, ...f })}
+                />
+            )}
             {/* TODO: I set min-h instead of h to make that the button always is in the container, have to handle the padding between the page and the container */}
             <SectionContainer
                 step={step}
@@ -1263,9 +1281,8 @@ export default function SearchPage({ setError, setLoading, setResults }) {
                 filter={filter}
                 setFilter={setFilter}
                 setError={setError}
-                setLoading={setLoading}
-                setResults={setResults}
+                onSearch={(f) => navigate(resultsPath(f))}
             />
         </div>
     );
-}
\ No newline at end of file
+}
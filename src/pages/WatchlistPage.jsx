@@ -0,0 +1,144 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { TextField } from "@mui/material";
+import { Calendar, Euro, FileText, MapPin, RulerDimensionLine } from "lucide-react";
+import CalendarExportButton from "../components/CalendarExportButton";
+import RiskBadge from "../components/RiskBadge";
+import SourceLinks from "../components/SourceLinks";
+import WatchButton from "../components/WatchButton";
+import { dossierPath, searchPath, watchlistPath } from "../lib/routing";
+import { formatDate, formatMoney } from "../lib/utils";
+import { setWatchNote, useWatchlist } from "../lib/watchlist";
+
+/**
+ * **NoteField**
+ *
+ * Notes of a watched listing. The text is edited locally and saved when the field
+ * loses focus, so typing does not rewrite the watchlist at every key.
+ *
+ * @param {{entry: WatchedListing}} props
+ */
+function NoteField({ entry }) {
+    const [draft, setDraft] = useState(entry.note);
+
+    return (
+        <TextField
+            className="watchlist-note"
+            label="Note"
+            placeholder="Sopralluogo, perizia, offerta massima..."
+            multiline
+            minRows={2}
+            size="small"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onBlur={() => draft !== entry.note && setWatchNote(entry.listing.id, draft)}
+            fullWidth
+        />
+    );
+}
+
+/**
+ * **WatchlistPage**
+ *
+ * React functional component rendering the **watchlist** (route `/watchlist`): the listings
+ * starred from the results (see `WatchButton`), most recent first, each with its key data,
+ * the source links, the user notes and the link to its detail view. The auctions can be
+ * exported to a calendar app (`.ics`, see `buildICS`) and the watched listings printed as a
+ * dossier with their notes (see `DossierPage`).
+ *
+ * The listings are the snapshots saved in `localStorage` (see `useWatchlist`), so the page
+ * works without running a search and after the auction has left the portals.
+ *
+ * ---
+ *
+ * @component
+ *
+ * @returns {JSX.Element}
+ * The watchlist, or an empty state linking to a new search.
+ */
+export default function WatchlistPage() {
+    const watchlist = useWatchlist();
+
+    return (
+        <div className="result-page-container">
+            <div className="w-full flex flex-row justify-between items-center">
+                <h1 className="h2-title">I tuoi preferiti</h1>
+                {watchlist.length > 0 && (
+                    <div className="flex flex-row items-center gap-2">
+                        <Link
+                            className="refine-chip flex flex-row items-center gap-2"
+                            to={dossierPath("/watchlist")}
+                            state={{ fromResults: true }}
+                        >
+                            <FileText className="size-4" />
+                            Dossier PDF
+                        </Link>
+                        <CalendarExportButton
+                            listings={watchlist.map((entry) => entry.listing)}
+                            name="Preferiti BidHouse"
+                            filename="preferiti.ics"
+                        />
+                    </div>
+                )}
+            </div>
+
+            {!watchlist.length ? (
+                <div className="flex flex-col items-center gap-4 text-gray-600">
+                    <p>Non hai ancora salvato nessun annuncio: usa la stella sui risultati per ritrovarli qui.</p>
+                    <Link className="underline underline-offset-2 text-primary" to={searchPath(0)}>
+                        Inizia una ricerca
+                    </Link>
+                </div>
+            ) : (
+                <div className="result-grid-container">
+                    {watchlist.map((entry) => {
+                        const { listing } = entry;
+                        return (
+                            <div className="result-card-container" key={listing.id}>
+                                <div className="w-full flex flex-row justify-between items-center">
+                                    <RiskBadge risk={listing.risk} />
+                                    <WatchButton listing={listing} />
+                                </div>
+                                <h3 className="result-card-title">{listing.title ?? "Annuncio senza titolo"}</h3>
+                                {listing.address && (
+                                    <span className="flex flex-row gap-2 text-gray-600">
+                                        <MapPin className="result-info-icon shrink-0" />
+                                        <p className="line-clamp-1">{listing.address}</p>
+                                    </span>
+                                )}
+
+                                <div className="result-card-info-container">
+                                    <span className="result-card-single-info">
+                                        <Calendar className="result-info-icon" />
+                                        <p className="flex">{listing.auction_date ? formatDate(listing.auction_date) : "-"}</p>
+                                    </span>
+                                    <span className="result-card-single-info">
+                                        <RulerDimensionLine className="result-info-icon" />
+                                        <p className="flex">{listing.mq || "-"}</p>
+                                    </span>
+                                    <span className="result-card-single-info">
+                                        <Euro className="result-info-icon" />
+                                        <p className="flex font-semibold">{listing.price != null ? formatMoney(listing.price) : "-"}</p>
+                                    </span>
+                                </div>
+
+                                <NoteField entry={entry} />
+
+                                <SourceLinks links={listing.links ?? []} />
+                                <p className="text-sm text-gray-400">Salvato il {formatDate(entry.added_at.slice(0, 10))}</p>
+
+                                <Link
+                                    className="result-button"
+                                    to={watchlistPath(listing.id)}
+                                    state={{ fromResults: true }}
+                                >
+                                    Scopri di più
+                                </Link>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -2,6 +2,10 @@
 
 interface ImportMetaEnv {
   readonly VITE_API_BASE: string;
+  readonly VITE_API_HEALTH_PATH?: string;
+  readonly VITE_MAP_TILES_URL?: string;
+  readonly VITE_MAP_TILES_ATTRIBUTION?: string;
+  readonly VITE_GEOCODER_URL?: string;
 }
 
 interface ImportMeta {